@@ -0,0 +1,84 @@
+// Authentication settings shared by the token service and auth middleware
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
+
+// Access tokens are short-lived; sessions are kept alive with rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30", 10);
+
+// Frontend origin used to build links sent by email
+const APP_BASE_URL = (process.env.APP_BASE_URL || "http://localhost:3000").replace(/\/$/, "");
+
+// Password reset links are single-use and expire after this many minutes
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || "60", 10);
+
+// Password policy applied whenever a user chooses their own password
+const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || "8", 10),
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== "false",
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== "false",
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== "false",
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === "true",
+  // Number of previous passwords that cannot be reused
+  historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || "5", 10),
+};
+
+// Invitation links expire after this many days (resending issues a fresh link)
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || "7", 10);
+
+// Two-factor authentication
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "Borg Manila";
+// Lifetime of the challenge token handed out between the password and TOTP steps
+const TWO_FACTOR_CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || "5m";
+// Codes one login challenge accepts before the password has to be entered again
+const TWO_FACTOR_CHALLENGE_ATTEMPTS = 5;
+const TWO_FACTOR_RECOVERY_CODE_COUNT = 10;
+
+// Login throttling: per-account lockout and per-IP limits, with a growing delay on failures
+const LOGIN_THROTTLE = {
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES || "5", 10),
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || "15", 10),
+  maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES || "20", 10),
+  ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES || "15", 10),
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+};
+
+// OpenID Connect single sign-on (identity providers are configured per company)
+const OIDC = {
+  // Must be registered as the redirect URI with every identity provider
+  callbackUrl: process.env.OIDC_CALLBACK_URL || "http://localhost:5000/api/auth/sso/callback",
+  // Frontend page that receives the one-time login code after the callback
+  frontendCallbackUrl: process.env.OIDC_FRONTEND_CALLBACK_URL || `${APP_BASE_URL}/sso/complete`,
+  stateTtlMinutes: parseInt(process.env.OIDC_STATE_TTL_MINUTES || "10", 10),
+  loginCodeTtlSeconds: 120,
+  httpTimeoutMs: parseInt(process.env.OIDC_HTTP_TIMEOUT_MS || "10000", 10),
+};
+
+// Lifetime of the read-only token a Manager receives when impersonating a user
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES || "15", 10);
+
+// API keys of service accounts (sent in the X-API-Key header)
+const API_KEYS = {
+  defaultTtlDays: parseInt(process.env.API_KEY_DEFAULT_TTL_DAYS || "90", 10),
+  maxTtlDays: parseInt(process.env.API_KEY_MAX_TTL_DAYS || "365", 10),
+  // Maximum time a rotated key keeps working so integrations can switch over
+  maxRotationGraceHours: 72,
+};
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  APP_BASE_URL,
+  PASSWORD_RESET_TTL_MINUTES,
+  PASSWORD_POLICY,
+  INVITATION_TTL_DAYS,
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_CHALLENGE_TTL,
+  TWO_FACTOR_CHALLENGE_ATTEMPTS,
+  TWO_FACTOR_RECOVERY_CODE_COUNT,
+  LOGIN_THROTTLE,
+  OIDC,
+  API_KEYS,
+  IMPERSONATION_TTL_MINUTES,
+};
@@ -0,0 +1,28 @@
+// Employee 201 file: document types HR keeps per employee. Types marked
+// `expires` need an expiry date and are included in expiry reminders.
+const DOCUMENT_TYPES = {
+  employment_contract: { label: "Employment contract", expires: false },
+  nbi_clearance: { label: "NBI clearance", expires: true },
+  barangay_clearance: { label: "Barangay clearance", expires: true },
+  diploma: { label: "Diploma", expires: false },
+  transcript_of_records: { label: "Transcript of records", expires: false },
+  birth_certificate: { label: "PSA birth certificate", expires: false },
+  medical_result: { label: "Medical results", expires: true },
+  government_id: { label: "Government-issued ID", expires: true },
+  other: { label: "Other", expires: false },
+};
+
+// Uploads are checked against the file content, not just the declared type
+const DOCUMENT_UPLOAD = {
+  maxFileSizeMb: parseInt(process.env.DOCUMENT_MAX_FILE_SIZE_MB || "10", 10),
+  allowedMimeTypes: ["application/pdf", "image/jpeg", "image/png"],
+};
+
+// Days before expiry at which the employee and HR are reminded (0 = on the day)
+const DOCUMENT_REMINDER_DAYS = (process.env.DOCUMENT_REMINDER_DAYS || "30,7,0")
+  .split(",")
+  .map((days) => parseInt(days, 10))
+  .filter((days) => Number.isInteger(days) && days >= 0)
+  .sort((a, b) => b - a);
+
+module.exports = { DOCUMENT_TYPES, DOCUMENT_UPLOAD, DOCUMENT_REMINDER_DAYS };
@@ -0,0 +1,32 @@
+// Employee number formats. Tokens:
+//   {PREFIX}  - the company's prefix (see PUT /api/admin/companies/:id/employee-numbers)
+//   {YYYY}    - hire year, {YY} its last two digits
+//   {SEQ:n}   - the sequence number padded to n digits ({SEQ} = no padding)
+// Each prefix has its own sequence, restarting every hire year when the format contains a year.
+const EMPLOYEE_NUMBER_TOKEN_PATTERN = /\{(PREFIX|YYYY|YY|SEQ(?::(\d+))?)\}/g;
+
+/**
+ * Why an employee number format cannot be used (null when it can)
+ */
+function employeeNumberFormatError(format) {
+  if (typeof format !== "string" || !format.trim()) return "Employee number format is required";
+  if (format.length > 40) return "Employee number format must be at most 40 characters";
+
+  const tokens = [...format.matchAll(EMPLOYEE_NUMBER_TOKEN_PATTERN)].map((match) => match[1]);
+  if (tokens.filter((token) => token.startsWith("SEQ")).length !== 1) {
+    return "Employee number format must contain {SEQ} (or {SEQ:n}) exactly once";
+  }
+  if (/[{}]/.test(format.replace(EMPLOYEE_NUMBER_TOKEN_PATTERN, ""))) {
+    return "Employee number format may only use {PREFIX}, {YYYY}, {YY} and {SEQ:n}";
+  }
+  return null;
+}
+
+// Format used by companies without their own
+const EMPLOYEE_NUMBER_FORMAT = process.env.EMPLOYEE_NUMBER_FORMAT || "{PREFIX}-{YYYY}-{SEQ:4}";
+const formatError = employeeNumberFormatError(EMPLOYEE_NUMBER_FORMAT);
+if (formatError) {
+  throw new Error(`EMPLOYEE_NUMBER_FORMAT: ${formatError}`);
+}
+
+module.exports = { EMPLOYEE_NUMBER_TOKEN_PATTERN, EMPLOYEE_NUMBER_FORMAT, employeeNumberFormatError };
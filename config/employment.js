@@ -0,0 +1,34 @@
+// Employment statuses. `endDate` statuses need a contract end date; `separated`
+// statuses end employment (see also models/Offboarding.js).
+const EMPLOYMENT_STATUSES = {
+  probationary: { label: "Probationary", endDate: false, separated: false },
+  regular: { label: "Regular", endDate: false, separated: false },
+  contractual: { label: "Contractual", endDate: true, separated: false },
+  project_based: { label: "Project-based", endDate: true, separated: false },
+  resigned: { label: "Resigned", endDate: false, separated: true },
+  terminated: { label: "Terminated", endDate: false, separated: true },
+};
+
+function parseList(value) {
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+// Months from hire to the regularization due date of probationary employees
+const PROBATION_MONTHS = parseInt(process.env.PROBATION_MONTHS || "6", 10);
+
+// Statuses whose leave credits may be used
+const LEAVE_ELIGIBLE_STATUSES = parseList(process.env.LEAVE_ELIGIBLE_STATUSES || "regular").filter(
+  (status) => EMPLOYMENT_STATUSES[status]
+);
+
+// Days before a regularization or contract end date at which HR and the direct
+// supervisor are reminded (0 = on the day)
+const EMPLOYMENT_REMINDER_DAYS = parseList(process.env.EMPLOYMENT_REMINDER_DAYS || "30,7,0")
+  .map((days) => parseInt(days, 10))
+  .filter((days) => Number.isInteger(days) && days >= 0)
+  .sort((a, b) => b - a);
+
+module.exports = { EMPLOYMENT_STATUSES, PROBATION_MONTHS, LEAVE_ELIGIBLE_STATUSES, EMPLOYMENT_REMINDER_DAYS };
@@ -0,0 +1,41 @@
+const crypto = require("crypto");
+const { JWT_SECRET } = require("./auth");
+
+// Field-level encryption of sensitive employee data (AES-256-GCM).
+// FIELD_ENCRYPTION_KEYS is a comma-separated list of "keyId:base64Key" pairs
+// (32-byte keys). The first key encrypts; every listed key can decrypt, so a
+// new key is rotated in by putting it first and running
+// scripts/rotateFieldEncryption.js before removing the old one.
+function parseKeys(value) {
+  const keys = value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [id, encoded] = entry.split(":");
+      const key = Buffer.from(encoded || "", "base64");
+      if (!/^[A-Za-z0-9_-]+$/.test(id || "") || key.length !== 32) {
+        throw new Error(`Invalid FIELD_ENCRYPTION_KEYS entry "${id}": expected keyId:base64 32-byte key`);
+      }
+      return { id, key };
+    });
+  if (keys.length === 0) throw new Error("FIELD_ENCRYPTION_KEYS does not contain any key");
+  return keys;
+}
+
+// Development fallback derived from the JWT secret (set real keys in production)
+function derivedKey(purpose) {
+  return crypto.createHash("sha256").update(`${purpose}:${JWT_SECRET}`).digest();
+}
+
+const FIELD_ENCRYPTION_KEYS = process.env.FIELD_ENCRYPTION_KEYS
+  ? parseKeys(process.env.FIELD_ENCRYPTION_KEYS)
+  : [{ id: "dev", key: derivedKey("field-encryption") }];
+
+// HMAC key for blind indexes, which let encrypted values be looked up and kept
+// unique. Changing it requires re-running scripts/rotateFieldEncryption.js.
+const FIELD_HASH_KEY = process.env.FIELD_HASH_KEY
+  ? Buffer.from(process.env.FIELD_HASH_KEY, "base64")
+  : derivedKey("field-hash");
+
+module.exports = { FIELD_ENCRYPTION_KEYS, FIELD_HASH_KEY };
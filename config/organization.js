@@ -0,0 +1,12 @@
+// Who reviews leave applications and profile changes:
+//   role       - approvers chosen by permission and the applicant's role (default)
+//   supervisor - the applicant's direct supervisor; by role when they have none
+//   either     - the direct supervisor or any role approver
+const APPROVAL_ROUTING_MODES = ["role", "supervisor", "either"];
+
+const APPROVAL_ROUTING = process.env.APPROVAL_ROUTING || "role";
+if (!APPROVAL_ROUTING_MODES.includes(APPROVAL_ROUTING)) {
+  throw new Error(`APPROVAL_ROUTING must be one of: ${APPROVAL_ROUTING_MODES.join(", ")}`);
+}
+
+module.exports = { APPROVAL_ROUTING_MODES, APPROVAL_ROUTING };
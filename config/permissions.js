@@ -0,0 +1,91 @@
+// Every permission the API checks, with a description for the admin UI.
+// Roles are named bundles of these keys stored in MongoDB (see models/Role.js).
+const PERMISSIONS = {
+  "users.create": "Register new user accounts",
+  "users.view": "See account details (role, status, approval) in the user directory",
+  "directory.view": "Browse the employee directory",
+  "users.impersonate": "View the app as another user with a read-only token",
+  "employees.edit": "Edit any employee profile",
+  "employees.viewSensitive": "See unmasked government IDs, birth dates, addresses and emergency contacts",
+  "employees.export": "Export the employee masterlist (CSV/XLSX)",
+  "employees.approve": "Approve or reject Employee profiles",
+  "employees.approveHR": "Approve or reject HR profiles",
+  "employees.selfApprove": "Own profile changes are approved automatically",
+  "profileFields.manage": "Choose which profile fields need approval",
+  "employees.offboard": "Deactivate accounts and sign off offboarding clearance",
+  "documents.manage": "Manage employee 201 files and required documents",
+  "leaves.approve": "Approve or reject Employee leave applications",
+  "leaves.approveHR": "Approve or reject HR leave applications",
+  "leaves.selfApprove": "Own leave applications are approved automatically",
+  "leaves.viewAll": "View all leave applications",
+  "attendance.viewAll": "Monitor attendance of all employees",
+  "receipts.viewAll": "View receipts of all employees",
+  "assets.manage": "Manage assets and asset requests",
+  "departments.manage": "Create, rename and delete departments",
+  "companies.manage": "Create, rename and delete companies",
+  "security.audit": "View login history and unlock accounts",
+  "sessions.revoke": "View and force-logout sessions of any user",
+  "security.manage": "Change organisation security settings",
+  "roles.manage": "Create roles and grant them to users",
+  "serviceAccounts.manage": "Create service accounts and manage their API keys",
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Scopes a new API key may carry. Keys only reach GET routes, so only the
+// permissions those routes check are offered.
+const API_KEY_SCOPES = [
+  "users.view",
+  "directory.view",
+  "employees.viewSensitive",
+  "employees.export",
+  "leaves.viewAll",
+  "attendance.viewAll",
+  "receipts.viewAll",
+];
+
+// Roles created on startup when missing. legacyRole links a bundle to the numeric
+// User.role (1 = Manager, 2 = HR, 3 = Employee) so existing accounts keep their access.
+const DEFAULT_ROLES = [
+  {
+    name: "Manager",
+    description: "Full administrative access",
+    legacyRole: 1,
+    permissions: ALL_PERMISSIONS,
+  },
+  {
+    name: "HR",
+    description: "Human resources",
+    legacyRole: 2,
+    permissions: [
+      "users.create",
+      "users.view",
+      "directory.view",
+      "employees.edit",
+      "employees.viewSensitive",
+      "employees.export",
+      "employees.approve",
+      "employees.offboard",
+      "documents.manage",
+      "profileFields.manage",
+      "leaves.approve",
+      "leaves.viewAll",
+      "attendance.viewAll",
+      "security.audit",
+      "sessions.revoke",
+    ],
+  },
+  {
+    name: "Employee",
+    description: "Default access for every employee",
+    legacyRole: 3,
+    permissions: ["directory.view"],
+  },
+  {
+    name: "IT",
+    description: "IT asset management",
+    permissions: ["assets.manage"],
+  },
+];
+
+module.exports = { PERMISSIONS, ALL_PERMISSIONS, API_KEY_SCOPES, DEFAULT_ROLES };
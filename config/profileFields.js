@@ -0,0 +1,64 @@
+// Employee profile fields that are versioned and reviewed (see services/profileChanges.js).
+// The profile picture is not among them: it can be changed at any time without approval.
+const PROFILE_FIELDS = [
+  "firstName",
+  "lastName",
+  "birthDate",
+  "personalEmail",
+  "mobileNumber",
+  "homeAddress",
+  "emergencyContactName",
+  "relationship",
+  "emergencyContactNumber",
+  "position",
+  "company",
+  "department",
+  "dateHired",
+  "sssNumber",
+  "philhealthNumber",
+  "tinNumber",
+  "pagibigNumber",
+];
+
+// How an employee's edit of an approved profile is handled, per field:
+// - self_service: applied immediately
+// - approval_required: collected into a change set for an approver
+// - hr_only: rejected; only users with employees.edit can change it
+const FIELD_CLASSIFICATIONS = ["self_service", "approval_required", "hr_only"];
+
+// Used for every field without a rule in the database (models/ProfileFieldRule.js)
+const DEFAULT_FIELD_RULES = {
+  firstName: "approval_required",
+  lastName: "approval_required",
+  birthDate: "approval_required",
+  personalEmail: "self_service",
+  mobileNumber: "self_service",
+  homeAddress: "self_service",
+  emergencyContactName: "self_service",
+  relationship: "self_service",
+  emergencyContactNumber: "self_service",
+  position: "approval_required",
+  company: "approval_required",
+  department: "approval_required",
+  dateHired: "approval_required",
+  sssNumber: "approval_required",
+  philhealthNumber: "approval_required",
+  tinNumber: "approval_required",
+  pagibigNumber: "approval_required",
+};
+
+// Encrypted at rest (services/fieldEncryption.js) and masked in responses unless the
+// caller owns the profile or has employees.viewSensitive (services/profileMasking.js)
+const SENSITIVE_PROFILE_FIELDS = [
+  "birthDate",
+  "homeAddress",
+  "emergencyContactName",
+  "relationship",
+  "emergencyContactNumber",
+  "sssNumber",
+  "philhealthNumber",
+  "tinNumber",
+  "pagibigNumber",
+];
+
+module.exports = { PROFILE_FIELDS, FIELD_CLASSIFICATIONS, DEFAULT_FIELD_RULES, SENSITIVE_PROFILE_FIELDS };
@@ -0,0 +1,14 @@
+// Profile pictures are re-encoded as square JPEG thumbnails at each size (px);
+// the largest becomes Employee.profilePicture
+const PROFILE_PICTURE = {
+  sizes: [64, 128, 256, 512],
+  maxFileSizeMb: parseInt(process.env.PROFILE_PICTURE_MAX_FILE_SIZE_MB || "5", 10),
+  formats: ["jpeg", "png", "webp", "heif"],
+  // Images smaller than this on either side are rejected
+  minDimension: 64,
+  // Guards against decompression bombs (sharp's limitInputPixels)
+  maxPixels: 40 * 1000 * 1000,
+  quality: 85,
+};
+
+module.exports = { PROFILE_PICTURE };
@@ -1,23 +1,113 @@
 const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const Impersonation = require("../models/Impersonation");
+const { isSessionActive, touchSession } = require("../services/sessions");
+const { authenticateApiKey } = require("../services/apiKeys");
+const { isImpersonationActive, auditImpersonatedRequest } = require("../services/impersonation");
+const { JWT_SECRET } = require("../config/auth");
 
-const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
+// Service accounts authenticate with the X-API-Key header. Keys are read-only and
+// only reach routes guarded by requirePermission, checked against the key's scopes;
+// routes that act on "the current user" are never available to them.
+async function verifyApiKey(req, res, next, rawKey) {
+  const guarded = req.route?.stack.some((layer) => layer.handle.requiredPermissions);
+  if (!guarded) {
+    return res.status(403).json({ error: "This endpoint is not available to API keys" });
+  }
+
+  if (!["GET", "HEAD"].includes(req.method)) {
+    return res.status(403).json({ error: "API keys are read-only" });
+  }
+
+  const authenticated = await authenticateApiKey(rawKey, req);
+  if (!authenticated) {
+    return res.status(401).json({ error: "Invalid or expired API key" });
+  }
+
+  const { apiKey, serviceAccount } = authenticated;
+  req.user = {
+    serviceAccountId: serviceAccount._id,
+    apiKeyId: apiKey._id,
+    name: serviceAccount.name,
+    role: null,
+    roles: [],
+    isServiceAccount: true,
+  };
+  // requirePermission / hasPermission use the key's scopes instead of role bundles
+  req.permissions = new Set(apiKey.scopes);
+  next();
+}
 
 // Middleware to verify JWT token
-function verifyToken(req, res, next) {
+// The user is re-read on every request so that revoked sessions and role
+// changes take effect immediately instead of when the token expires.
+async function verifyToken(req, res, next) {
   try {
     const token = req.headers.authorization?.split("Bearer ")[1];
 
+    if (!token && req.headers["x-api-key"]) {
+      return await verifyApiKey(req, res, next, req.headers["x-api-key"]);
+    }
+
     if (!token) {
       return res.status(401).json({ error: "No token provided" });
     }
 
     // Verify the token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      console.error("Token verification error:", error.message);
+      return res.status(401).json({ error: "Invalid token" });
+    }
+
+    // Two-factor challenge tokens are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+
+    const user = await User.findById(decoded.userId).select("email role roles tokenVersion status");
+    if (!user || (user.tokenVersion || 0) !== (decoded.tokenVersion || 0)) {
+      return res.status(401).json({ error: "Token has been revoked" });
+    }
+
+    // Offboarded accounts are locked out even if a token slipped through revocation
+    if (!user.isActive()) {
+      return res.status(403).json({ error: "Account has been deactivated" });
+    }
+
+    // Impersonation tokens: audited, read-only and dead once the Manager stops them
+    if (decoded.impersonationId) {
+      const impersonation = await Impersonation.findById(decoded.impersonationId);
+      const impersonatorActive = await User.exists({ _id: decoded.impersonatorId, status: { $ne: "inactive" } });
+      if (!isImpersonationActive(impersonation) || !impersonatorActive) {
+        return res.status(401).json({ error: "Impersonation has ended" });
+      }
+
+      auditImpersonatedRequest(req, res, impersonation);
+      res.set("X-Impersonated-By", String(decoded.impersonatorId));
+
+      if (!["GET", "HEAD"].includes(req.method)) {
+        return res.status(403).json({ error: "Impersonation tokens are read-only" });
+      }
+    }
+
+    // Tokens issued for a session die with it (logout, device revoked by the user or HR)
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid).select("revokedAt expiresAt lastSeenAt");
+      if (!isSessionActive(session)) {
+        return res.status(401).json({ error: "Session has been revoked" });
+      }
+      await touchSession(session, req);
+    }
+
+    req.user = { ...decoded, email: user.email, role: user.role, roles: user.roles };
     next();
   } catch (error) {
     console.error("Token verification error:", error);
-    res.status(401).json({ error: "Invalid token" });
+    res.status(500).json({ error: "Failed to verify token" });
   }
 }
 
@@ -0,0 +1,81 @@
+const { getUserPermissions } = require("../services/permissions");
+const { employeeIdOfUser, hasDirectReports } = require("../services/reportingLines");
+const { APPROVAL_ROUTING } = require("../config/organization");
+
+// Resolve (once per request) the permissions of the user set by verifyToken
+async function loadPermissions(req) {
+  if (!req.permissions) {
+    req.permissions = await getUserPermissions(req.user);
+  }
+  return req.permissions;
+}
+
+// Check a permission inside a handler
+async function hasPermission(req, permission) {
+  const permissions = await loadPermissions(req);
+  return permissions.has(permission);
+}
+
+// Applicant roles the caller may approve for an approval area ("employees" or "leaves"):
+// the base permission covers Employees (3), the "HR" variant covers HR (2)
+async function getApprovableRoles(req, area) {
+  const permissions = await loadPermissions(req);
+  const roles = [];
+  if (permissions.has(`${area}.approveHR`)) roles.push(2);
+  if (permissions.has(`${area}.approve`)) roles.push(3);
+  return roles;
+}
+
+// Who the caller is when reviewing an approval area: the roles they approve by
+// permission and their employee profile (to match them as a direct supervisor)
+async function getApprover(req, area) {
+  return {
+    userId: req.user.userId,
+    approvableRoles: await getApprovableRoles(req, area),
+    employeeId: APPROVAL_ROUTING === "role" ? null : await employeeIdOfUser(req.user.userId),
+  };
+}
+
+// Middleware factory: the caller may open an approval queue ("employees" or "leaves")
+// through `${area}.approve`, or as a supervisor when APPROVAL_ROUTING involves them
+function requireApprover(area) {
+  const permission = `${area}.approve`;
+  const middleware = async (req, res, next) => {
+    try {
+      const permissions = await loadPermissions(req);
+      if (permissions.has(permission)) return next();
+
+      if (APPROVAL_ROUTING !== "role" && (await hasDirectReports(req.user.userId))) return next();
+
+      return res.status(403).json({ error: `Access denied: requires ${permission} permission` });
+    } catch (error) {
+      console.error("Permission check error:", error);
+      res.status(500).json({ error: "Failed to check permissions" });
+    }
+  };
+  middleware.requiredPermissions = [permission];
+  return middleware;
+}
+
+// Middleware factory: require every listed permission (use after verifyToken)
+function requirePermission(...required) {
+  const middleware = async (req, res, next) => {
+    try {
+      const permissions = await loadPermissions(req);
+      const missing = required.filter((permission) => !permissions.has(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({ error: `Access denied: requires ${missing.join(", ")} permission` });
+      }
+      next();
+    } catch (error) {
+      console.error("Permission check error:", error);
+      res.status(500).json({ error: "Failed to check permissions" });
+    }
+  };
+  // Lets verifyToken tell which routes are permission-guarded (API keys may only use those)
+  middleware.requiredPermissions = required;
+  return middleware;
+}
+
+module.exports = { requirePermission, requireApprover, hasPermission, getApprovableRoles, getApprover };
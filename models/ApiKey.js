@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+const { ALL_PERMISSIONS } = require("../config/permissions");
+
+// API key of a service account. Only a SHA-256 hash of the key is stored;
+// the raw key is shown once when it is created or rotated.
+const apiKeySchema = new mongoose.Schema(
+  {
+    serviceAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ServiceAccount",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      default: null,
+    },
+    // Leading characters of the key, to recognise it in lists and logs
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Permission keys the key may use (see config/permissions.js)
+    scopes: {
+      type: [String],
+      required: true,
+      validate: {
+        validator: (scopes) => scopes.length > 0 && scopes.every((scope) => ALL_PERMISSIONS.includes(scope)),
+        message: "Scopes must be a non-empty list of known permissions",
+      },
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Set on the old key when it is rotated
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
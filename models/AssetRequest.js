@@ -28,7 +28,7 @@ const assetRequestSchema = new mongoose.Schema(
     status: {
       type: String,
       required: true,
-      enum: ["Pending", "Approved", "Rejected", "Deployed"],
+      enum: ["Pending", "Approved", "Rejected", "Deployed", "Cancelled"],
       default: "Pending",
     },
     approvedBy: {
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Append-only audit trail of sensitive actions (e.g. impersonation start/stop
+// and every request made while impersonating)
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Who acted (the real person, never the impersonated user)
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    impersonationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Impersonation",
+      default: null,
+    },
+    method: String,
+    path: String,
+    statusCode: Number,
+    ipAddress: String,
+    userAgent: String,
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetUserId: 1, createdAt: -1 });
+auditLogSchema.index({ impersonationId: 1, createdAt: 1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -11,6 +11,60 @@ const companySchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Employee numbers of this company's staff (see config/employeeNumbers.js)
+    employeeNumbers: {
+      prefix: {
+        type: String,
+        default: null,
+        trim: true,
+        uppercase: true,
+      },
+      // Overrides EMPLOYEE_NUMBER_FORMAT for this company
+      format: {
+        type: String,
+        default: null,
+      },
+    },
+    // OpenID Connect single sign-on for this company's staff
+    sso: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Label for the login button, e.g. "Sign in with Okta"
+      displayName: {
+        type: String,
+        default: null,
+      },
+      issuer: {
+        type: String,
+        default: null,
+      },
+      clientId: {
+        type: String,
+        default: null,
+      },
+      // Confidential clients only; never returned by the API
+      clientSecret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      scopes: {
+        type: String,
+        default: "openid email profile",
+      },
+      // Email domains accepted from this provider (empty = any domain, no provisioning)
+      allowedDomains: {
+        type: [String],
+        default: [],
+      },
+      // Create Employee-role accounts on first login for allowed domains
+      jitProvisioning: {
+        type: Boolean,
+        default: false,
+      },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
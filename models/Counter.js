@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// Named sequences incremented atomically (see services/employeeNumbers.js)
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Counter", counterSchema);
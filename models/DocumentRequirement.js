@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+const { DOCUMENT_TYPES } = require("../config/documents");
+
+// Documents every employee in a position must have on file. The position "*"
+// applies to everyone; positions are matched case-insensitively.
+const documentRequirementSchema = new mongoose.Schema(
+  {
+    position: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    documentTypes: {
+      type: [{ type: String, enum: Object.keys(DOCUMENT_TYPES) }],
+      default: [],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+documentRequirementSchema.index(
+  { position: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } }
+);
+
+module.exports = mongoose.model("DocumentRequirement", documentRequirementSchema);
@@ -1,4 +1,24 @@
 const mongoose = require("mongoose");
+const { normalizeGovernmentId, governmentIdError, GOVERNMENT_ID_FIELDS } = require("../services/governmentIds");
+const { encryptedFields } = require("../services/fieldEncryption");
+const { SENSITIVE_PROFILE_FIELDS } = require("../config/profileFields");
+const { EMPLOYMENT_STATUSES } = require("../config/employment");
+const { regularizationDueFrom } = require("../services/employmentStatus");
+
+// Throws so the error names the problem (the value itself is encrypted at this point)
+function governmentIdValidator(field) {
+  return (v) => {
+    const error = governmentIdError(field, v);
+    if (error) throw new Error(error);
+    return true;
+  };
+}
+
+function toIsoDate(value) {
+  if (value === undefined || value === null || value === "") return value;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
 
 const employeeSchema = new mongoose.Schema(
   {
@@ -7,6 +27,11 @@ const employeeSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Human-readable number such as BRG-2026-0042, set once on approval
+    employeeNumber: {
+      type: String,
+      default: null,
+    },
     firstName: {
       type: String,
       required: true,
@@ -15,9 +40,16 @@ const employeeSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Stored as an encrypted ISO string; read back as a Date
     birthDate: {
-      type: Date,
+      type: String,
       required: true,
+      set: toIsoDate,
+      get: (v) => (v ? new Date(v) : v),
+      validate: {
+        validator: (v) => !Number.isNaN(new Date(v).getTime()),
+        message: "Birth date is not a valid date",
+      },
     },
     personalEmail: {
       type: String,
@@ -48,60 +80,91 @@ const employeeSchema = new mongoose.Schema(
       required: true,
     },
     company: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "company",
       required: true,
     },
     department: {
-      type: String,
-      required: false,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "department",
+      default: null,
     },
     dateHired: {
       type: Date,
       required: true,
     },
+    // Current employment status, mirrored from the latest effective entry of
+    // models/EmploymentStatusChange.js (change it through services/employmentStatus.js)
+    employmentStatus: {
+      type: String,
+      enum: Object.keys(EMPLOYMENT_STATUSES),
+      default: "probationary",
+    },
+    employmentStatusSince: {
+      type: Date,
+      required: false,
+    },
+    regularizationDueDate: {
+      type: Date,
+      default: null,
+    },
+    contractEndDate: {
+      type: Date,
+      default: null,
+    },
+    // Reminder thresholds already sent, e.g. "regularization:30" (reset when the date changes)
+    employmentRemindersSent: {
+      type: [String],
+      default: [],
+    },
+    // Direct supervisor; set through PUT /api/org/employees/:employeeId/reports-to,
+    // which rejects cycles (see services/reportingLines.js)
+    reportsTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "employee_details",
+      default: null,
+    },
+    // URL of the largest thumbnail (see services/profilePictures.js)
     profilePicture: {
       type: String,
       required: false,
     },
+    // Every stored thumbnail, smallest first
+    profilePictureFiles: {
+      type: [
+        {
+          _id: false,
+          size: Number,
+          provider: { type: String, enum: ["local", "cloudinary"] },
+          key: String,
+          url: String,
+        },
+      ],
+      default: [],
+    },
     sssNumber: {
       type: String,
       required: true,
-      validate: {
-        validator: function(v) {
-          return /^\d{2}-\d{7}-\d{1}$/.test(v);
-        },
-        message: 'SSS Number must follow format XX-XXXXXXX-X'
-      }
+      set: (v) => normalizeGovernmentId("sssNumber", v),
+      validate: governmentIdValidator("sssNumber"),
     },
     philhealthNumber: {
       type: String,
       required: true,
-      validate: {
-        validator: function(v) {
-          return /^\d{2}-\d{9}-\d{1}$/.test(v);
-        },
-        message: 'PhilHealth Number must follow format XX-XXXXXXXXX-X'
-      }
+      set: (v) => normalizeGovernmentId("philhealthNumber", v),
+      validate: governmentIdValidator("philhealthNumber"),
     },
     tinNumber: {
       type: String,
       required: true,
-      validate: {
-        validator: function(v) {
-          return /^\d{3}-\d{3}-\d{3}-\d{3}$/.test(v);
-        },
-        message: 'TIN Number must follow format XXX-XXX-XXX-XXX'
-      }
+      set: (v) => normalizeGovernmentId("tinNumber", v),
+      validate: governmentIdValidator("tinNumber"),
     },
     pagibigNumber: {
       type: String,
       required: true,
-      validate: {
-        validator: function(v) {
-          return /^\d{4}-\d{4}-\d{4}$/.test(v);
-        },
-        message: 'Pag-IBIG Number must follow format XXXX-XXXX-XXXX'
-      }
+      set: (v) => normalizeGovernmentId("pagibigNumber", v),
+      validate: governmentIdValidator("pagibigNumber"),
     },
     // Leave Credits (1 per month from hire date, per leave type)
     vacationCredits: {
@@ -133,6 +196,20 @@ const employeeSchema = new mongoose.Schema(
       type: String,
       required: false,
     },
+    // Latest approved version (see models/EmployeeProfileVersion.js); 0 until first approval
+    profileVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Set when the employee is offboarded (see models/Offboarding.js)
+    separationDate: {
+      type: Date,
+      required: false,
+    },
+    separationReason: {
+      type: String,
+      required: false,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -145,4 +222,38 @@ const employeeSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+employeeSchema.plugin(encryptedFields, {
+  fields: SENSITIVE_PROFILE_FIELDS,
+  blindIndexes: GOVERNMENT_ID_FIELDS,
+});
+
+// New hires start probationary from their hire date
+employeeSchema.pre("validate", function () {
+  if (!this.isNew || !this.dateHired) return;
+  if (!this.employmentStatusSince) this.employmentStatusSince = this.dateHired;
+  if (this.employmentStatus === "probationary" && !this.regularizationDueDate) {
+    this.regularizationDueDate = regularizationDueFrom(this.dateHired);
+  }
+});
+
+employeeSchema.index({ userId: 1 });
+// Assigned on approval (services/employeeNumbers.js); profiles awaiting approval have none
+employeeSchema.index(
+  { employeeNumber: 1 },
+  { unique: true, partialFilterExpression: { employeeNumber: { $type: "string" } } }
+);
+employeeSchema.index({ reportsTo: 1 });
+employeeSchema.index({ company: 1, department: 1 });
+employeeSchema.index({ department: 1 });
+employeeSchema.index({ employmentStatus: 1, regularizationDueDate: 1 });
+employeeSchema.index({ employmentStatus: 1, contractEndDate: 1 });
+// One employee per government ID, matched through the blind index of the encrypted
+// value (run scripts/migrateGovernmentIds.js on existing data first)
+for (const field of GOVERNMENT_ID_FIELDS) {
+  employeeSchema.index(
+    { [`${field}Hash`]: 1 },
+    { unique: true, partialFilterExpression: { [`${field}Hash`]: { $type: "string" } } }
+  );
+}
+
 module.exports = mongoose.model("employee_details", employeeSchema);
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+const { DOCUMENT_TYPES } = require("../config/documents");
+
+// File in an employee's 201 file (contract, clearance, diploma, medical results...).
+// Only the employee and users with documents.manage can read it.
+const employeeDocumentSchema = new mongoose.Schema(
+  {
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "employee_details",
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.keys(DOCUMENT_TYPES),
+      required: true,
+    },
+    title: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // Storage reference from services/storage.js
+    file: {
+      provider: { type: String, enum: ["local", "cloudinary"], required: true },
+      key: { type: String, required: true },
+      resourceType: { type: String, default: null },
+      format: { type: String, default: null },
+      originalName: { type: String, required: true },
+      mimeType: { type: String, required: true },
+      size: { type: Number, required: true },
+    },
+    issuedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    // Reminder thresholds (days before expiry) already sent for this expiry date
+    remindersSent: {
+      type: [Number],
+      default: [],
+    },
+    notes: {
+      type: String,
+      default: null,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("EmployeeDocument", employeeDocumentSchema);
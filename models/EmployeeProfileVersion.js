@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+const { encryptFieldsIn, decryptFieldsIn } = require("../services/fieldEncryption");
+const { SENSITIVE_PROFILE_FIELDS } = require("../config/profileFields");
+
+// Snapshot of an employee profile each time its approved values change
+const employeeProfileVersionSchema = new mongoose.Schema(
+  {
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "employee_details",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    // Sensitive fields are encrypted like on the profile itself
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      set: (snapshot) => encryptFieldsIn(snapshot, SENSITIVE_PROFILE_FIELDS),
+      get: (snapshot) => decryptFieldsIn(snapshot, SENSITIVE_PROFILE_FIELDS),
+    },
+    changedFields: {
+      type: [String],
+      default: [],
+    },
+    source: {
+      type: String,
+      enum: ["initial", "change_request", "self_service", "self_approved", "hr_edit", "import"],
+      required: true,
+    },
+    changeRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ProfileChangeRequest",
+      default: null,
+    },
+    // Who made the values live (the approver, or the editor for direct changes)
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true, toJSON: { getters: true, virtuals: false }, toObject: { getters: true, virtuals: false } }
+);
+
+employeeProfileVersionSchema.index({ employeeId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("EmployeeProfileVersion", employeeProfileVersionSchema);
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const { EMPLOYMENT_STATUSES } = require("../config/employment");
+
+// Effective-dated employment status history. The latest change whose effectiveDate
+// has passed is mirrored on the profile (see services/employmentStatus.js).
+const employmentStatusChangeSchema = new mongoose.Schema(
+  {
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "employee_details",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.keys(EMPLOYMENT_STATUSES),
+      required: true,
+    },
+    effectiveDate: {
+      type: Date,
+      required: true,
+    },
+    // Probationary only
+    regularizationDueDate: {
+      type: Date,
+      default: null,
+    },
+    // Contractual and project-based only
+    contractEndDate: {
+      type: Date,
+      default: null,
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    // Set once the effective date has passed and the profile reflects it
+    applied: {
+      type: Boolean,
+      default: false,
+    },
+    // Separation recorded by an offboarding; removed if the offboarding is cancelled
+    offboardingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Offboarding",
+      default: null,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+employmentStatusChangeSchema.index({ employeeId: 1, effectiveDate: -1, createdAt: -1 });
+employmentStatusChangeSchema.index({ applied: 1, effectiveDate: 1 });
+
+module.exports = mongoose.model("EmploymentStatusChange", employmentStatusChangeSchema);
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// A Manager viewing the app as another user through a read-only token
+const impersonationSchema = new mongoose.Schema(
+  {
+    impersonatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Why support needed to see the user's view (e.g. a ticket reference)
+    reason: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    ipAddress: String,
+    userAgent: String,
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Impersonation", impersonationSchema);
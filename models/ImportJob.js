@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+// Background bulk import of users + employee profiles from a spreadsheet
+const importJobSchema = new mongoose.Schema(
+  {
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    fileName: {
+      type: String,
+      default: null,
+    },
+    // Validate every row without creating anything
+    dryRun: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed", "failed"],
+      default: "pending",
+      index: true,
+    },
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    processedRows: {
+      type: Number,
+      default: 0,
+    },
+    summary: {
+      valid: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    // One entry per spreadsheet row; never holds the submitted personal data itself
+    results: [
+      {
+        _id: false,
+        row: Number,
+        email: String,
+        status: {
+          type: String,
+          enum: ["valid", "created", "failed"],
+        },
+        messages: [String],
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        employeeId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "employee_details",
+        },
+      },
+    ],
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ImportJob", importJobSchema);
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    role: {
+      type: Number,
+      enum: [1, 2, 3], // 1 = Manager, 2 = HR, 3 = Employee
+      default: 3,
+    },
+    // Pre-filled into the employee profile form after acceptance
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "company",
+      default: null,
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "department",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["sent", "accepted", "expired", "revoked"],
+      default: "sent",
+      index: true,
+    },
+    // SHA-256 of the signed link currently valid; resending replaces it
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sentCount: {
+      type: Number,
+      default: 1,
+    },
+    lastSentAt: {
+      type: Date,
+      default: Date.now,
+    },
+    acceptedAt: {
+      type: Date,
+      required: false,
+    },
+    acceptedUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: false,
+    },
+    revokedAt: {
+      type: Date,
+      required: false,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+    // The link hash never leaves the server, whichever route returns the invitation
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+      },
+    },
+  }
+);
+
+// Flag invitations whose link has lapsed; status is otherwise only changed by actions
+invitationSchema.statics.markExpired = async function () {
+  return this.updateMany({ status: "sent", expiresAt: { $lte: new Date() } }, { status: "expired" });
+};
+
+module.exports = mongoose.model("Invitation", invitationSchema);
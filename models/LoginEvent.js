@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Audit trail of every login attempt (password and 2FA steps)
+const loginEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Email as typed, kept even when it matches no account
+    email: {
+      type: String,
+      default: null,
+      lowercase: true,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: ["password", "2fa", "sso"],
+      default: "password",
+    },
+    reason: {
+      type: String,
+      enum: [
+        "success",
+        "2fa_required",
+        "unknown_email",
+        "invalid_password",
+        "invalid_2fa",
+        "challenge_exhausted",
+        "account_locked",
+        "account_inactive",
+        "sso_failed",
+        "ip_throttled",
+      ],
+      required: true,
+    },
+    ipAddress: String,
+    userAgent: String,
+  },
+  { timestamps: true }
+);
+
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+loginEventSchema.index({ ipAddress: 1, success: 1, createdAt: -1 });
+loginEventSchema.index({ email: 1, createdAt: -1 });
+
+module.exports = mongoose.model("LoginEvent", loginEventSchema);
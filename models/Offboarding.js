@@ -0,0 +1,132 @@
+const mongoose = require("mongoose");
+
+// Offboarding case opened when an employee's account is deactivated.
+// Tracks asset returns and the clearance checklist until HR signs it off.
+const offboardingSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "employee_details",
+      default: null,
+    },
+    separationDate: {
+      type: Date,
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    notes: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["in_progress", "cleared", "cancelled"],
+      default: "in_progress",
+      index: true,
+    },
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Assets that were assigned to the employee when offboarding started
+    assets: [
+      {
+        _id: false,
+        asset: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Asset",
+          required: true,
+        },
+        assetTag: String,
+        assetType: String,
+        returned: {
+          type: Boolean,
+          default: false,
+        },
+        returnedAt: {
+          type: Date,
+          default: null,
+        },
+        receivedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        condition: {
+          type: String,
+          default: null,
+        },
+      },
+    ],
+    cancelledLeaves: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Leave",
+      },
+    ],
+    cancelledAssetRequests: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AssetRequest",
+      },
+    ],
+    checklist: [
+      {
+        _id: false,
+        key: {
+          type: String,
+          required: true,
+        },
+        label: {
+          type: String,
+          required: true,
+        },
+        completed: {
+          type: Boolean,
+          default: false,
+        },
+        completedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        completedAt: {
+          type: Date,
+          default: null,
+        },
+        notes: {
+          type: String,
+          default: null,
+        },
+      },
+    ],
+    signedOffBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    signedOffAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// At most one open case per user
+offboardingSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: "in_progress" }, name: "one_open_offboarding_per_user" }
+);
+
+module.exports = mongoose.model("Offboarding", offboardingSchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// Short-lived record of an SSO login in flight. Created when the browser is
+// sent to the identity provider; after the callback it holds the one-time
+// login code the frontend exchanges for tokens.
+const oidcStateSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "company",
+      required: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    // PKCE code_verifier; only its S256 challenge is sent to the provider
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    // Set when the callback uses the state, so it cannot be replayed
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    // SHA-256 of the one-time login code handed to the frontend
+    loginCodeHash: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// MongoDB removes expired states automatically
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OidcState", oidcStateSchema);
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+const { encryptValue, decryptValue } = require("../services/fieldEncryption");
+const { SENSITIVE_PROFILE_FIELDS } = require("../config/profileFields");
+
+// Edit of an approved employee profile waiting for review. The live profile keeps
+// its approved values until the change set is approved.
+const profileChangeRequestSchema = new mongoose.Schema(
+  {
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "employee_details",
+      required: true,
+      index: true,
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Field-by-field diff against the profile version it was made from
+    changes: [
+      {
+        _id: false,
+        field: {
+          type: String,
+          required: true,
+        },
+        // Encrypted for sensitive fields (see the validate hook below)
+        from: { type: mongoose.Schema.Types.Mixed, get: decryptValue },
+        to: { type: mongoose.Schema.Types.Mixed, get: decryptValue },
+      },
+    ],
+    baseVersion: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "superseded"],
+      default: "pending",
+      index: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectionReason: {
+      type: String,
+      default: null,
+    },
+    // Profile version created when the change set was applied
+    appliedVersion: {
+      type: Number,
+      default: null,
+    },
+  },
+  { timestamps: true, toJSON: { getters: true, virtuals: false }, toObject: { getters: true, virtuals: false } }
+);
+
+profileChangeRequestSchema.pre("validate", async function () {
+  for (const change of this.changes) {
+    if (!SENSITIVE_PROFILE_FIELDS.includes(change.field)) continue;
+    change.set("from", encryptValue(change.get("from", null, { getters: false })));
+    change.set("to", encryptValue(change.get("to", null, { getters: false })));
+  }
+});
+
+// An employee has at most one change set under review
+profileChangeRequestSchema.index(
+  { employeeId: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" }, name: "one_pending_change_per_employee" }
+);
+
+module.exports = mongoose.model("ProfileChangeRequest", profileChangeRequestSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+const { PROFILE_FIELDS, FIELD_CLASSIFICATIONS } = require("../config/profileFields");
+
+// Database override of how edits to one profile field are handled
+// (defaults live in config/profileFields.js)
+const profileFieldRuleSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+      unique: true,
+      enum: PROFILE_FIELDS,
+    },
+    classification: {
+      type: String,
+      required: true,
+      enum: FIELD_CLASSIFICATIONS,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ProfileFieldRule", profileFieldRuleSchema);
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the raw token; the raw value is only ever returned to the client
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Every token rotated from the same login belongs to one session, so reuse of an
+    // already-rotated token can revoke the whole chain
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+    createdByIp: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB purge expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
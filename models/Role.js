@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+const { ALL_PERMISSIONS } = require("../config/permissions");
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: function (permissions) {
+          return permissions.every((permission) => ALL_PERMISSIONS.includes(permission));
+        },
+        message: "Unknown permission in role",
+      },
+    },
+    // Numeric User.role this bundle applies to automatically (1 = Manager, 2 = HR, 3 = Employee)
+    legacyRole: {
+      type: Number,
+      enum: [1, 2, 3],
+      required: false,
+    },
+    // Default permissions already applied to a built-in role; lets startup add
+    // permissions introduced later without re-adding ones an admin removed
+    seededPermissions: {
+      type: [String],
+      default: [],
+    },
+    // Built-in roles cannot be deleted
+    system: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+roleSchema.index(
+  { legacyRole: 1 },
+  { unique: true, partialFilterExpression: { legacyRole: { $exists: true } } }
+);
+
+module.exports = mongoose.model("Role", roleSchema);
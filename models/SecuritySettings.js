@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Single organisation-wide document holding security switches managed from /api/admin
+const securitySettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      default: "global",
+    },
+    // Roles (1 = Manager, 2 = HR, 3 = Employee) that must use two-factor authentication
+    twoFactorRequiredRoles: {
+      type: [Number],
+      default: [],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: false,
+    },
+  },
+  { timestamps: true }
+);
+
+// Fetch the settings document, creating it with defaults on first use
+securitySettingsSchema.statics.getSettings = async function () {
+  return this.findOneAndUpdate(
+    { key: "global" },
+    { $setOnInsert: { key: "global" } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model("SecuritySettings", securitySettingsSchema);
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Non-human account used by integrations (payroll, accounting scripts).
+// Authenticates with API keys (models/ApiKey.js) instead of a password.
+const serviceAccountSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    // Disabling an account stops all of its keys at once
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ServiceAccount", serviceAccountSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// One login on one device. Refresh tokens rotate within a session; access tokens
+// carry its id (sid) so revoking the session logs that device out immediately.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    ipAddress: String,
+    userAgent: String,
+    // Human-readable summary of the user agent, e.g. "Chrome on Windows"
+    deviceInfo: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
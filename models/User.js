@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { PASSWORD_RESET_TTL_MINUTES, PASSWORD_POLICY } = require("../config/auth");
 
 const userSchema = new mongoose.Schema(
   {
@@ -18,10 +20,103 @@ const userSchema = new mongoose.Schema(
       enum: [1, 2, 3], // 1 = Manager, 2 = HR, 3 = Employee
       default: 3,
     },
+    // Extra roles granted on top of the bundle for `role` (see models/Role.js)
+    roles: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Role",
+      },
+    ],
+    // Inactive accounts (offboarded employees) can no longer sign in or use the API
+    status: {
+      type: String,
+      enum: ["active", "inactive"],
+      default: "active",
+      index: true,
+    },
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+    deactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Identities at OpenID Connect providers linked on first SSO login
+    externalIdentities: [
+      {
+        _id: false,
+        issuer: String,
+        subject: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     passwordChanged: {
       type: Boolean,
       default: false,
     },
+    // bcrypt hashes of previous passwords (most recent first) to block reuse
+    passwordHistory: {
+      type: [String],
+      default: [],
+    },
+    // Consecutive failed logins; reset on success or when an admin unlocks the account
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        default: null,
+      },
+      // Secret generated by /2fa/setup, promoted to `secret` once a code is confirmed
+      pendingSecret: {
+        type: String,
+        default: null,
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        default: [],
+      },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        default: null,
+      },
+      // Only the latest login challenge is accepted, for a few codes
+      challengeId: {
+        type: String,
+        default: null,
+      },
+      challengeAttempts: {
+        type: Number,
+        default: 0,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Incremented to invalidate every access token issued so far
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -30,6 +125,16 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // SHA-256 of the outstanding password reset token (raw token is only emailed)
+    passwordResetTokenHash: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    passwordResetExpires: {
+      type: Date,
+      default: null,
+    },
     createdAtFormatted: {
       type: String,
       default: null,
@@ -38,6 +143,11 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+userSchema.index(
+  { "externalIdentities.issuer": 1, "externalIdentities.subject": 1 },
+  { unique: true, partialFilterExpression: { "externalIdentities.subject": { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre("save", async function () {
   // If password wasn't modified, do nothing
@@ -64,6 +174,41 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Check a candidate against the current password and the remembered history
+userSchema.methods.isPasswordReused = async function (candidate) {
+  const hashes = [this.password, ...(this.passwordHistory || [])].slice(0, PASSWORD_POLICY.historySize);
+  for (const hash of hashes) {
+    if (hash && (await bcrypt.compare(candidate, hash))) return true;
+  }
+  return false;
+};
+
+// Replace the password, remembering the current hash in the history
+userSchema.methods.setPassword = function (newPassword) {
+  if (this.password) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(
+      0,
+      Math.max(PASSWORD_POLICY.historySize - 1, 0)
+    );
+  }
+  this.password = newPassword;
+  this.passwordChanged = true;
+  this.passwordChangedAt = new Date();
+};
+
+// Generate a one-time password reset token; stores only its hash and returns the raw token
+userSchema.methods.createPasswordResetToken = function () {
+  const rawToken = crypto.randomBytes(32).toString("hex");
+  this.passwordResetTokenHash = crypto.createHash("sha256").update(rawToken).digest("hex");
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  return rawToken;
+};
+
+// Users created before the status field existed have no value and count as active
+userSchema.methods.isActive = function () {
+  return this.status !== "inactive";
+};
+
 // Register model name "User" so refs like ref: "User" work correctly.
 // Under the hood MongoDB collection will still be "users".
 module.exports = mongoose.model("User", userSchema);
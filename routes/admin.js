@@ -1,21 +1,75 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Department = require("../models/Department");
 const Company = require("../models/Company");
+const SecuritySettings = require("../models/SecuritySettings");
+const LoginEvent = require("../models/LoginEvent");
+const AuditLog = require("../models/AuditLog");
+const Impersonation = require("../models/Impersonation");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const ProfileFieldRule = require("../models/ProfileFieldRule");
 const { verifyToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissions");
+const { getUserPermissions } = require("../services/permissions");
+const { listActiveSessions } = require("../services/sessions");
+const { revokeAllUserTokens } = require("../services/tokens");
+const { getProviderMetadata } = require("../services/oidc");
+const { PERMISSIONS } = require("../config/permissions");
+const { PROFILE_FIELDS, FIELD_CLASSIFICATIONS, DEFAULT_FIELD_RULES } = require("../config/profileFields");
+const { getFieldRules } = require("../services/profileChanges");
+const { ORG_UNITS, NAME_COLLATION, orgUnitUsage, mergeOrgUnit } = require("../services/organizationUnits");
+const { numberingOf, previewEmployeeNumber } = require("../services/employeeNumbers");
+const { EMPLOYEE_NUMBER_FORMAT, employeeNumberFormatError } = require("../config/employeeNumbers");
+
+// Refuse to delete a company or department employees or open invitations still use
+async function orgUnitInUse(kind, id, res) {
+  const usage = await orgUnitUsage(kind, id);
+  if (usage.employees === 0 && usage.invitations === 0) return false;
+
+  const label = ORG_UNITS[kind].label;
+  res.status(409).json({
+    error:
+      `${label} is still assigned to ${usage.employees} employee(s) and ${usage.invitations} open invitation(s); ` +
+      `merge it into another ${label.toLowerCase()} instead`,
+    ...usage,
+  });
+  return true;
+}
+
+// Merge the company or department :id into body.intoId (everything referencing it moves, then it is deleted)
+async function mergeOrgUnitRoute(kind, req, res) {
+  const { model, label } = ORG_UNITS[kind];
+  const { intoId } = req.body;
+
+  if (!intoId) {
+    return res.status(400).json({ error: "intoId is required" });
+  }
+  if (!mongoose.isValidObjectId(intoId)) {
+    return res.status(400).json({ error: `intoId must be a ${label.toLowerCase()} id` });
+  }
+  if (String(intoId) === String(req.params.id)) {
+    return res.status(400).json({ error: `A ${label.toLowerCase()} cannot be merged into itself` });
+  }
 
-// Middleware to ensure user is a Manager (role #1)
-const ensureManager = (req, res, next) => {
-  if (req.user.role !== 1) {
-    return res.status(403).json({ error: "Access denied. Manager role required." });
+  const source = mongoose.isValidObjectId(req.params.id) ? await model.findById(req.params.id) : null;
+  if (!source) {
+    return res.status(404).json({ error: `${label} not found` });
   }
-  next();
-};
+  const target = await model.findById(intoId);
+  if (!target) {
+    return res.status(404).json({ error: `${label} to merge into not found` });
+  }
+
+  const moved = await mergeOrgUnit(kind, source, target);
+  res.json({ message: `${source.name} merged into ${target.name}`, [kind]: target, moved });
+}
 
 // ==================== DEPARTMENT ROUTES ====================
 
 // Get all departments
-router.get("/departments", verifyToken, ensureManager, async (req, res) => {
+router.get("/departments", verifyToken, requirePermission("departments.manage"), async (req, res) => {
   try {
     const departments = await Department.find().sort({ name: 1 });
     res.json(departments);
@@ -25,7 +79,7 @@ router.get("/departments", verifyToken, ensureManager, async (req, res) => {
 });
 
 // Create department
-router.post("/departments", verifyToken, ensureManager, async (req, res) => {
+router.post("/departments", verifyToken, requirePermission("departments.manage"), async (req, res) => {
   try {
     const { name, description } = req.body;
 
@@ -33,7 +87,7 @@ router.post("/departments", verifyToken, ensureManager, async (req, res) => {
       return res.status(400).json({ error: "Department name is required" });
     }
 
-    const existingDept = await Department.findOne({ name: name.trim() });
+    const existingDept = await Department.findOne({ name: name.trim() }).collation(NAME_COLLATION);
     if (existingDept) {
       return res.status(400).json({ error: "Department already exists" });
     }
@@ -50,8 +104,8 @@ router.post("/departments", verifyToken, ensureManager, async (req, res) => {
   }
 });
 
-// Update department
-router.put("/departments/:id", verifyToken, ensureManager, async (req, res) => {
+// Update department (employees reference it by id, so a rename applies to all of them)
+router.put("/departments/:id", verifyToken, requirePermission("departments.manage"), async (req, res) => {
   try {
     const { name, description } = req.body;
 
@@ -63,7 +117,7 @@ router.put("/departments/:id", verifyToken, ensureManager, async (req, res) => {
     const existingDept = await Department.findOne({ 
       name: name.trim(),
       _id: { $ne: req.params.id }
-    });
+    }).collation(NAME_COLLATION);
     if (existingDept) {
       return res.status(400).json({ error: "Department name already exists" });
     }
@@ -84,9 +138,11 @@ router.put("/departments/:id", verifyToken, ensureManager, async (req, res) => {
   }
 });
 
-// Delete department
-router.delete("/departments/:id", verifyToken, ensureManager, async (req, res) => {
+// Delete an unused department
+router.delete("/departments/:id", verifyToken, requirePermission("departments.manage"), async (req, res) => {
   try {
+    if (await orgUnitInUse("department", req.params.id, res)) return;
+
     const department = await Department.findByIdAndDelete(req.params.id);
 
     if (!department) {
@@ -99,20 +155,29 @@ router.delete("/departments/:id", verifyToken, ensureManager, async (req, res) =
   }
 });
 
+// Merge a department into another (body: { intoId })
+router.post("/departments/:id/merge", verifyToken, requirePermission("departments.manage"), async (req, res) => {
+  try {
+    await mergeOrgUnitRoute("department", req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== COMPANY ROUTES ====================
 
 // Get all companies (accessible to all authenticated users for profile selection)
 router.get("/companies", verifyToken, async (req, res) => {
   try {
-    const companies = await Company.find().sort({ name: 1 });
+    const companies = await Company.find().select("-sso").sort({ name: 1 });
     res.json(companies);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Create company (manager only)
-router.post("/companies", verifyToken, ensureManager, async (req, res) => {
+// Create company
+router.post("/companies", verifyToken, requirePermission("companies.manage"), async (req, res) => {
   try {
     const { name, description } = req.body;
 
@@ -120,7 +185,7 @@ router.post("/companies", verifyToken, ensureManager, async (req, res) => {
       return res.status(400).json({ error: "Company name is required" });
     }
 
-    const existingCompany = await Company.findOne({ name: name.trim() });
+    const existingCompany = await Company.findOne({ name: name.trim() }).collation(NAME_COLLATION);
     if (existingCompany) {
       return res.status(400).json({ error: "Company already exists" });
     }
@@ -137,8 +202,8 @@ router.post("/companies", verifyToken, ensureManager, async (req, res) => {
   }
 });
 
-// Update company
-router.put("/companies/:id", verifyToken, ensureManager, async (req, res) => {
+// Update company (employees reference it by id, so a rename applies to all of them)
+router.put("/companies/:id", verifyToken, requirePermission("companies.manage"), async (req, res) => {
   try {
     const { name, description } = req.body;
 
@@ -150,7 +215,7 @@ router.put("/companies/:id", verifyToken, ensureManager, async (req, res) => {
     const existingCompany = await Company.findOne({ 
       name: name.trim(),
       _id: { $ne: req.params.id }
-    });
+    }).collation(NAME_COLLATION);
     if (existingCompany) {
       return res.status(400).json({ error: "Company name already exists" });
     }
@@ -171,9 +236,11 @@ router.put("/companies/:id", verifyToken, ensureManager, async (req, res) => {
   }
 });
 
-// Delete company
-router.delete("/companies/:id", verifyToken, ensureManager, async (req, res) => {
+// Delete an unused company
+router.delete("/companies/:id", verifyToken, requirePermission("companies.manage"), async (req, res) => {
   try {
+    if (await orgUnitInUse("company", req.params.id, res)) return;
+
     const company = await Company.findByIdAndDelete(req.params.id);
 
     if (!company) {
@@ -186,4 +253,558 @@ router.delete("/companies/:id", verifyToken, ensureManager, async (req, res) =>
   }
 });
 
+// Merge a company into another (body: { intoId }); the merged company's SSO settings are dropped
+router.post("/companies/:id/merge", verifyToken, requirePermission("companies.manage"), async (req, res) => {
+  try {
+    await mergeOrgUnitRoute("company", req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a company's single sign-on configuration (the client secret is never returned)
+router.get("/companies/:id/sso", verifyToken, requirePermission("security.manage"), async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id).select("+sso.clientSecret");
+
+    if (!company) {
+      return res.status(404).json({ error: "Company not found" });
+    }
+
+    const { clientSecret, ...sso } = company.sso.toObject();
+    res.json({ companyId: company._id, name: company.name, sso: { ...sso, hasClientSecret: Boolean(clientSecret) } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a company's single sign-on configuration
+// Send clientSecret: null to switch to a public (PKCE-only) client; omit it to keep the current secret
+router.put("/companies/:id/sso", verifyToken, requirePermission("security.manage"), async (req, res) => {
+  try {
+    const { enabled, displayName, issuer, clientId, clientSecret, scopes, allowedDomains, jitProvisioning } = req.body;
+
+    const company = await Company.findById(req.params.id).select("+sso.clientSecret");
+    if (!company) {
+      return res.status(404).json({ error: "Company not found" });
+    }
+
+    if (allowedDomains !== undefined && !Array.isArray(allowedDomains)) {
+      return res.status(400).json({ error: "allowedDomains must be an array" });
+    }
+
+    if (enabled !== undefined) company.sso.enabled = Boolean(enabled);
+    if (displayName !== undefined) company.sso.displayName = displayName || null;
+    if (issuer !== undefined) company.sso.issuer = issuer ? String(issuer).trim() : null;
+    if (clientId !== undefined) company.sso.clientId = clientId || null;
+    if (clientSecret !== undefined) company.sso.clientSecret = clientSecret || null;
+    if (scopes !== undefined) company.sso.scopes = scopes || "openid email profile";
+    if (allowedDomains !== undefined) {
+      company.sso.allowedDomains = allowedDomains.map((domain) => String(domain).toLowerCase().trim()).filter(Boolean);
+    }
+    if (jitProvisioning !== undefined) company.sso.jitProvisioning = Boolean(jitProvisioning);
+
+    if (company.sso.enabled) {
+      if (!company.sso.issuer || !company.sso.clientId) {
+        return res.status(400).json({ error: "Issuer and client ID are required to enable SSO" });
+      }
+
+      // Fail early on a wrong issuer rather than at the first login
+      try {
+        await getProviderMetadata(company.sso.issuer);
+      } catch (discoveryError) {
+        return res.status(400).json({ error: `Could not load provider configuration: ${discoveryError.message}` });
+      }
+    }
+
+    await company.save();
+
+    const { clientSecret: savedSecret, ...sso } = company.sso.toObject();
+    res.json({ companyId: company._id, name: company.name, sso: { ...sso, hasClientSecret: Boolean(savedSecret) } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+async function employeeNumberSettings(company) {
+  return {
+    companyId: company._id,
+    name: company.name,
+    prefix: company.employeeNumbers?.prefix || null,
+    format: company.employeeNumbers?.format || null,
+    defaultFormat: EMPLOYEE_NUMBER_FORMAT,
+    effective: numberingOf(company),
+    nextNumber: await previewEmployeeNumber(company),
+  };
+}
+
+// Get a company's employee number prefix and format, with the next number it would assign
+router.get("/companies/:id/employee-numbers", verifyToken, requirePermission("companies.manage"), async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id).select("name employeeNumbers");
+
+    if (!company) {
+      return res.status(404).json({ error: "Company not found" });
+    }
+
+    res.json(await employeeNumberSettings(company));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a company's employee number prefix and/or format (null resets to the default).
+// Existing numbers are kept; only employees approved afterwards get the new format.
+router.put("/companies/:id/employee-numbers", verifyToken, requirePermission("companies.manage"), async (req, res) => {
+  try {
+    const { prefix, format } = req.body;
+    const company = await Company.findById(req.params.id).select("name employeeNumbers");
+
+    if (!company) {
+      return res.status(404).json({ error: "Company not found" });
+    }
+
+    if (prefix !== undefined) {
+      if (prefix && !/^[A-Za-z0-9]{1,10}$/.test(String(prefix).trim())) {
+        return res.status(400).json({ error: "Prefix must be 1-10 letters or digits" });
+      }
+      company.employeeNumbers.prefix = prefix ? String(prefix).trim() : null;
+    }
+
+    if (format !== undefined) {
+      const formatError = format ? employeeNumberFormatError(format) : null;
+      if (formatError) {
+        return res.status(400).json({ error: formatError });
+      }
+      company.employeeNumbers.format = format || null;
+    }
+
+    await company.save();
+    res.json(await employeeNumberSettings(company));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== PROFILE FIELD RULES ====================
+
+// Classification of every profile field, marking the ones changed from the default
+router.get("/profile-fields", verifyToken, requirePermission("profileFields.manage"), async (req, res) => {
+  try {
+    const rules = await getFieldRules();
+
+    res.json({
+      classifications: FIELD_CLASSIFICATIONS,
+      fields: PROFILE_FIELDS.map((field) => ({
+        field,
+        classification: rules[field],
+        isDefault: rules[field] === DEFAULT_FIELD_RULES[field],
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set how edits to a profile field are handled (self_service | approval_required | hr_only)
+router.put("/profile-fields/:field", verifyToken, requirePermission("profileFields.manage"), async (req, res) => {
+  try {
+    const { field } = req.params;
+    const { classification } = req.body;
+
+    if (!PROFILE_FIELDS.includes(field)) {
+      return res.status(404).json({ error: "Unknown profile field" });
+    }
+
+    if (!FIELD_CLASSIFICATIONS.includes(classification)) {
+      return res.status(400).json({ error: `Classification must be one of: ${FIELD_CLASSIFICATIONS.join(", ")}` });
+    }
+
+    const rule = await ProfileFieldRule.findOneAndUpdate(
+      { field },
+      { classification, updatedBy: req.user.userId },
+      { new: true, upsert: true }
+    );
+
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reset a profile field to its default classification
+router.delete("/profile-fields/:field", verifyToken, requirePermission("profileFields.manage"), async (req, res) => {
+  try {
+    const { field } = req.params;
+
+    if (!PROFILE_FIELDS.includes(field)) {
+      return res.status(404).json({ error: "Unknown profile field" });
+    }
+
+    await ProfileFieldRule.deleteOne({ field });
+
+    res.json({ field, classification: DEFAULT_FIELD_RULES[field], isDefault: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== SECURITY SETTINGS ROUTES ====================
+
+// Get two-factor authentication policy
+router.get("/security/two-factor", verifyToken, requirePermission("security.manage"), async (req, res) => {
+  try {
+    const settings = await SecuritySettings.getSettings();
+    res.json({ requiredRoles: settings.twoFactorRequiredRoles });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set which roles must use two-factor authentication (e.g. { requiredRoles: [1, 2] })
+router.put("/security/two-factor", verifyToken, requirePermission("security.manage"), async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    if (!Array.isArray(requiredRoles) || !requiredRoles.every((role) => [1, 2, 3].includes(role))) {
+      return res.status(400).json({ error: "requiredRoles must be a list of roles (1, 2 or 3)" });
+    }
+
+    const settings = await SecuritySettings.getSettings();
+    settings.twoFactorRequiredRoles = [...new Set(requiredRoles)];
+    settings.updatedBy = req.user.userId;
+    await settings.save();
+
+    res.json({ requiredRoles: settings.twoFactorRequiredRoles });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== LOGIN AUDIT ROUTES ====================
+
+// Get login history (filters: userId, email, success, ipAddress, startDate, endDate; paginated)
+router.get("/login-events", verifyToken, requirePermission("security.audit"), async (req, res) => {
+  try {
+    const { userId, email, success, ipAddress, startDate, endDate } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (userId) {
+      if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ error: "userId must be a user id" });
+      }
+      query.userId = userId;
+    }
+    if (email) query.email = String(email).toLowerCase().trim();
+    if (success !== undefined) query.success = success === "true";
+    if (ipAddress) query.ipAddress = ipAddress;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [total, events] = await Promise.all([
+      LoginEvent.countDocuments(query),
+      LoginEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.json({ total, page, limit, events });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Impersonations, newest first (optional ?active=true for the ones still running)
+router.get("/impersonations", verifyToken, requirePermission("security.audit"), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active === "true") {
+      query.endedAt = null;
+      query.expiresAt = { $gt: new Date() };
+    }
+
+    const impersonations = await Impersonation.find(query)
+      .populate("impersonatorId", "email")
+      .populate("targetUserId", "email")
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    res.json({ total: impersonations.length, impersonations });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Audit trail (optional filters: action, actorId, targetUserId, impersonationId, startDate, endDate)
+router.get("/audit-logs", verifyToken, requirePermission("security.audit"), async (req, res) => {
+  try {
+    const { action, actorId, targetUserId, impersonationId, startDate, endDate } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (action) query.action = action;
+    if (actorId) query.actorId = actorId;
+    if (targetUserId) query.targetUserId = targetUserId;
+    if (impersonationId) query.impersonationId = impersonationId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [total, entries] = await Promise.all([
+      AuditLog.countDocuments(query),
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.json({ total, page, limit, entries });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unlock an account locked by failed login attempts
+router.post("/users/:userId/unlock", verifyToken, requirePermission("security.audit"), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { failedLoginAttempts: 0, lockUntil: null },
+      { new: true }
+    ).select("email failedLoginAttempts lockUntil");
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({ message: "Account unlocked successfully", user });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== SESSION ROUTES ====================
+
+// List active sessions of a user
+router.get("/users/:userId/sessions", verifyToken, requirePermission("sessions.revoke"), async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.params.userId);
+    res.json({ total: sessions.length, sessions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Force-logout every session of a user
+router.post("/users/:userId/logout-all", verifyToken, requirePermission("sessions.revoke"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select("email");
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await revokeAllUserTokens(user._id, { revokedBy: req.user.userId });
+
+    res.json({ message: `All sessions of ${user.email} have been logged out` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== ROLE & PERMISSION ROUTES ====================
+
+// List every permission that can be placed in a role
+router.get("/permissions", verifyToken, requirePermission("roles.manage"), async (req, res) => {
+  try {
+    res.json(Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all roles
+router.get("/roles", verifyToken, requirePermission("roles.manage"), async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+    res.json(roles);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create role
+router.post("/roles", verifyToken, requirePermission("roles.manage"), async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (!name || name.trim() === "") {
+      return res.status(400).json({ error: "Role name is required" });
+    }
+
+    const existingRole = await Role.findOne({ name: name.trim() });
+    if (existingRole) {
+      return res.status(400).json({ error: "Role already exists" });
+    }
+
+    const role = new Role({
+      name: name.trim(),
+      description: description || "",
+      permissions: permissions || [],
+    });
+
+    await role.save();
+    res.status(201).json(role);
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update role (name, description, permissions)
+router.put("/roles/:id", verifyToken, requirePermission("roles.manage"), async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ error: "Role not found" });
+    }
+
+    if (name !== undefined) {
+      if (name.trim() === "") {
+        return res.status(400).json({ error: "Role name is required" });
+      }
+      const existingRole = await Role.findOne({ name: name.trim(), _id: { $ne: role._id } });
+      if (existingRole) {
+        return res.status(400).json({ error: "Role name already exists" });
+      }
+      role.name = name.trim();
+    }
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+
+    // Never let the last way to manage roles disappear
+    if (role.legacyRole === 1 && !role.permissions.includes("roles.manage")) {
+      return res.status(400).json({ error: "The Manager role must keep the roles.manage permission" });
+    }
+
+    await role.save();
+    res.json(role);
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete role (built-in roles cannot be deleted)
+router.delete("/roles/:id", verifyToken, requirePermission("roles.manage"), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({ error: "Role not found" });
+    }
+
+    if (role.system) {
+      return res.status(400).json({ error: "Built-in roles cannot be deleted" });
+    }
+
+    await User.updateMany({ roles: role._id }, { $pull: { roles: role._id } });
+    await role.deleteOne();
+
+    res.json({ message: "Role deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a user's granted roles and effective permissions
+router.get("/users/:userId/permissions", verifyToken, requirePermission("roles.manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select("email role roles").populate("roles", "name");
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const permissions = await getUserPermissions({ role: user.role, roles: user.roles.map((role) => role._id) });
+
+    res.json({
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      roles: user.roles,
+      permissions: [...permissions].sort(),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Grant a role to a user
+router.post("/users/:userId/roles", verifyToken, requirePermission("roles.manage"), async (req, res) => {
+  try {
+    const { roleId } = req.body;
+
+    if (!roleId) {
+      return res.status(400).json({ error: "Role ID is required" });
+    }
+
+    const role = await Role.findById(roleId);
+    if (!role) {
+      return res.status(404).json({ error: "Role not found" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $addToSet: { roles: role._id } },
+      { new: true }
+    ).select("email role roles").populate("roles", "name");
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({ message: `Role ${role.name} granted`, user });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a granted role from a user
+router.delete("/users/:userId/roles/:roleId", verifyToken, requirePermission("roles.manage"), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $pull: { roles: req.params.roleId } },
+      { new: true }
+    ).select("email role roles").populate("roles", "name");
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({ message: "Role revoked", user });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
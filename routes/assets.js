@@ -3,63 +3,36 @@ const Asset = require("../models/Asset");
 const AssetRequest = require("../models/AssetRequest");
 const Employee = require("../models/Employee");
 const { verifyToken } = require("../middleware/auth");
+const { requirePermission, hasPermission } = require("../middleware/permissions");
+const { ORG_UNIT_POPULATE } = require("../services/organizationUnits");
 
 const router = express.Router();
 
-// Middleware to check if user is Manager or specific IT user
-async function ensureIT(req, res, next) {
-  try {
-    const User = require("../models/User");
-    
-    // Check if user is Manager (role 1) or specific IT email
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(403).json({ error: "User not found" });
-    }
-    
-    const isManager = req.user.role === 1;
-    const isITUser = user.email === "vivol@borgs.com.au";
-    
-    if (isManager || isITUser) {
-      return next();
-    }
-    
-    return res.status(403).json({ error: "Access denied: Insufficient permissions to manage assets" });
-  } catch (error) {
-    return res.status(500).json({ error: error.message });
-  }
-}
+// Asset management is granted through the assets.manage permission (Manager and IT roles)
+const ensureIT = requirePermission("assets.manage");
 
 // Get all assets (all employees can view)
 router.get("/", verifyToken, async (req, res) => {
   try {
-    const User = require("../models/User");
     const employee = await Employee.findOne({ userId: req.user.userId });
     
     if (!employee) {
       return res.status(404).json({ error: "Employee profile not found" });
     }
     
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
-    
     let assets;
-    const isManager = req.user.role === 1;
-    const isITUser = user.email === "vivol@borgs.com.au";
-    const canManageAssets = isManager || isITUser;
+    const canManageAssets = await hasPermission(req, "assets.manage");
     
     if (canManageAssets) {
       // Managers/IT can see all assets
       assets = await Asset.find()
-        .populate("assignedTo", "firstName lastName position department")
+        .populate({ path: "assignedTo", select: "firstName lastName position department", populate: ORG_UNIT_POPULATE })
         .populate("createdBy", "email")
         .sort({ createdAt: -1 });
     } else {
       // Regular employees only see their assigned assets
       assets = await Asset.find({ assignedTo: employee._id })
-        .populate("assignedTo", "firstName lastName position department")
+        .populate({ path: "assignedTo", select: "firstName lastName position department", populate: ORG_UNIT_POPULATE })
         .populate("createdBy", "email")
         .sort({ createdAt: -1 });
     }
@@ -74,7 +47,7 @@ router.get("/", verifyToken, async (req, res) => {
 router.get("/:id", verifyToken, async (req, res) => {
   try {
     const asset = await Asset.findById(req.params.id)
-      .populate("assignedTo", "firstName lastName position department")
+      .populate({ path: "assignedTo", select: "firstName lastName position department", populate: ORG_UNIT_POPULATE })
       .populate("createdBy", "email")
       .populate("updatedBy", "email");
     
@@ -139,7 +112,7 @@ router.post("/", verifyToken, ensureIT, async (req, res) => {
     await asset.save();
     
     const populatedAsset = await Asset.findById(asset._id)
-      .populate("assignedTo", "firstName lastName position department")
+      .populate({ path: "assignedTo", select: "firstName lastName position department", populate: ORG_UNIT_POPULATE })
       .populate("createdBy", "email");
     
     res.status(201).json({
@@ -209,7 +182,7 @@ router.put("/:id", verifyToken, ensureIT, async (req, res) => {
     await asset.save();
     
     const populatedAsset = await Asset.findById(asset._id)
-      .populate("assignedTo", "firstName lastName position department")
+      .populate({ path: "assignedTo", select: "firstName lastName position department", populate: ORG_UNIT_POPULATE })
       .populate("createdBy", "email")
       .populate("updatedBy", "email");
     
@@ -243,6 +216,7 @@ router.get("/employees/list", verifyToken, ensureIT, async (req, res) => {
   try {
     const employees = await Employee.find({ approval_status: 1 })
       .select("firstName lastName position department")
+      .populate(ORG_UNIT_POPULATE)
       .sort({ firstName: 1, lastName: 1 });
     
     res.json(employees);
@@ -297,21 +271,13 @@ router.post("/requests", verifyToken, async (req, res) => {
 // Get asset requests
 router.get("/requests/all", verifyToken, async (req, res) => {
   try {
-    const User = require("../models/User");
     const employee = await Employee.findOne({ userId: req.user.userId });
     if (!employee) {
       return res.status(404).json({ error: "Employee profile not found" });
     }
-    
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
 
-    // Managers or specific IT user can see all requests, regular employees see only their own
-    const isManager = req.user.role === 1;
-    const isITUser = user.email === "vivol@borgs.com.au";
-    const canManageAssets = isManager || isITUser;
+    // Asset managers can see all requests, regular employees see only their own
+    const canManageAssets = await hasPermission(req, "assets.manage");
 
     let requests;
     if (canManageAssets) {
@@ -3,6 +3,7 @@ const router = express.Router();
 const Attendance = require('../models/Attendance');
 const Employee = require('../models/Employee');
 const { verifyToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const multer = require('multer');
 const { cloudinary, USE_CLOUDINARY } = require('../config/cloudinary');
 
@@ -363,21 +364,24 @@ router.get('/history', verifyToken, async (req, res) => {
   }
 });
 
-// Get all attendance records (for managers/HR - role 1 or 2)
-router.get('/monitor', verifyToken, async (req, res) => {
+// Get all attendance records (requires attendance.viewAll); ?employeeNumber= narrows to one employee
+router.get('/monitor', verifyToken, requirePermission('attendance.viewAll'), async (req, res) => {
   try {
-    // Check if user is manager or HR
-    if (req.user.role !== 1 && req.user.role !== 2) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
-
-    const { startDate, endDate, userId, limit = 100 } = req.query;
+    const { startDate, endDate, userId, employeeNumber, limit = 100 } = req.query;
     
     const query = {};
     
     if (userId) {
       query.userId = userId;
     }
+
+    if (employeeNumber) {
+      const employee = await Employee.findOne({ employeeNumber: String(employeeNumber).trim() }).select('_id').lean();
+      if (!employee) {
+        return res.json([]);
+      }
+      query.employeeId = employee._id;
+    }
     
     if (startDate || endDate) {
       query.timestamp = {};
@@ -388,7 +392,7 @@ router.get('/monitor', verifyToken, async (req, res) => {
     const attendance = await Attendance.find(query)
       .sort({ timestamp: -1 })
       .limit(parseInt(limit))
-      .populate('employeeId', 'firstName lastName employeeId')
+      .populate('employeeId', 'employeeNumber firstName lastName')
       .lean();
 
     res.json(attendance);
@@ -398,26 +402,21 @@ router.get('/monitor', verifyToken, async (req, res) => {
   }
 });
 
-// Get today's attendance summary (for managers/HR)
-router.get('/today-summary', verifyToken, async (req, res) => {
+// Get today's attendance summary (requires attendance.viewAll)
+router.get('/today-summary', verifyToken, requirePermission('attendance.viewAll'), async (req, res) => {
   try {
-    // Check if user is manager or HR
-    if (req.user.role !== 1 && req.user.role !== 2) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
-
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
     const clockIns = await Attendance.find({
       action: 'clock-in',
       timestamp: { $gte: today }
-    }).populate('employeeId', 'firstName lastName employeeId').lean();
+    }).populate('employeeId', 'employeeNumber firstName lastName').lean();
 
     const clockOuts = await Attendance.find({
       action: 'clock-out',
       timestamp: { $gte: today }
-    }).populate('employeeId', 'firstName lastName employeeId').lean();
+    }).populate('employeeId', 'employeeNumber firstName lastName').lean();
 
     // Get all employees
     const allEmployees = await Employee.find().lean();
@@ -1,24 +1,132 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
-const Employee = require("../models/Employee");
+const Company = require("../models/Company");
 const { verifyToken } = require("../middleware/auth");
+const { requirePermission, hasPermission } = require("../middleware/permissions");
+const {
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+} = require("../services/tokens");
+const { listActiveSessions, revokeSession } = require("../services/sessions");
+const { sendPasswordResetEmail } = require("../services/authEmails");
+const { validatePassword } = require("../services/passwordPolicy");
+const {
+  CHALLENGE_LOGIN,
+  CHALLENGE_SETUP,
+  isTwoFactorRequired,
+  createChallengeToken,
+  createLoginChallenge,
+  useLoginChallenge,
+  verifyChallengeToken,
+  beginEnrollment,
+  generateRecoveryCodes,
+  completeEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+} = require("../services/twoFactor");
+const {
+  recordLoginEvent,
+  countRecentIpFailures,
+  getIpRetryAfter,
+  isAccountLocked,
+  registerAccountFailure,
+  resetAccountFailures,
+  progressiveDelay,
+} = require("../services/loginThrottle");
+const { SSO_ERRORS, beginLogin, claimState, completeCallback, redeemLoginCode } = require("../services/oidc");
+const { startImpersonation, stopImpersonation } = require("../services/impersonation");
+const Impersonation = require("../models/Impersonation");
+const { getUserPermissions } = require("../services/permissions");
+const { searchDirectory } = require("../services/userDirectory");
+const { PASSWORD_POLICY, OIDC } = require("../config/auth");
 const router = express.Router();
 
-const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
+// Body returned whenever a user ends up with a fresh token pair
+function buildAuthResponse(user, { token, refreshToken }) {
+  return {
+    token,
+    refreshToken,
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    passwordChanged: user.passwordChanged,
+  };
+}
+
+// Last step of a successful first-factor login (password or SSO): hand out a
+// 2FA challenge when one is needed, otherwise start a session
+async function finishLogin(req, user, method) {
+  // Second step: enrolled users must present a TOTP or recovery code
+  if (user.twoFactor?.enabled) {
+    await recordLoginEvent(req, { user, success: true, reason: "2fa_required", method });
+    return {
+      twoFactorRequired: true,
+      challengeToken: await createLoginChallenge(user),
+      userId: user._id,
+      email: user.email,
+    };
+  }
+
+  // 2FA is mandatory for this role but the user has not enrolled yet:
+  // only allow the enrolment endpoints until they do
+  if (await isTwoFactorRequired(user)) {
+    await recordLoginEvent(req, { user, success: true, reason: "2fa_required", method });
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: createChallengeToken(user, CHALLENGE_SETUP),
+      userId: user._id,
+      email: user.email,
+    };
+  }
+
+  await resetAccountFailures(user);
+  await recordLoginEvent(req, { user, success: true, reason: "success", method });
+
+  // Generate access + refresh tokens
+  const tokens = await issueTokens(user, req);
+
+  return buildAuthResponse(user, tokens);
+}
+
+// Accept either a normal access token or the setup challenge issued by /login
+// when 2FA is mandatory for the user's role but not yet enrolled
+async function verifyTokenOrSetupChallenge(req, res, next) {
+  const token = req.headers.authorization?.split("Bearer ")[1];
+  const challenge = token ? verifyChallengeToken(token, CHALLENGE_SETUP) : null;
+
+  if (!challenge) {
+    return verifyToken(req, res, next);
+  }
 
-// Register - Create user with email and temporary password
-// Protected: Only Manager (1) and HR (2) can register new users
-router.post("/register", verifyToken, async (req, res) => {
   try {
-    const { email, password, role } = req.body;
+    const user = await User.findById(challenge.userId).select("email role tokenVersion status");
+    if (!user || (user.tokenVersion || 0) !== (challenge.tokenVersion || 0)) {
+      return res.status(401).json({ error: "Token has been revoked" });
+    }
 
-    // Check if the current user has permission to add users
-    const userRole = req.user?.role;
-    if (userRole !== 1 && userRole !== 2) {
-      return res.status(403).json({ error: "Access denied: Only Manager and HR can add users" });
+    if (!user.isActive()) {
+      return res.status(403).json({ error: "Account has been deactivated" });
     }
 
+    req.user = { userId: user._id, email: user.email, role: user.role };
+    req.twoFactorSetupChallenge = true;
+    next();
+  } catch (error) {
+    console.error("Setup challenge verification error:", error);
+    res.status(500).json({ error: "Failed to verify token" });
+  }
+}
+
+// Register - Create user with email and temporary password
+// Protected: requires the users.create permission
+router.post("/register", verifyToken, requirePermission("users.create"), async (req, res) => {
+  try {
+    const { email, password, role } = req.body;
+
     if (!email || !password) {
       return res.status(400).json({ error: "Email and password required" });
     }
@@ -44,10 +152,8 @@ router.post("/register", verifyToken, async (req, res) => {
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user._id, email: user.email, role: user.role }, JWT_SECRET, {
-      expiresIn: "7d",
-    });
+    // Generate a short-lived access token (no refresh token: the caller is HR, not the new user)
+    const token = signAccessToken(user);
 
     res.status(201).json({
       message: "User registered successfully",
@@ -72,129 +178,697 @@ router.post("/login", async (req, res) => {
       return res.status(400).json({ error: "Email and password required" });
     }
 
+    // Too many failures from this IP: refuse before touching any account
+    const retryAfter = await getIpRetryAfter(req.ip);
+    if (retryAfter > 0) {
+      await recordLoginEvent(req, { email, success: false, reason: "ip_throttled" });
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: "Too many failed login attempts. Please try again later." });
+    }
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginEvent(req, { email, success: false, reason: "unknown_email" });
+      await progressiveDelay(await countRecentIpFailures(req.ip));
       return res.status(401).json({ error: "Invalid email or password" });
     }
 
+    if (isAccountLocked(user)) {
+      await recordLoginEvent(req, { user, success: false, reason: "account_locked" });
+      return res.status(423).json({
+        error: "Account temporarily locked due to failed login attempts",
+        lockedUntil: user.lockUntil,
+      });
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordLoginEvent(req, { user, success: false, reason: "invalid_password" });
+      await progressiveDelay(await registerAccountFailure(user));
       return res.status(401).json({ error: "Invalid email or password" });
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user._id, email: user.email, role: user.role }, JWT_SECRET, {
-      expiresIn: "7d",
+    // Offboarded accounts cannot sign in (checked after the password so it reveals nothing)
+    if (!user.isActive()) {
+      await recordLoginEvent(req, { user, success: false, reason: "account_inactive" });
+      return res.status(403).json({ error: "Account has been deactivated" });
+    }
+
+    res.json(await finishLogin(req, user, "password"));
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Login step two - Exchange the login challenge and a TOTP/recovery code for tokens
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: "Challenge token and code required" });
+    }
+
+    // Wrong codes count as IP failures, as wrong passwords do on /login
+    const retryAfter = await getIpRetryAfter(req.ip);
+    if (retryAfter > 0) {
+      await recordLoginEvent(req, { success: false, reason: "ip_throttled", method: "2fa" });
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: "Too many failed login attempts. Please try again later." });
+    }
+
+    const challenge = verifyChallengeToken(challengeToken, CHALLENGE_LOGIN);
+    if (!challenge) {
+      return res.status(401).json({ error: "Invalid or expired challenge" });
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user || (user.tokenVersion || 0) !== (challenge.tokenVersion || 0)) {
+      return res.status(401).json({ error: "Invalid or expired challenge" });
+    }
+
+    // Each challenge allows a few codes; after that the password is needed again
+    if (!(await useLoginChallenge(user, challenge))) {
+      await recordLoginEvent(req, { user, success: false, reason: "challenge_exhausted", method: "2fa" });
+      return res.status(401).json({ error: "Invalid or expired challenge" });
+    }
+
+    if (!user.isActive()) {
+      await recordLoginEvent(req, { user, success: false, reason: "account_inactive", method: "2fa" });
+      return res.status(403).json({ error: "Account has been deactivated" });
+    }
+
+    if (isAccountLocked(user)) {
+      await recordLoginEvent(req, { user, success: false, reason: "account_locked", method: "2fa" });
+      return res.status(423).json({
+        error: "Account temporarily locked due to failed login attempts",
+        lockedUntil: user.lockUntil,
+      });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      await recordLoginEvent(req, { user, success: false, reason: "invalid_2fa", method: "2fa" });
+      await progressiveDelay(await registerAccountFailure(user));
+      return res.status(401).json({ error: "Invalid authentication code" });
+    }
+    user.twoFactor.challengeId = null;
+    await user.save();
+
+    await resetAccountFailures(user);
+    await recordLoginEvent(req, { user, success: true, reason: "success", method: "2fa" });
+
+    const tokens = await issueTokens(user, req);
+
+    res.json({
+      ...buildAuthResponse(user, tokens),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
     });
+  } catch (error) {
+    console.error("2FA login error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 2FA status for the current user
+router.get("/2fa", verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
 
     res.json({
-      token,
-      userId: user._id,
-      email: user.email,
-      role: user.role,
-      passwordChanged: user.passwordChanged,
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
     });
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("2FA status error:", error);
     res.status(400).json({ error: error.message });
   }
 });
 
-// Change password (on first login)
-router.post("/change-password", async (req, res) => {
+// Start 2FA enrolment - returns the secret and otpauth URI to show as a QR code
+router.post("/2fa/setup", verifyTokenOrSetupChallenge, async (req, res) => {
   try {
-    const { userId, newPassword } = req.body;
-    const authHeader = req.headers.authorization;
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
 
-    if (!userId || !newPassword) {
-      return res.status(400).json({ error: "User ID and new password required" });
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
     }
 
-    if (!authHeader) {
-      return res.status(401).json({ error: "No token provided" });
+    const enrollment = beginEnrollment(user);
+    await user.save();
+
+    res.json(enrollment);
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Finish 2FA enrolment with a code from the authenticator app
+// Returns the one-time recovery codes (and tokens when finishing a mandatory enrolment at login)
+router.post("/2fa/enable", verifyTokenOrSetupChallenge, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: "Authentication code required" });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
     }
 
-    // Verify token
-    const token = authHeader.split("Bearer ")[1];
-    try {
-      jwt.verify(token, JWT_SECRET);
-    } catch {
-      return res.status(401).json({ error: "Invalid token" });
+    const recoveryCodes = completeEnrollment(user, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+    await user.save();
+
+    const response = { message: "Two-factor authentication enabled", recoveryCodes };
+    if (req.twoFactorSetupChallenge) {
+      Object.assign(response, buildAuthResponse(user, await issueTokens(user, req)));
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("2FA enable error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Disable 2FA - requires the password and a current code; not allowed when mandatory for the role
+router.post("/2fa/disable", verifyToken, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: "Password and authentication code required" });
     }
 
-    // Find user and update password
-    const user = await User.findById(userId);
+    const user = await User.findById(req.user.userId);
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    user.password = newPassword;
-    user.passwordChanged = true;
-    user.passwordChangedAt = new Date();
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({ error: "Two-factor authentication is mandatory for your role" });
+    }
+
+    if (!(await user.comparePassword(password)) || !verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({ error: "Invalid password or authentication code" });
+    }
+
+    disableTwoFactor(user);
     await user.save();
 
-    res.json({ message: "Password changed successfully" });
+    res.json({ message: "Two-factor authentication disabled" });
   } catch (error) {
-    console.error("Password change error:", error);
+    console.error("2FA disable error:", error);
     res.status(400).json({ error: error.message });
   }
 });
 
-// Get all users (for admin/debugging - returns email, role) – protected with JWT
-router.get("/users", verifyToken, async (req, res) => {
+// Regenerate recovery codes - invalidates the previous set
+router.post("/2fa/recovery-codes", verifyToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: "Authentication code required" });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!verifySecondFactor(user, { code })) {
+      return res.status(401).json({ error: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes(user);
+    await user.save();
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error("2FA recovery codes error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ==================== SINGLE SIGN-ON (OIDC) ====================
+
+// Send the browser back to the frontend with either a one-time login code or an error
+function redirectToFrontend(res, params) {
+  res.redirect(`${OIDC.frontendCallbackUrl}?${new URLSearchParams(params).toString()}`);
+}
+
+// Failed sign-ins only ever reach the frontend as a code from SSO_ERRORS and its fixed message
+function redirectWithSsoError(res, code) {
+  const errorCode = SSO_ERRORS[code] ? code : "failed";
+  redirectToFrontend(res, { error: errorCode, message: SSO_ERRORS[errorCode] });
+}
+
+// Companies with SSO enabled (public, for the login page buttons)
+router.get("/sso/providers", async (req, res) => {
   try {
-    const users = await User.find().select("email role createdAt passwordChanged").exec();
-    
-    // Populate employee details including profile picture, position, company, and dateHired
-    const usersWithDetails = await Promise.all(
-      users.map(async (user) => {
-        const employee = await Employee.findOne({ userId: user._id }).select("firstName lastName position company dateHired profilePicture");
-        return {
-          ...user.toObject(),
-          firstName: employee?.firstName || null,
-          lastName: employee?.lastName || null,
-          position: employee?.position || null,
-          company: employee?.company || null,
-          dateHired: employee?.dateHired || null,
-          profilePicture: employee?.profilePicture || null,
-        };
-      })
+    const companies = await Company.find({ "sso.enabled": true }).select("name sso.displayName").sort({ name: 1 });
+
+    res.json(
+      companies.map((company) => ({
+        companyId: company._id,
+        name: company.name,
+        displayName: company.sso.displayName || `Sign in with ${company.name}`,
+      }))
     );
-    
+  } catch (error) {
+    console.error("SSO providers error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Provider callback - verifies the login and redirects to the frontend with a one-time code
+router.get("/sso/callback", async (req, res) => {
+  const { state, code, error: providerError } = req.query;
+
+  try {
+    const stateDoc = await claimState(state);
+    if (!stateDoc) {
+      return redirectWithSsoError(res, "session_expired");
+    }
+
+    if (providerError || !code) {
+      await recordLoginEvent(req, { success: false, reason: "sso_failed", method: "sso" });
+      return redirectWithSsoError(res, "cancelled");
+    }
+
+    const company = await Company.findById(stateDoc.companyId).select("+sso.clientSecret");
+    if (!company?.sso?.enabled) {
+      return redirectWithSsoError(res, "not_enabled");
+    }
+
+    const { loginCode } = await completeCallback(stateDoc, company, String(code));
+
+    redirectToFrontend(res, { code: loginCode });
+  } catch (error) {
+    console.error("SSO callback error:", error.message);
+    await recordLoginEvent(req, { success: false, reason: "sso_failed", method: "sso" });
+    redirectWithSsoError(res, error.ssoCode);
+  }
+});
+
+// Start SSO - redirects to the company's identity provider (?redirect=false returns the URL instead)
+router.get("/sso/:companyId/start", async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.companyId).catch(() => null);
+    if (!company?.sso?.enabled) {
+      return res.status(404).json({ error: "Single sign-on is not enabled for this company" });
+    }
+
+    const authorizationUrl = await beginLogin(company);
+
+    if (req.query.redirect === "false") {
+      return res.json({ authorizationUrl });
+    }
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error("SSO start error:", error);
+    res.status(502).json({ error: "Could not reach the identity provider" });
+  }
+});
+
+// Exchange the one-time code from the callback for tokens (or a 2FA challenge, like /login)
+router.post("/sso/exchange", async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: "Login code required" });
+    }
+
+    const userId = await redeemLoginCode(code);
+    const user = userId ? await User.findById(userId) : null;
+    if (!user) {
+      return res.status(401).json({ error: "Invalid or expired login code" });
+    }
+
+    if (!user.isActive()) {
+      await recordLoginEvent(req, { user, success: false, reason: "account_inactive", method: "sso" });
+      return res.status(403).json({ error: "Account has been deactivated" });
+    }
+
+    if (isAccountLocked(user)) {
+      await recordLoginEvent(req, { user, success: false, reason: "account_locked", method: "sso" });
+      return res.status(423).json({
+        error: "Account temporarily locked due to failed login attempts",
+        lockedUntil: user.lockUntil,
+      });
+    }
+
+    res.json(await finishLogin(req, user, "sso"));
+  } catch (error) {
+    console.error("SSO exchange error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Refresh - Exchange a refresh token for a new access/refresh token pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token required" });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+
+    res.json(buildAuthResponse(rotated.user, rotated));
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Logout - Revoke the refresh token (and its rotation chain) for this device
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token required" });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Logout everywhere - Revoke all refresh tokens and outstanding access tokens of the current user
+router.post("/logout-all", verifyToken, async (req, res) => {
+  try {
+    await revokeAllUserTokens(req.user.userId);
+
+    res.json({ message: "Logged out from all devices" });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List active sessions (devices) of the current user
+router.get("/sessions", verifyToken, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.userId);
+
     res.json({
-      total: usersWithDetails.length,
-      users: usersWithDetails,
+      total: sessions.length,
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: String(session._id) === String(req.user.sid),
+      })),
     });
   } catch (error) {
-    console.error("Get users error:", error);
+    console.error("List sessions error:", error);
     res.status(400).json({ error: error.message });
   }
 });
 
-// Get current user info (protected)
-router.get("/me", async (req, res) => {
+// Revoke one of the current user's sessions (log out that device)
+router.delete("/sessions/:id", verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, { userId: req.user.userId, revokedBy: req.user.userId });
+
+    if (!revoked) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ==================== IMPERSONATION ====================
+
+// Start impersonating a user - returns a short-lived, read-only token for support
+router.post("/impersonate", verifyToken, requirePermission("users.impersonate"), async (req, res) => {
+  try {
+    const { userId, reason } = req.body;
+
+    if (!userId || !reason || String(reason).trim() === "") {
+      return res.status(400).json({ error: "userId and reason are required" });
+    }
+
+    if (req.user.impersonatorId || req.user.isServiceAccount) {
+      return res.status(403).json({ error: "Impersonation must be started with your own account" });
+    }
+
+    if (String(userId) === String(req.user.userId)) {
+      return res.status(400).json({ error: "You cannot impersonate yourself" });
+    }
+
+    const target = await User.findById(userId).catch(() => null);
+    if (!target) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!target.isActive()) {
+      return res.status(400).json({ error: "Cannot impersonate a deactivated account" });
+    }
+
+    // Never borrow the identity of someone who can impersonate as well
+    if ((await getUserPermissions(target)).has("users.impersonate")) {
+      return res.status(403).json({ error: "This user cannot be impersonated" });
+    }
+
+    const impersonator = await User.findById(req.user.userId).select("email");
+    const { impersonation, token } = await startImpersonation(req, impersonator, target, String(reason).trim());
+
+    res.status(201).json({
+      message: "Impersonation started. The token is read-only.",
+      impersonationId: impersonation._id,
+      token,
+      expiresAt: impersonation.expiresAt,
+      readOnly: true,
+      impersonating: { userId: target._id, email: target.email, role: target.role },
+    });
+  } catch (error) {
+    console.error("Start impersonation error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Stop an impersonation (with the Manager's own token); the read-only token stops working
+router.post("/impersonate/:id/stop", verifyToken, requirePermission("users.impersonate"), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
+    const impersonation = await Impersonation.findById(req.params.id).catch(() => null);
 
-    if (!authHeader) {
-      return res.status(401).json({ error: "No token provided" });
+    if (!impersonation || String(impersonation.impersonatorId) !== String(req.user.userId)) {
+      return res.status(404).json({ error: "Impersonation not found" });
     }
 
-    const token = authHeader.split("Bearer ")[1];
-    try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.userId).select("email createdAt passwordChanged").exec();
-      
-      if (!user) {
-        return res.status(404).json({ error: "User not found" });
+    await stopImpersonation(req, impersonation, req.user.userId);
+
+    res.json({ message: "Impersonation stopped", impersonation });
+  } catch (error) {
+    console.error("Stop impersonation error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Request password reset - emails a one-time reset link
+// Always responds the same way so the endpoint cannot be used to discover accounts
+router.post("/password-reset/request", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: "Email required" });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user && user.isActive()) {
+      const rawToken = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, rawToken);
+      } catch (mailError) {
+        console.error("Password reset email error:", mailError);
+      }
+    }
+
+    res.json({ message: "If that email is registered, a password reset link has been sent" });
+  } catch (error) {
+    console.error("Password reset request error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Confirm password reset - sets the new password and signs out every session
+router.post("/password-reset/confirm", async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: "Reset token and new password required" });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+    if (!user) {
+      return res.status(400).json({ error: "Invalid or expired reset token" });
+    }
+
+    const policyErrors = validatePassword(newPassword, { email: user.email });
+    if (policyErrors.length > 0) {
+      return res.status(400).json({ error: policyErrors[0], details: policyErrors });
+    }
+
+    if (await user.isPasswordReused(newPassword)) {
+      return res.status(400).json({
+        error: `Password must differ from your last ${PASSWORD_POLICY.historySize} passwords`,
+      });
+    }
+
+    user.setPassword(newPassword);
+    user.passwordResetTokenHash = null;
+    user.passwordResetExpires = null;
+    await user.save();
+
+    await revokeAllUserTokens(user._id);
+
+    res.json({ message: "Password has been reset. Please log in with your new password." });
+  } catch (error) {
+    console.error("Password reset confirm error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Change password for the logged-in user
+// The current password is required, except for the forced change on first login
+router.post("/change-password", verifyToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword) {
+      return res.status(400).json({ error: "New password required" });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (user.passwordChanged || currentPassword) {
+      if (!currentPassword) {
+        return res.status(400).json({ error: "Current password required" });
+      }
+      const isPasswordValid = await user.comparePassword(currentPassword);
+      if (!isPasswordValid) {
+        return res.status(401).json({ error: "Current password is incorrect" });
       }
+    }
+
+    const policyErrors = validatePassword(newPassword, { email: user.email });
+    if (policyErrors.length > 0) {
+      return res.status(400).json({ error: policyErrors[0], details: policyErrors });
+    }
+
+    if (await user.isPasswordReused(newPassword)) {
+      return res.status(400).json({
+        error: `Password must differ from your last ${PASSWORD_POLICY.historySize} passwords`,
+      });
+    }
+
+    user.setPassword(newPassword);
+    await user.save();
+
+    // Sign out other sessions and hand this client a fresh pair
+    await revokeAllUserTokens(user._id);
+    const refreshedUser = await User.findById(user._id);
+    const { token, refreshToken } = await issueTokens(refreshedUser, req);
+
+    res.json({ message: "Password changed successfully", token, refreshToken });
+  } catch (error) {
+    console.error("Password change error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// User directory - paginated, searchable listing joined with employee profiles
+// Query: q, role, company, department, approvalStatus (-1|0|1|none), active, sort (e.g. -dateHired), page, limit
+// Callers without users.view only see active, approved employees and basic fields
+router.get("/users", verifyToken, async (req, res) => {
+  try {
+    const full = await hasPermission(req, "users.view");
+    if (!full && !(await hasPermission(req, "directory.view"))) {
+      return res.status(403).json({ error: "Access denied: requires directory.view permission" });
+    }
+
+    const result = await searchDirectory(req.query, { full });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Get users error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get current user info (protected)
+router.get("/me", verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("email createdAt passwordChanged").exec();
 
-      res.json(user);
-    } catch {
-      return res.status(401).json({ error: "Invalid token" });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
     }
+
+    // Lets the frontend show an "impersonating" banner
+    if (req.user.impersonatorId) {
+      return res.json({
+        ...user.toObject(),
+        impersonation: {
+          impersonationId: req.user.impersonationId,
+          impersonatorId: req.user.impersonatorId,
+          readOnly: true,
+        },
+      });
+    }
+
+    res.json(user);
   } catch (error) {
     console.error("Get user info error:", error);
     res.status(400).json({ error: error.message });
@@ -0,0 +1,356 @@
+const express = require("express");
+const multer = require("multer");
+const mongoose = require("mongoose");
+const Employee = require("../models/Employee");
+const EmployeeDocument = require("../models/EmployeeDocument");
+const DocumentRequirement = require("../models/DocumentRequirement");
+const { verifyToken } = require("../middleware/auth");
+const { requirePermission, hasPermission } = require("../middleware/permissions");
+const { recordAudit } = require("../services/audit");
+const { savePrivateFile, privateFileLocation, deletePrivateFile } = require("../services/storage");
+const {
+  EVERY_POSITION,
+  POSITION_COLLATION,
+  sniffMimeType,
+  describeDocument,
+  buildChecklist,
+} = require("../services/employeeDocuments");
+const { DOCUMENT_TYPES, DOCUMENT_UPLOAD } = require("../config/documents");
+const { ORG_UNIT_POPULATE } = require("../services/organizationUnits");
+
+const router = express.Router();
+
+// Files are checked in memory before they are stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: DOCUMENT_UPLOAD.maxFileSizeMb * 1024 * 1024 },
+});
+
+const canManage = requirePermission("documents.manage");
+
+function parseDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Load an employee whose documents the caller may access (the employee or documents.manage)
+async function findAccessibleEmployee(req, res) {
+  const employee = mongoose.Types.ObjectId.isValid(req.params.employeeId)
+    ? await Employee.findById(req.params.employeeId)
+    : null;
+  if (!employee) {
+    res.status(404).json({ error: "Employee not found" });
+    return null;
+  }
+
+  const isOwner = String(employee.userId) === String(req.user.userId);
+  if (!isOwner && !(await hasPermission(req, "documents.manage"))) {
+    res.status(403).json({ error: "Access denied" });
+    return null;
+  }
+  return employee;
+}
+
+// Load a document the caller may access
+async function findAccessibleDocument(req, res) {
+  const document = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await EmployeeDocument.findById(req.params.id)
+    : null;
+  if (!document) {
+    res.status(404).json({ error: "Document not found" });
+    return null;
+  }
+
+  const isOwner = String(document.userId) === String(req.user.userId);
+  if (!isOwner && !(await hasPermission(req, "documents.manage"))) {
+    res.status(403).json({ error: "Access denied" });
+    return null;
+  }
+  return document;
+}
+
+// Validate type / issue date / expiry from a request body; returns { values } or { error }
+function documentFields(body, current = {}) {
+  const type = body.type ?? current.type;
+  if (!DOCUMENT_TYPES[type]) {
+    return { error: `Document type must be one of: ${Object.keys(DOCUMENT_TYPES).join(", ")}` };
+  }
+
+  const issuedAt = body.issuedAt !== undefined ? parseDate(body.issuedAt) : current.issuedAt ?? null;
+  const expiresAt = body.expiresAt !== undefined ? parseDate(body.expiresAt) : current.expiresAt ?? null;
+  if (issuedAt === undefined || expiresAt === undefined) {
+    return { error: "Invalid issue or expiry date" };
+  }
+  if (DOCUMENT_TYPES[type].expires && !expiresAt) {
+    return { error: `${DOCUMENT_TYPES[type].label} requires an expiry date` };
+  }
+  if (issuedAt && expiresAt && expiresAt <= issuedAt) {
+    return { error: "Expiry date must be after the issue date" };
+  }
+
+  return { values: { type, issuedAt, expiresAt } };
+}
+
+// Document types with their labels (for upload forms)
+router.get("/types", verifyToken, (req, res) => {
+  res.json(Object.entries(DOCUMENT_TYPES).map(([type, { label, expires }]) => ({ type, label, expires })));
+});
+
+// Documents expiring within ?days= (default 30) or already expired
+router.get("/expiring", verifyToken, canManage, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 0), 365);
+    const documents = await EmployeeDocument.find({
+      expiresAt: { $ne: null, $lte: new Date(Date.now() + days * 24 * 60 * 60 * 1000) },
+    })
+      .populate({ path: "employeeId", select: "firstName lastName position department", populate: ORG_UNIT_POPULATE })
+      .sort({ expiresAt: 1 });
+
+    res.json(documents.map(describeDocument));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Required documents per position ("*" applies to every position)
+router.get("/requirements", verifyToken, canManage, async (req, res) => {
+  try {
+    const requirements = await DocumentRequirement.find().collation(POSITION_COLLATION).sort({ position: 1 });
+    res.json(requirements);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the required document types of a position (replaces the previous list)
+router.put("/requirements", verifyToken, canManage, async (req, res) => {
+  try {
+    const { position, documentTypes } = req.body;
+
+    if (!position || String(position).trim() === "") {
+      return res.status(400).json({ error: `Position is required (use "${EVERY_POSITION}" for everyone)` });
+    }
+
+    if (!Array.isArray(documentTypes)) {
+      return res.status(400).json({ error: "documentTypes must be a list" });
+    }
+
+    const unknown = documentTypes.filter((type) => !DOCUMENT_TYPES[type]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown document types: ${unknown.join(", ")}` });
+    }
+
+    const requirement = await DocumentRequirement.findOneAndUpdate(
+      { position: String(position).trim() },
+      { documentTypes: [...new Set(documentTypes)], updatedBy: req.user.userId },
+      { new: true, upsert: true, collation: POSITION_COLLATION }
+    );
+
+    res.json(requirement);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove the requirements of a position
+router.delete("/requirements/:id", verifyToken, canManage, async (req, res) => {
+  try {
+    const requirement = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await DocumentRequirement.findByIdAndDelete(req.params.id)
+      : null;
+
+    if (!requirement) {
+      return res.status(404).json({ error: "Requirement not found" });
+    }
+
+    res.json({ message: "Requirement removed" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approved employees whose required documents are missing or expired
+router.get("/compliance", verifyToken, canManage, async (req, res) => {
+  try {
+    const employees = await Employee.find({ approval_status: 1 })
+      .select("userId firstName lastName position department")
+      .populate(ORG_UNIT_POPULATE)
+      .sort({ lastName: 1, firstName: 1 });
+    const documents = await EmployeeDocument.find({ employeeId: { $in: employees.map((emp) => emp._id) } })
+      .select("employeeId type expiresAt")
+      .lean();
+
+    const requirements = await DocumentRequirement.find().lean();
+
+    const byEmployee = new Map();
+    for (const document of documents) {
+      const key = String(document.employeeId);
+      if (!byEmployee.has(key)) byEmployee.set(key, []);
+      byEmployee.get(key).push(document);
+    }
+
+    const incomplete = [];
+    for (const employee of employees) {
+      const checklist = await buildChecklist(employee, byEmployee.get(String(employee._id)) || [], requirements);
+      if (checklist.complete) continue;
+      incomplete.push({
+        employeeId: employee._id,
+        firstName: employee.firstName,
+        lastName: employee.lastName,
+        position: employee.position,
+        department: employee.department,
+        outstanding: checklist.items.filter((item) => item.status === "missing" || item.status === "expired"),
+      });
+    }
+
+    res.json(incomplete);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Documents and required-document checklist of an employee (the employee or documents.manage)
+router.get("/employee/:employeeId", verifyToken, async (req, res) => {
+  try {
+    const employee = await findAccessibleEmployee(req, res);
+    if (!employee) return;
+
+    const documents = await EmployeeDocument.find({ employeeId: employee._id })
+      .populate("uploadedBy", "email")
+      .sort({ type: 1, createdAt: -1 });
+
+    res.json({
+      documents: documents.map(describeDocument),
+      checklist: await buildChecklist(employee, documents),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload a document (field "file"; PDF, JPEG or PNG) to an employee's 201 file
+router.post("/employee/:employeeId", verifyToken, upload.single("file"), async (req, res) => {
+  try {
+    const employee = await findAccessibleEmployee(req, res);
+    if (!employee) return;
+
+    if (!req.file) {
+      return res.status(400).json({ error: "Document file required (field 'file')" });
+    }
+
+    const mimeType = sniffMimeType(req.file.buffer);
+    if (!mimeType || !DOCUMENT_UPLOAD.allowedMimeTypes.includes(mimeType)) {
+      return res.status(400).json({ error: "Only PDF, JPEG and PNG files are accepted" });
+    }
+
+    const { values, error } = documentFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const file = await savePrivateFile(req.file.buffer, {
+      folder: `documents/${employee._id}`,
+      originalName: req.file.originalname,
+    });
+
+    let document;
+    try {
+      document = await EmployeeDocument.create({
+        ...values,
+        employeeId: employee._id,
+        userId: employee.userId,
+        title: req.body.title || "",
+        notes: req.body.notes || null,
+        file: {
+          ...file,
+          originalName: req.file.originalname,
+          mimeType,
+          size: req.file.size,
+        },
+        uploadedBy: req.user.userId,
+      });
+    } catch (createError) {
+      await deletePrivateFile(file).catch(() => {});
+      throw createError;
+    }
+
+    res.status(201).json(describeDocument(document));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a document (audited)
+router.get("/:id/file", verifyToken, async (req, res) => {
+  try {
+    const document = await findAccessibleDocument(req, res);
+    if (!document) return;
+
+    await recordAudit(req, {
+      action: "document.download",
+      actorId: req.user.userId,
+      targetUserId: document.userId,
+      statusCode: 200,
+      details: { documentId: document._id, type: document.type },
+    });
+
+    const location = privateFileLocation(document.file);
+    if (location.url) {
+      return res.redirect(location.url);
+    }
+    res.type(document.file.mimeType);
+    res.download(location.path, document.file.originalName);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a document's type, title, dates or notes
+router.patch("/:id", verifyToken, canManage, async (req, res) => {
+  try {
+    const document = await findAccessibleDocument(req, res);
+    if (!document) return;
+
+    const { values, error } = documentFields(req.body, document);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // A new expiry date starts its reminders over
+    if (String(values.expiresAt) !== String(document.expiresAt)) document.remindersSent = [];
+    Object.assign(document, values);
+    if (req.body.title !== undefined) document.title = req.body.title || "";
+    if (req.body.notes !== undefined) document.notes = req.body.notes || null;
+    await document.save();
+
+    res.json(describeDocument(document));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a document and its file (audited)
+router.delete("/:id", verifyToken, canManage, async (req, res) => {
+  try {
+    const document = await findAccessibleDocument(req, res);
+    if (!document) return;
+
+    await deletePrivateFile(document.file);
+    await document.deleteOne();
+
+    await recordAudit(req, {
+      action: "document.delete",
+      actorId: req.user.userId,
+      targetUserId: document.userId,
+      statusCode: 200,
+      details: { documentId: document._id, type: document.type, originalName: document.file.originalName },
+    });
+
+    res.json({ message: "Document deleted" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
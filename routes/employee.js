@@ -1,17 +1,131 @@
 const express = require("express");
+const multer = require("multer");
 const Employee = require("../models/Employee");
 const Department = require("../models/Department");
+const ProfileChangeRequest = require("../models/ProfileChangeRequest");
+const EmployeeProfileVersion = require("../models/EmployeeProfileVersion");
 const { verifyToken } = require("../middleware/auth");
+const { requirePermission, requireApprover, hasPermission, getApprover } = require("../middleware/permissions");
+const {
+  PROFILE_FIELDS,
+  getFieldRules,
+  partitionChanges,
+  buildChangeSet,
+  recordInitialVersion,
+  applyDirectChanges,
+  submitChangeRequest,
+  findPendingChangeRequest,
+  approveChangeRequest,
+  rejectChangeRequest,
+} = require("../services/profileChanges");
+const {
+  GOVERNMENT_ID_FIELDS,
+  findGovernmentIdConflicts,
+  duplicateGovernmentIds,
+  describeConflicts,
+} = require("../services/governmentIds");
+const {
+  maskValue,
+  maskProfileValues,
+  maskChanges,
+  serializeEmployee,
+  isProfileOwner,
+} = require("../services/profileMasking");
+const { activeSupervisors, mayApprove } = require("../services/reportingLines");
+const {
+  profilePictureUrlError,
+  renderProfilePicture,
+  replaceProfilePicture,
+  setProfilePicture,
+} = require("../services/profilePictures");
+const { resolveOrgUnits, NAME_COLLATION, ORG_UNIT_POPULATE } = require("../services/organizationUnits");
+const { assignEmployeeNumber } = require("../services/employeeNumbers");
+const { PROFILE_PICTURE } = require("../config/profilePictures");
 
 const router = express.Router();
 
-// Helper middleware: only allow HR (2) or Manager (1) to access approval routes
-function ensureCanApprove(req, res, next) {
-  const role = req.user?.role;
-  if (role !== 1 && role !== 2) {
-    return res.status(403).json({ error: "Access denied: insufficient role for approvals" });
+// Pictures are validated and resized in memory; only the thumbnails are stored
+const pictureUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PROFILE_PICTURE.maxFileSizeMb * 1024 * 1024 },
+});
+
+// Versioned profile fields present in a request body
+function pickProfileFields(body) {
+  const submitted = {};
+  for (const field of PROFILE_FIELDS) {
+    if (body[field] !== undefined) submitted[field] = body[field];
+  }
+  return submitted;
+}
+
+// Government IDs a change set would set, keyed by field
+function changedGovernmentIds(changes) {
+  const values = {};
+  for (const { field, to } of changes) {
+    if (GOVERNMENT_ID_FIELDS.includes(field)) values[field] = to;
+  }
+  return values;
+}
+
+function sendGovernmentIdConflicts(res, conflicts) {
+  return res.status(409).json({ error: describeConflicts(conflicts), conflicts });
+}
+
+// Picture URL sent with a profile form. Sending back the current one keeps its
+// thumbnails; a new one replaces them like any other picture change.
+async function applySubmittedPicture(employee, profilePicture) {
+  if (profilePicture && profilePicture !== employee.profilePicture) {
+    await setProfilePicture(employee, { url: profilePicture });
   }
-  next();
+}
+
+// Sensitive fields are shown unmasked to the owner and to employees.viewSensitive
+async function canViewSensitive(req, employee) {
+  return isProfileOwner(req, employee) || (await hasPermission(req, "employees.viewSensitive"));
+}
+
+async function employeeResponse(req, employee) {
+  await employee.populate(ORG_UNIT_POPULATE);
+  return serializeEmployee(employee, await canViewSensitive(req, employee));
+}
+
+// Company and department may be sent as ids or names; both are stored as references
+async function resolveBodyOrgUnits(req, res) {
+  const { values, error } = await resolveOrgUnits(req.body);
+  if (error) {
+    res.status(400).json({ error });
+    return false;
+  }
+  Object.assign(req.body, values);
+  return true;
+}
+
+async function changeRequestResponse(req, employee, changeRequest) {
+  const values = changeRequest.toObject();
+  if (!(await canViewSensitive(req, employee))) values.changes = maskChanges(values.changes);
+  return values;
+}
+
+// Whether the caller may review a profile (userId populated with role): by the
+// owner's role, or as their direct supervisor (see APPROVAL_ROUTING)
+async function canReviewProfile(req, employee) {
+  if (!employee.userId) return false;
+  const approver = await getApprover(req, "employees");
+  const supervisors = await activeSupervisors([employee]);
+  return mayApprove(approver, {
+    role: employee.userId.role,
+    supervisorId: supervisors.get(String(employee._id)),
+  });
+}
+
+// The owner, editors and approvers may see a profile's change history
+async function canViewProfileHistory(req, employee) {
+  return (
+    String(employee.userId) === String(req.user.userId) ||
+    (await hasPermission(req, "employees.edit")) ||
+    (await hasPermission(req, "employees.approve"))
+  );
 }
 
 // Get all departments (now protected; requires valid JWT)
@@ -34,7 +148,7 @@ router.post("/departments", verifyToken, async (req, res) => {
     }
 
     // Check if department already exists
-    const existingDept = await Department.findOne({ name });
+    const existingDept = await Department.findOne({ name }).collation(NAME_COLLATION);
     if (existingDept) {
       return res.status(400).json({ error: "Department already exists" });
     }
@@ -57,6 +171,8 @@ router.post("/departments", verifyToken, async (req, res) => {
 // Create or update employee profile (requires authentication)
 router.post("/profile", verifyToken, async (req, res) => {
   try {
+    if (!(await resolveBodyOrgUnits(req, res))) return;
+
     const {
       firstName,
       lastName,
@@ -100,9 +216,82 @@ router.post("/profile", verifyToken, async (req, res) => {
       return res.status(400).json({ error: "All fields are required" });
     }
 
+    const pictureError = profilePictureUrlError(profilePicture);
+    if (pictureError) {
+      return res.status(400).json({ error: pictureError });
+    }
+
+    // Users with employees.selfApprove (Managers by default) keep their profile approved
+    const selfApprove = await hasPermission(req, "employees.selfApprove");
+
     // Check if employee profile already exists
     let employee = await Employee.findOne({ userId: req.user.userId });
 
+    // Approved profiles stay live: edits become a change set for review
+    if (employee && employee.approval_status === 1) {
+      const { changes, errors } = await buildChangeSet(employee, {
+        ...pickProfileFields(req.body),
+        department: department || null,
+      });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors[0], details: errors });
+      }
+
+      const conflicts = await findGovernmentIdConflicts(changedGovernmentIds(changes), employee._id);
+      if (conflicts.length > 0) {
+        return sendGovernmentIdConflicts(res, conflicts);
+      }
+
+      // Each field is handled according to its rule (see config/profileFields.js);
+      // HR-only fields need employees.edit even for self-approvers
+      const partitioned = await partitionChanges(changes);
+      if (partitioned.hr_only.length > 0 && !(await hasPermission(req, "employees.edit"))) {
+        const fields = partitioned.hr_only.map((change) => change.field);
+        return res.status(403).json({ error: `Only HR can change: ${fields.join(", ")}`, fields });
+      }
+
+      // The picture is not reviewed, but only changes with a submission that is accepted
+      await applySubmittedPicture(employee, profilePicture);
+
+      if (changes.length === 0) {
+        return res.json({
+          message: "No profile changes to submit",
+          approval_status: 1,
+          employee: await employee.populate(ORG_UNIT_POPULATE),
+        });
+      }
+
+      if (selfApprove) {
+        await applyDirectChanges(employee, changes, { source: "self_approved", changedBy: req.user.userId });
+        return res.json({
+          message: "Employee profile saved successfully",
+          approval_status: 1,
+          employee: await employee.populate(ORG_UNIT_POPULATE),
+        });
+      }
+
+      // HR editing their own profile applies HR-only fields directly as well
+      const immediate = [...partitioned.self_service, ...partitioned.hr_only];
+      if (immediate.length > 0) {
+        await applyDirectChanges(employee, immediate, { source: "self_service", changedBy: req.user.userId });
+      }
+
+      let changeRequest = null;
+      if (partitioned.approval_required.length > 0) {
+        changeRequest = await submitChangeRequest(employee, partitioned.approval_required, req.user.userId);
+      }
+
+      return res.json({
+        message: changeRequest
+          ? "Profile changes submitted for approval"
+          : "Employee profile saved successfully",
+        approval_status: employee.approval_status,
+        employee: await employee.populate(ORG_UNIT_POPULATE),
+        appliedFields: immediate.map((change) => change.field),
+        pendingChanges: changeRequest,
+      });
+    }
+
     if (employee) {
       // Update existing profile
       employee.firstName = firstName;
@@ -116,21 +305,16 @@ router.post("/profile", verifyToken, async (req, res) => {
       employee.emergencyContactNumber = emergencyContactNumber;
       employee.position = position;
       employee.company = company;
-      employee.department = department || "";
+      employee.department = department || null;
       employee.dateHired = dateHired;
-      if (profilePicture) employee.profilePicture = profilePicture;
       employee.sssNumber = sssNumber;
       employee.philhealthNumber = philhealthNumber;
       employee.tinNumber = tinNumber;
       employee.pagibigNumber = pagibigNumber;
 
-      // If manager (role = 1) is updating their own profile, keep it approved.
-      // Otherwise, reset approval status to pending so a manager can approve.
-      if (req.user.role === 1) {
-        employee.approval_status = 1;
-      } else {
-        employee.approval_status = 0;
-      }
+      // Self-approvers keep their profile approved.
+      // Otherwise, reset approval status to pending so an approver can review it.
+      employee.approval_status = selfApprove ? 1 : 0;
       
       // Clear rejection reason when resubmitting
       employee.rejectionReason = undefined;
@@ -151,33 +335,48 @@ router.post("/profile", verifyToken, async (req, res) => {
         emergencyContactNumber,
         position,
         company,
-        department: department || "",
+        department: department || null,
         dateHired,
-        profilePicture,
         sssNumber,
         philhealthNumber,
         tinNumber,
         pagibigNumber,
-        // Manager (role = 1) auto-approved, others start as pending
-        approval_status: req.user.role === 1 ? 1 : 0,
+        // Self-approvers are auto-approved, others start as pending
+        approval_status: selfApprove ? 1 : 0,
       });
     }
 
+    const conflicts = await findGovernmentIdConflicts(employee, employee._id);
+    if (conflicts.length > 0) {
+      return sendGovernmentIdConflicts(res, conflicts);
+    }
+
     await employee.save();
+    await applySubmittedPicture(employee, profilePicture);
+    if (employee.approval_status === 1) {
+      await recordInitialVersion(employee, req.user.userId);
+      await assignEmployeeNumber(employee);
+    }
+
     res.json({
       message: "Employee profile saved successfully",
       approval_status: employee.approval_status,
-      employee,
+      employee: await employee.populate(ORG_UNIT_POPULATE),
     });
   } catch (error) {
+    // A concurrent save took the same government ID
+    const conflicts = duplicateGovernmentIds(error);
+    if (conflicts) return sendGovernmentIdConflicts(res, conflicts);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update employee profile by ID (Manager/HR only)
-router.put("/profile/:employeeId", verifyToken, ensureCanApprove, async (req, res) => {
+// Update employee profile by ID (requires employees.edit)
+router.put("/profile/:employeeId", verifyToken, requirePermission("employees.edit"), async (req, res) => {
   try {
     const { employeeId } = req.params;
+    if (!(await resolveBodyOrgUnits(req, res))) return;
+
     const {
       firstName,
       lastName,
@@ -205,6 +404,39 @@ router.put("/profile/:employeeId", verifyToken, ensureCanApprove, async (req, re
       return res.status(404).json({ error: "Employee not found" });
     }
 
+    const pictureError = profilePictureUrlError(profilePicture);
+    if (pictureError) {
+      return res.status(400).json({ error: pictureError });
+    }
+
+    // Approved profiles: apply as a new version so the history stays complete
+    if (employee.approval_status === 1) {
+      const submitted = {};
+      for (const [field, value] of Object.entries(pickProfileFields(req.body))) {
+        if (value || field === "department") submitted[field] = field === "department" ? value || null : value;
+      }
+
+      const { changes, errors } = await buildChangeSet(employee, submitted);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors[0], details: errors });
+      }
+
+      const conflicts = await findGovernmentIdConflicts(changedGovernmentIds(changes), employee._id);
+      if (conflicts.length > 0) {
+        return sendGovernmentIdConflicts(res, conflicts);
+      }
+
+      await applySubmittedPicture(employee, profilePicture);
+      if (changes.length > 0) {
+        await applyDirectChanges(employee, changes, { source: "hr_edit", changedBy: req.user.userId });
+      }
+
+      return res.json({
+        message: "Employee profile updated successfully",
+        employee: await employeeResponse(req, employee),
+      });
+    }
+
     // Update fields if provided
     if (firstName) employee.firstName = firstName;
     if (lastName) employee.lastName = lastName;
@@ -217,20 +449,37 @@ router.put("/profile/:employeeId", verifyToken, ensureCanApprove, async (req, re
     if (emergencyContactNumber) employee.emergencyContactNumber = emergencyContactNumber;
     if (position) employee.position = position;
     if (company) employee.company = company;
-    if (department !== undefined) employee.department = department || "";
+    if (department !== undefined) employee.department = department || null;
     if (dateHired) employee.dateHired = dateHired;
-    if (profilePicture) employee.profilePicture = profilePicture;
     if (sssNumber) employee.sssNumber = sssNumber;
     if (philhealthNumber) employee.philhealthNumber = philhealthNumber;
     if (tinNumber) employee.tinNumber = tinNumber;
     if (pagibigNumber) employee.pagibigNumber = pagibigNumber;
 
+    const conflicts = await findGovernmentIdConflicts(employee, employee._id);
+    if (conflicts.length > 0) {
+      return sendGovernmentIdConflicts(res, conflicts);
+    }
+
     await employee.save();
+    await applySubmittedPicture(employee, profilePicture);
 
     res.json({
       message: "Employee profile updated successfully",
-      employee,
+      employee: await employeeResponse(req, employee),
     });
+  } catch (error) {
+    // A concurrent save took the same government ID
+    const conflicts = duplicateGovernmentIds(error);
+    if (conflicts) return sendGovernmentIdConflicts(res, conflicts);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// How edits to each profile field are handled (for the profile form)
+router.get("/profile-field-rules", verifyToken, async (req, res) => {
+  try {
+    res.json(await getFieldRules());
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -239,13 +488,68 @@ router.put("/profile/:employeeId", verifyToken, ensureCanApprove, async (req, re
 // Get employee profile (requires authentication)
 router.get("/profile", verifyToken, async (req, res) => {
   try {
-    const employee = await Employee.findOne({ userId: req.user.userId });
+    const employee = await Employee.findOne({ userId: req.user.userId }).populate(ORG_UNIT_POPULATE);
 
     if (!employee) {
       return res.status(404).json({ error: "Employee profile not found" });
     }
 
-    res.json(employee);
+    res.json({ ...employee.toObject(), pendingChanges: await findPendingChangeRequest(employee._id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Version history of a profile (owner, editors and approvers)
+router.get("/profile/:employeeId/versions", verifyToken, async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.params.employeeId).catch(() => null);
+
+    if (!employee) {
+      return res.status(404).json({ error: "Employee not found" });
+    }
+
+    if (!(await canViewProfileHistory(req, employee))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const versions = await EmployeeProfileVersion.find({ employeeId: employee._id })
+      .populate("changedBy", "email")
+      .sort({ version: -1 });
+
+    const unmasked = await canViewSensitive(req, employee);
+    res.json({
+      currentVersion: employee.profileVersion,
+      versions: versions.map((version) => {
+        const values = version.toObject();
+        if (!unmasked) values.snapshot = maskProfileValues(values.snapshot);
+        return values;
+      }),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change sets submitted for a profile, newest first (owner, editors and approvers)
+router.get("/profile/:employeeId/change-requests", verifyToken, async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.params.employeeId).catch(() => null);
+
+    if (!employee) {
+      return res.status(404).json({ error: "Employee not found" });
+    }
+
+    if (!(await canViewProfileHistory(req, employee))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const changeRequests = await ProfileChangeRequest.find({ employeeId: employee._id })
+      .populate("submittedBy", "email")
+      .populate("reviewedBy", "email")
+      .sort({ createdAt: -1 });
+
+    res.json(await Promise.all(changeRequests.map((request) => changeRequestResponse(req, employee, request))));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -267,16 +571,17 @@ router.get("/profile/:id", verifyToken, async (req, res) => {
       return res.status(404).json({ error: "Employee profile not found" });
     }
 
-    res.json(employee);
+    res.json(await employeeResponse(req, employee));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Update approval status
-// - HR (role 2) can approve Employees (role 3)
-// - Manager (role 1) can approve HR (role 2)
-router.patch("/profile/:employeeId/approve", verifyToken, ensureCanApprove, async (req, res) => {
+// - employees.approve covers Employee (role 3) profiles
+// - employees.approveHR covers HR (role 2) profiles
+// - a direct supervisor covers their reports when APPROVAL_ROUTING allows
+router.patch("/profile/:employeeId/approve", verifyToken, requireApprover("employees"), async (req, res) => {
   try {
     const { approval_status } = req.body;
 
@@ -284,7 +589,6 @@ router.patch("/profile/:employeeId/approve", verifyToken, ensureCanApprove, asyn
       return res.status(400).json({ error: "Invalid approval status" });
     }
 
-    const approverRole = req.user.role; // 1 = Manager, 2 = HR
     const approverUserId = req.user.userId;
 
     // Load employee with associated user role
@@ -302,16 +606,48 @@ router.patch("/profile/:employeeId/approve", verifyToken, ensureCanApprove, asyn
       return res.status(403).json({ error: "You cannot approve your own profile" });
     }
 
-    // Determine which user roles this approver is allowed to approve
-    // - HR (2) can approve Employees (3)
-    // - Manager (1) can approve both HR (2) and Employees (3)
-    const allowedTargetRoles =
-      approverRole === 2 ? [3] : [2, 3];
-
-    if (!employee.userId || !allowedTargetRoles.includes(employee.userId.role)) {
+    if (!(await canReviewProfile(req, employee))) {
       return res.status(403).json({ error: "You are not allowed to approve this profile" });
     }
 
+    // Edits of an approved profile are reviewed as a change set
+    const pendingChanges = employee.approval_status === 1 ? await findPendingChangeRequest(employee._id) : null;
+    if (pendingChanges) {
+      if (approval_status === 0) {
+        return res.status(400).json({ error: "Profile changes are already pending review" });
+      }
+
+      if (approval_status === -1) {
+        await rejectChangeRequest(pendingChanges, approverUserId, req.body.rejectionReason || null);
+        return res.json({
+          message: "Profile changes rejected",
+          employee: await employeeResponse(req, employee),
+          changeRequest: await changeRequestResponse(req, employee, pendingChanges),
+        });
+      }
+
+      const result = await approveChangeRequest(pendingChanges, approverUserId);
+      const unmasked = await canViewSensitive(req, employee);
+      if (result.conflicts) {
+        return res.status(409).json({
+          error: "The profile changed since these edits were submitted",
+          conflicts: unmasked
+            ? result.conflicts
+            : result.conflicts.map(({ field, current, requested }) => ({
+                field,
+                current: maskValue(field, current),
+                requested: maskValue(field, requested),
+              })),
+        });
+      }
+
+      return res.json({
+        message: "Profile changes approved",
+        employee: serializeEmployee(await result.employee.populate(ORG_UNIT_POPULATE), unmasked),
+        changeRequest: await changeRequestResponse(req, employee, pendingChanges),
+      });
+    }
+
     employee.approval_status = approval_status;
     
     // Clear rejection reason if approving
@@ -321,18 +657,25 @@ router.patch("/profile/:employeeId/approve", verifyToken, ensureCanApprove, asyn
     
     employee.updatedAt = Date.now();
     await employee.save();
+    if (approval_status === 1) {
+      await recordInitialVersion(employee, approverUserId);
+      await assignEmployeeNumber(employee);
+    }
 
     res.json({
       message: "Approval status updated",
-      employee,
+      employee: await employeeResponse(req, employee),
     });
   } catch (error) {
+    // A concurrent save took the same government ID
+    const conflicts = duplicateGovernmentIds(error);
+    if (conflicts) return sendGovernmentIdConflicts(res, conflicts);
     res.status(500).json({ error: error.message });
   }
 });
 
 // Reject employee profile with reason
-router.patch("/profile/:employeeId/reject", verifyToken, ensureCanApprove, async (req, res) => {
+router.patch("/profile/:employeeId/reject", verifyToken, requireApprover("employees"), async (req, res) => {
   try {
     const { rejectionReason } = req.body;
 
@@ -340,7 +683,6 @@ router.patch("/profile/:employeeId/reject", verifyToken, ensureCanApprove, async
       return res.status(400).json({ error: "Rejection reason is required" });
     }
 
-    const approverRole = req.user.role;
     const approverUserId = req.user.userId;
 
     const employee = await Employee.findById(req.params.employeeId).populate(
@@ -358,12 +700,21 @@ router.patch("/profile/:employeeId/reject", verifyToken, ensureCanApprove, async
     }
 
     // Check permissions
-    const allowedTargetRoles = approverRole === 2 ? [3] : [2, 3];
-
-    if (!employee.userId || !allowedTargetRoles.includes(employee.userId.role)) {
+    if (!(await canReviewProfile(req, employee))) {
       return res.status(403).json({ error: "You are not allowed to reject this profile" });
     }
 
+    // Rejecting an edit of an approved profile keeps the approved values live
+    const pendingChanges = employee.approval_status === 1 ? await findPendingChangeRequest(employee._id) : null;
+    if (pendingChanges) {
+      await rejectChangeRequest(pendingChanges, approverUserId, rejectionReason);
+      return res.json({
+        message: "Profile changes rejected; the approved profile is unchanged",
+        employee: await employeeResponse(req, employee),
+        changeRequest: await changeRequestResponse(req, employee, pendingChanges),
+      });
+    }
+
     employee.approval_status = -1;
     employee.rejectionReason = rejectionReason;
     employee.updatedAt = Date.now();
@@ -371,7 +722,7 @@ router.patch("/profile/:employeeId/reject", verifyToken, ensureCanApprove, async
 
     res.json({
       message: "Profile rejected successfully",
-      employee,
+      employee: await employeeResponse(req, employee),
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -388,14 +739,65 @@ router.get("/", verifyToken, async (req, res) => {
       query.approval_status = parseInt(approval_status);
     }
 
-    const employees = await Employee.find(query).populate("userId", "email");
-    res.json(employees);
+    const employees = await Employee.find(query).populate("userId", "email").populate(ORG_UNIT_POPULATE);
+    const viewSensitive = await hasPermission(req, "employees.viewSensitive");
+    res.json(employees.map((emp) => serializeEmployee(emp, viewSensitive || isProfileOwner(req, emp))));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update profile picture only (doesn't affect approval status)
+// Upload a profile picture (multipart field "picture"); stored as square thumbnails.
+// Doesn't affect approval status.
+async function uploadPicture(req, res, employee) {
+  if (!req.file) {
+    return res.status(400).json({ error: "Image file required (field 'picture')" });
+  }
+
+  const { images, error } = await renderProfilePicture(req.file.buffer);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const picture = await replaceProfilePicture(employee, images);
+  res.json({ message: "Profile picture updated successfully", ...picture });
+}
+
+router.post("/profile/picture", verifyToken, pictureUpload.single("picture"), async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user.userId }).select("profilePictureFiles");
+    if (!employee) {
+      return res.status(404).json({ error: "Employee profile not found" });
+    }
+
+    await uploadPicture(req, res, employee);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload another employee's profile picture (requires employees.edit)
+router.post(
+  "/profile/:employeeId/picture",
+  verifyToken,
+  requirePermission("employees.edit"),
+  pictureUpload.single("picture"),
+  async (req, res) => {
+    try {
+      const employee = await Employee.findById(req.params.employeeId).select("profilePictureFiles");
+      if (!employee) {
+        return res.status(404).json({ error: "Employee not found" });
+      }
+
+      await uploadPicture(req, res, employee);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Point the profile picture at an image URL (uploads go to POST /profile/picture).
+// Doesn't affect approval status.
 router.patch("/profile/picture", verifyToken, async (req, res) => {
   try {
     const { profilePicture } = req.body;
@@ -404,50 +806,91 @@ router.patch("/profile/picture", verifyToken, async (req, res) => {
       return res.status(400).json({ error: "Profile picture is required" });
     }
 
+    const pictureError = profilePictureUrlError(profilePicture);
+    if (pictureError) {
+      return res.status(400).json({ error: pictureError });
+    }
+
     const employee = await Employee.findOne({ userId: req.user.userId });
 
     if (!employee) {
       return res.status(404).json({ error: "Employee profile not found" });
     }
 
-    // Update only the profile picture, don't change approval status
-    employee.profilePicture = profilePicture;
-    employee.updatedAt = Date.now();
-
-    await employee.save();
+    await setProfilePicture(employee, { url: profilePicture });
     res.json({
       message: "Profile picture updated successfully",
-      employee,
+      employee: await employeeResponse(req, employee),
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Remove the current user's profile picture and its stored thumbnails
+router.delete("/profile/picture", verifyToken, async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user.userId }).select("profilePictureFiles");
+    if (!employee) {
+      return res.status(404).json({ error: "Employee profile not found" });
+    }
+
+    await setProfilePicture(employee);
+    res.json({ message: "Profile picture removed" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get pending employees with full details
-// - HR (role 2) sees pending Employees (role 3)
-// - Manager (role 1) sees pending HR profiles (role 2)
-router.get("/pending-approvals", verifyToken, ensureCanApprove, async (req, res) => {
+// - employees.approve sees pending Employees (role 3)
+// - employees.approveHR also sees pending HR profiles (role 2)
+// - a direct supervisor sees their reports when APPROVAL_ROUTING allows
+router.get("/pending-approvals", verifyToken, requireApprover("employees"), async (req, res) => {
   try {
-    const role = req.user.role;
     const currentUserId = req.user.userId;
 
-    // HR sees Employees; Manager sees both HR and Employees
-    const targetUserRoles = role === 2 ? [3] : [2, 3];
+    const approver = await getApprover(req, "employees");
 
-    const pending = await Employee.find({ approval_status: 0 }).populate({
-      path: "userId",
-      select: "email role",
-      match: { role: { $in: targetUserRoles } },
-    });
+    // New profiles awaiting first approval, plus approved profiles with a pending change set
+    const changeRequests = await ProfileChangeRequest.find({ status: "pending" });
+    const changesByEmployee = new Map(changeRequests.map((request) => [String(request.employeeId), request]));
 
-    // Filter out any without a matching populated userId (in case of mismatch)
-    // and also exclude the currently logged-in user (they shouldn't approve themselves)
+    const pending = await Employee.find({
+      $or: [{ approval_status: 0 }, { _id: { $in: changeRequests.map((request) => request.employeeId) } }],
+    })
+      .populate("userId", "email role")
+      .populate(ORG_UNIT_POPULATE);
+    const supervisors = await activeSupervisors(pending);
+
+    // Keep profiles this approver may review (by role or as supervisor),
+    // and exclude the currently logged-in user (they shouldn't approve themselves)
     const filtered = pending.filter(
-      (emp) => emp.userId && String(emp.userId._id) !== String(currentUserId)
+      (emp) =>
+        emp.userId &&
+        String(emp.userId._id) !== String(currentUserId) &&
+        mayApprove(approver, { role: emp.userId.role, supervisorId: supervisors.get(String(emp._id)) })
     );
 
-    res.json(filtered);
+    // pendingChanges holds the field-by-field diff; null means a new profile to review in full
+    const viewSensitive = await hasPermission(req, "employees.viewSensitive");
+    res.json(
+      filtered.map((emp) => {
+        const changeRequest = emp.approval_status === 1 ? changesByEmployee.get(String(emp._id)) : null;
+        const changes = changeRequest?.toObject().changes;
+        return {
+          ...serializeEmployee(emp, viewSensitive),
+          pendingChanges: changeRequest
+            ? {
+                changeRequestId: changeRequest._id,
+                submittedAt: changeRequest.createdAt,
+                baseVersion: changeRequest.baseVersion,
+                changes: viewSensitive ? changes : maskChanges(changes),
+              }
+            : null,
+        };
+      })
+    );
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -0,0 +1,160 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Employee = require("../models/Employee");
+const EmploymentStatusChange = require("../models/EmploymentStatusChange");
+const { verifyToken } = require("../middleware/auth");
+const { requirePermission, hasPermission } = require("../middleware/permissions");
+const {
+  statusChangeValues,
+  recordStatusChange,
+  removeStatusChanges,
+  isLeaveEligible,
+  upcomingEmploymentDates,
+} = require("../services/employmentStatus");
+const { EMPLOYMENT_STATUSES } = require("../config/employment");
+const { ORG_UNIT_POPULATE } = require("../services/organizationUnits");
+
+const router = express.Router();
+
+const STATUS_FIELDS =
+  "userId firstName lastName position dateHired employmentStatus employmentStatusSince regularizationDueDate contractEndDate";
+
+function describeStatus(employee) {
+  return {
+    employeeId: employee._id,
+    status: employee.employmentStatus,
+    statusLabel: EMPLOYMENT_STATUSES[employee.employmentStatus]?.label || employee.employmentStatus,
+    since: employee.employmentStatusSince || employee.dateHired,
+    regularizationDueDate: employee.regularizationDueDate,
+    contractEndDate: employee.contractEndDate,
+    leaveEligible: isLeaveEligible(employee),
+  };
+}
+
+// Load an employee whose status the caller may see (the employee or employees.edit)
+async function findAccessibleEmployee(req, res) {
+  const employee = mongoose.Types.ObjectId.isValid(req.params.employeeId)
+    ? await Employee.findById(req.params.employeeId).select(STATUS_FIELDS)
+    : null;
+  if (!employee) {
+    res.status(404).json({ error: "Employee not found" });
+    return null;
+  }
+
+  const isOwner = String(employee.userId) === String(req.user.userId);
+  if (!isOwner && !(await hasPermission(req, "employees.edit"))) {
+    res.status(403).json({ error: "Access denied" });
+    return null;
+  }
+  return employee;
+}
+
+// Employment statuses with their labels
+router.get("/statuses", verifyToken, (req, res) => {
+  res.json(
+    Object.entries(EMPLOYMENT_STATUSES).map(([status, { label, endDate, separated }]) => ({
+      status,
+      label,
+      requiresContractEndDate: endDate,
+      separated,
+    }))
+  );
+});
+
+// Regularizations and contract ends due within ?days= (default 30), overdue included
+router.get("/due", verifyToken, requirePermission("employees.edit"), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 0), 365);
+    const upcoming = await upcomingEmploymentDates(days);
+    await Employee.populate(upcoming.map(({ employee }) => employee), ORG_UNIT_POPULATE);
+
+    res.json(
+      upcoming.map(({ employee, kind, date }) => ({
+        kind,
+        date,
+        firstName: employee.firstName,
+        lastName: employee.lastName,
+        position: employee.position,
+        department: employee.department,
+        ...describeStatus(employee),
+      }))
+    );
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Current status and effective-dated history of an employee, newest first
+router.get("/employees/:employeeId", verifyToken, async (req, res) => {
+  try {
+    const employee = await findAccessibleEmployee(req, res);
+    if (!employee) return;
+
+    const history = await EmploymentStatusChange.find({ employeeId: employee._id })
+      .populate("changedBy", "email")
+      .sort({ effectiveDate: -1, createdAt: -1 });
+
+    res.json({ current: describeStatus(employee), history });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record a status change effective on effectiveDate (default now; future dates are scheduled).
+// Separated statuses (resigned, terminated) are rejected: they go through /api/offboarding.
+router.post("/employees/:employeeId", verifyToken, requirePermission("employees.edit"), async (req, res) => {
+  try {
+    const employee = await findAccessibleEmployee(req, res);
+    if (!employee) return;
+
+    const { values, error } = statusChangeValues(req.body, employee);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Separations also deactivate the account and set the separation date
+    const { label, separated } = EMPLOYMENT_STATUSES[values.status];
+    if (separated) {
+      return res.status(400).json({
+        error: `${label} is recorded by offboarding the employee: POST /api/offboarding with employmentStatus "${values.status}"`,
+      });
+    }
+
+    const change = await recordStatusChange(employee, values, { changedBy: req.user.userId });
+
+    res.status(201).json({
+      message: change.applied ? "Employment status updated" : "Employment status change scheduled",
+      change,
+      current: describeStatus(employee),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a scheduled status change (changes already in effect stay in the history)
+router.delete("/employees/:employeeId/changes/:changeId", verifyToken, requirePermission("employees.edit"), async (req, res) => {
+  try {
+    const employee = await findAccessibleEmployee(req, res);
+    if (!employee) return;
+
+    const change = mongoose.Types.ObjectId.isValid(req.params.changeId)
+      ? await EmploymentStatusChange.findOne({ _id: req.params.changeId, employeeId: employee._id })
+      : null;
+    if (!change) {
+      return res.status(404).json({ error: "Status change not found" });
+    }
+
+    if (change.applied || change.effectiveDate <= new Date()) {
+      return res.status(400).json({ error: "Only scheduled status changes can be cancelled" });
+    }
+
+    await removeStatusChanges(employee, { _id: change._id });
+
+    res.json({ message: "Scheduled status change cancelled", current: describeStatus(employee) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require("express");
+const { verifyToken } = require("../middleware/auth");
+const { requirePermission, hasPermission } = require("../middleware/permissions");
+const { recordAudit } = require("../services/audit");
+const {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  EXPORT_FORMATS,
+  parseExportOptions,
+  writeEmployeeExport,
+} = require("../services/employeeExport");
+const { SENSITIVE_PROFILE_FIELDS } = require("../config/profileFields");
+
+const router = express.Router();
+
+const canExport = requirePermission("employees.export");
+
+// Columns available to the masterlist export (sensitive ones are masked without employees.viewSensitive)
+router.get("/employees/columns", verifyToken, canExport, (req, res) => {
+  res.json({
+    columns: Object.entries(EXPORT_COLUMNS).map(([column, { header }]) => ({
+      column,
+      header,
+      sensitive: SENSITIVE_PROFILE_FIELDS.includes(column),
+    })),
+    defaultColumns: DEFAULT_COLUMNS,
+    formats: Object.keys(EXPORT_FORMATS),
+  });
+});
+
+// Employee masterlist as CSV or XLSX (?format=, ?columns=a,b,c and filters, see
+// parseExportOptions). Rows are streamed, so large exports do not build up in memory.
+router.get("/employees", verifyToken, canExport, async (req, res) => {
+  try {
+    const { options, error } = await parseExportOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const unmasked = await hasPermission(req, "employees.viewSensitive");
+    const { contentType, extension } = EXPORT_FORMATS[options.format];
+    const filename = `employee-masterlist-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    // A download the client abandons is still audited, with the rows sent so far
+    const { rows, completed } = await writeEmployeeExport(res, options, { unmasked });
+
+    await recordAudit(req, {
+      action: "employees.export",
+      actorId: req.user.userId || null,
+      statusCode: 200,
+      details: {
+        format: options.format,
+        columns: options.columns,
+        filters: req.query,
+        rows,
+        completed,
+        unmasked,
+      },
+    });
+  } catch (error) {
+    // Once rows are streaming the status can no longer change; cut the download short
+    if (res.headersSent) {
+      console.error("Employee export error:", error);
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
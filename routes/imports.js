@@ -0,0 +1,119 @@
+const express = require("express");
+const multer = require("multer");
+const ImportJob = require("../models/ImportJob");
+const { verifyToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissions");
+const { readSpreadsheet } = require("../services/spreadsheet");
+const { mapHeaders, runImportJob, USER_COLUMNS, EMPLOYEE_COLUMNS } = require("../services/userImport");
+
+const router = express.Router();
+
+// Spreadsheets are parsed in memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+});
+
+const canImport = requirePermission("users.create", "employees.edit");
+
+// Start an import from a CSV/XLSX upload (field "file"); ?dryRun=true only validates.
+// Responds immediately with the job id, rows are processed in the background.
+router.post("/", verifyToken, canImport, upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "Spreadsheet file required (field 'file')" });
+    }
+
+    const dryRunFlag = req.body?.dryRun ?? req.query.dryRun;
+    const dryRun = dryRunFlag === true || dryRunFlag === "true" || dryRunFlag === "1";
+
+    let sheet;
+    try {
+      sheet = await readSpreadsheet(req.file.buffer, {
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+      });
+    } catch (parseError) {
+      return res.status(400).json({ error: `Could not read spreadsheet: ${parseError.message}` });
+    }
+
+    const { columnMap, missing, unknown } = mapHeaders(sheet.headers);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: `Missing required columns: ${missing.join(", ")}`,
+        supportedColumns: [...USER_COLUMNS, ...EMPLOYEE_COLUMNS],
+      });
+    }
+
+    if (sheet.rows.length === 0) {
+      return res.status(400).json({ error: "Spreadsheet has no data rows" });
+    }
+
+    const job = await ImportJob.create({
+      createdBy: req.user.userId,
+      fileName: req.file.originalname,
+      dryRun,
+      totalRows: sheet.rows.length,
+    });
+
+    setImmediate(() => {
+      runImportJob(job._id, sheet.rows, columnMap).catch(async (error) => {
+        console.error("Import job error:", error);
+        await ImportJob.updateOne(
+          { _id: job._id },
+          { status: "failed", error: error.message, finishedAt: new Date() }
+        ).catch(() => {});
+      });
+    });
+
+    res.status(202).json({
+      message: dryRun ? "Dry run started" : "Import started",
+      jobId: job._id,
+      dryRun,
+      totalRows: job.totalRows,
+      ignoredColumns: unknown,
+    });
+  } catch (error) {
+    console.error("Start import error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List recent import jobs (without per-row results)
+router.get("/", verifyToken, canImport, async (req, res) => {
+  try {
+    const jobs = await ImportJob.find()
+      .select("-results")
+      .populate("createdBy", "email")
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ total: jobs.length, jobs });
+  } catch (error) {
+    console.error("List import jobs error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import job status and per-row report (?status=failed to show only problem rows)
+router.get("/:jobId", verifyToken, canImport, async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.jobId).populate("createdBy", "email");
+
+    if (!job) {
+      return res.status(404).json({ error: "Import job not found" });
+    }
+
+    const report = job.toObject();
+    if (req.query.status) {
+      report.results = report.results.filter((result) => result.status === req.query.status);
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error("Get import job error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
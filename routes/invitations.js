@@ -0,0 +1,253 @@
+const express = require("express");
+const User = require("../models/User");
+const Invitation = require("../models/Invitation");
+const { verifyToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissions");
+const { issueInvitationToken, findOpenInvitation } = require("../services/invitations");
+const { sendInvitationEmail } = require("../services/authEmails");
+const { validatePassword } = require("../services/passwordPolicy");
+const { issueTokens } = require("../services/tokens");
+const { resolveOrgUnits, ORG_UNIT_POPULATE } = require("../services/organizationUnits");
+
+const router = express.Router();
+
+// Send (or re-send) the invitation email without failing the request on mail errors
+async function deliverInvitation(invitation, rawToken) {
+  try {
+    await sendInvitationEmail(invitation, rawToken);
+    return true;
+  } catch (mailError) {
+    console.error("Invitation email error:", mailError);
+    return false;
+  }
+}
+
+// Create invitation - emails a signed link; the invitee sets their own password
+router.post("/", verifyToken, requirePermission("users.create"), async (req, res) => {
+  try {
+    const { email, role, company, department } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: "Email required" });
+    }
+
+    if (role && ![1, 2, 3].includes(role)) {
+      return res.status(400).json({ error: "Invalid role. Must be 1 (Manager), 2 (HR), or 3 (Employee)" });
+    }
+
+    // Company and department may be given as ids or names
+    const orgUnits = await resolveOrgUnits({ company, department });
+    if (orgUnits.error) {
+      return res.status(400).json({ error: orgUnits.error });
+    }
+
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(400).json({ error: "Email already registered" });
+    }
+
+    await Invitation.markExpired();
+    const openInvitation = await Invitation.findOne({ email: normalizedEmail, status: "sent" });
+    if (openInvitation) {
+      return res.status(400).json({ error: "An invitation has already been sent to this email" });
+    }
+
+    const invitation = new Invitation({
+      email: normalizedEmail,
+      role: role || 3,
+      ...orgUnits.values,
+      invitedBy: req.user.userId,
+    });
+    const rawToken = issueInvitationToken(invitation);
+    await invitation.save();
+
+    const emailSent = await deliverInvitation(invitation, rawToken);
+
+    res.status(201).json({
+      message: "Invitation sent successfully",
+      emailSent,
+      invitation,
+    });
+  } catch (error) {
+    console.error("Create invitation error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List invitations (optional ?status=sent|accepted|expired|revoked)
+router.get("/", verifyToken, requirePermission("users.create"), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    await Invitation.markExpired();
+
+    const query = {};
+    if (status) query.status = status;
+
+    const invitations = await Invitation.find(query)
+      .select("-tokenHash")
+      .populate("invitedBy", "email")
+      .populate(ORG_UNIT_POPULATE)
+      .sort({ createdAt: -1 });
+
+    res.json({ total: invitations.length, invitations });
+  } catch (error) {
+    console.error("List invitations error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Resend invitation - issues a new link (the previous one stops working) and resets the expiry
+router.post("/:id/resend", verifyToken, requirePermission("users.create"), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+
+    if (!["sent", "expired"].includes(invitation.status)) {
+      return res.status(400).json({ error: `Cannot resend an invitation that was ${invitation.status}` });
+    }
+
+    const rawToken = issueInvitationToken(invitation);
+    invitation.status = "sent";
+    invitation.sentCount += 1;
+    invitation.lastSentAt = new Date();
+    await invitation.save();
+
+    const emailSent = await deliverInvitation(invitation, rawToken);
+
+    res.json({ message: "Invitation resent successfully", emailSent, invitation });
+  } catch (error) {
+    console.error("Resend invitation error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Revoke invitation - the link can no longer be accepted
+router.post("/:id/revoke", verifyToken, requirePermission("users.create"), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+
+    if (!["sent", "expired"].includes(invitation.status)) {
+      return res.status(400).json({ error: `Cannot revoke an invitation that was ${invitation.status}` });
+    }
+
+    invitation.status = "revoked";
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user.userId;
+    await invitation.save();
+
+    res.json({ message: "Invitation revoked", invitation });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Preview an invitation from its link (public) so the frontend can show who is signing up
+router.get("/accept/:token", async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(400).json({ error: "Invalid or expired invitation" });
+    }
+    await invitation.populate(ORG_UNIT_POPULATE);
+
+    res.json({
+      email: invitation.email,
+      role: invitation.role,
+      company: invitation.company || null,
+      department: invitation.department || null,
+      expiresAt: invitation.expiresAt,
+    });
+  } catch (error) {
+    console.error("Preview invitation error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Accept invitation (public) - creates the account with the invitee's own password and logs them in
+router.post("/accept", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: "Invitation token and password required" });
+    }
+
+    const invitation = await findOpenInvitation(token);
+    if (!invitation) {
+      return res.status(400).json({ error: "Invalid or expired invitation" });
+    }
+
+    const policyErrors = validatePassword(password, { email: invitation.email });
+    if (policyErrors.length > 0) {
+      return res.status(400).json({ error: policyErrors[0], details: policyErrors });
+    }
+
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      return res.status(400).json({ error: "Email already registered" });
+    }
+
+    // Claim the invitation first so a link cannot be accepted twice
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, status: "sent", tokenHash: invitation.tokenHash },
+      { status: "accepted", acceptedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({ error: "Invalid or expired invitation" });
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        email: invitation.email,
+        password,
+        role: invitation.role,
+        passwordChanged: true,
+        passwordChangedAt: new Date(),
+      });
+    } catch (createError) {
+      await Invitation.updateOne({ _id: invitation._id }, { status: "sent", $unset: { acceptedAt: 1 } });
+      throw createError;
+    }
+
+    claimed.acceptedUserId = user._id;
+    await claimed.save();
+    await claimed.populate(ORG_UNIT_POPULATE);
+
+    const { token: accessToken, refreshToken } = await issueTokens(user, req);
+
+    res.status(201).json({
+      message: "Invitation accepted",
+      token: accessToken,
+      refreshToken,
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      passwordChanged: true,
+      // The frontend continues straight into the employee profile form
+      nextStep: "employee-profile",
+      profileDefaults: {
+        company: claimed.company || null,
+        department: claimed.department || null,
+      },
+    });
+  } catch (error) {
+    console.error("Accept invitation error:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,12 @@ const express = require("express");
 const Leave = require("../models/Leave");
 const Employee = require("../models/Employee");
 const { verifyToken } = require("../middleware/auth");
+const { requirePermission, requireApprover, hasPermission, getApprover } = require("../middleware/permissions");
+const { serializeEmployee } = require("../services/profileMasking");
+const { activeSupervisors, mayApprove } = require("../services/reportingLines");
+const { isLeaveEligible } = require("../services/employmentStatus");
+const { EMPLOYMENT_STATUSES, LEAVE_ELIGIBLE_STATUSES } = require("../config/employment");
+const { ORG_UNIT_POPULATE } = require("../services/organizationUnits");
 
 const router = express.Router();
 
@@ -96,8 +102,12 @@ router.get("/balance", verifyToken, async (req, res) => {
       },
       dateHired: employee.dateHired,
       monthsEmployed: totalCreditsPerType,
-      eligibleToUse: totalCreditsPerType >= 6,
-      eligibleAfterMonths: 6
+      // Credits become usable with the employment status (see LEAVE_ELIGIBLE_STATUSES),
+      // e.g. on regularization rather than after a fixed number of months
+      employmentStatus: employee.employmentStatus,
+      eligibleToUse: isLeaveEligible(employee),
+      eligibleStatuses: LEAVE_ELIGIBLE_STATUSES,
+      regularizationDueDate: employee.employmentStatus === "probationary" ? employee.regularizationDueDate : null
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -133,7 +143,11 @@ router.post("/apply", verifyToken, async (req, res) => {
     
     const numberOfDays = calculateBusinessDays(start, end);
     
-    // Leave can be filed even if credits are insufficient or before 6th month
+    // Leave can be filed even if credits are insufficient or the employee is not yet
+    // eligible to use them (e.g. still probationary), but not after separation
+    if (EMPLOYMENT_STATUSES[employee.employmentStatus]?.separated) {
+      return res.status(400).json({ error: "Leave cannot be filed after separation" });
+    }
     
     // Check for overlapping leaves
     const overlapping = await Leave.findOne({
@@ -148,11 +162,10 @@ router.post("/apply", verifyToken, async (req, res) => {
       return res.status(400).json({ error: "You have overlapping leave dates" });
     }
     
-    // Determine initial status based on role
-    // Role 1 (Manager) - Auto-approved
-    // Role 2 (HR) and Role 3 (Employee) - Pending
-    const userRole = req.user.role;
-    const initialStatus = userRole === 1 ? "approved" : "pending";
+    // Determine initial status: leaves.selfApprove (Managers by default) is auto-approved,
+    // everyone else starts as pending
+    const selfApprove = await hasPermission(req, "leaves.selfApprove");
+    const initialStatus = selfApprove ? "approved" : "pending";
     
     // Create leave application
     const leave = new Leave({
@@ -167,7 +180,7 @@ router.post("/apply", verifyToken, async (req, res) => {
       status: initialStatus
     });
     
-    // If auto-approved (Manager), update used credits immediately
+    // If auto-approved, update used credits immediately
     if (initialStatus === "approved") {
       if (leaveType === "vacation") {
         employee.usedVacationCredits = (employee.usedVacationCredits || 0) + numberOfDays;
@@ -212,39 +225,34 @@ router.get("/my-leaves", verifyToken, async (req, res) => {
   }
 });
 
-// Get pending leave applications (for managers and HR)
-router.get("/pending", verifyToken, async (req, res) => {
+// Get pending leave applications (for approvers)
+router.get("/pending", verifyToken, requireApprover("leaves"), async (req, res) => {
   try {
-    const role = req.user.role;
-    
-    // Only managers (1) and HR (2) can view pending leaves
-    if (role !== 1 && role !== 2) {
-      return res.status(403).json({ error: "Access denied" });
-    }
+    const approver = await getApprover(req, "leaves");
     
     // Fetch all pending leaves with user role information
     const pendingLeaves = await Leave.find({ status: "pending" })
       .populate("userId", "email role")
-      .populate("employeeId", "firstName lastName position department")
+      .populate({
+        path: "employeeId",
+        select: "employeeNumber firstName lastName position department reportsTo",
+        populate: ORG_UNIT_POPULATE,
+      })
       .sort({ createdAt: -1 });
+    const supervisors = await activeSupervisors(pendingLeaves.map((leave) => leave.employeeId));
     
-    // Filter based on approver role:
-    // - Manager (role 1) can approve: HR (role 2) and Employee (role 3) leaves
-    // - HR (role 2) can approve: Employee (role 3) leaves only
+    // Filter based on approver permissions (see APPROVAL_ROUTING):
+    // - leaves.approve covers Employee (role 3) leaves
+    // - leaves.approveHR covers HR (role 2) leaves
+    // - a direct supervisor covers their reports
     const filteredLeaves = pendingLeaves.filter(leave => {
       if (!leave.userId) return false;
+      if (String(leave.userId._id) === String(req.user.userId)) return false;
       
-      const applicantRole = leave.userId.role;
-      
-      if (role === 1) {
-        // Manager can approve HR and Employee leaves (role 2 and 3)
-        return applicantRole === 2 || applicantRole === 3;
-      } else if (role === 2) {
-        // HR can approve Employee leaves only (role 3)
-        return applicantRole === 3;
-      }
-      
-      return false;
+      return mayApprove(approver, {
+        role: leave.userId.role,
+        supervisorId: leave.employeeId && supervisors.get(String(leave.employeeId._id)),
+      });
     });
     
     res.json(filteredLeaves);
@@ -254,15 +262,8 @@ router.get("/pending", verifyToken, async (req, res) => {
 });
 
 // Approve/Reject leave
-router.patch("/:leaveId/status", verifyToken, async (req, res) => {
+router.patch("/:leaveId/status", verifyToken, requireApprover("leaves"), async (req, res) => {
   try {
-    const role = req.user.role;
-    
-    // Only managers (1) and HR (2) can approve/reject
-    if (role !== 1 && role !== 2) {
-      return res.status(403).json({ error: "Access denied" });
-    }
-    
     const { status, rejectionReason } = req.body;
     
     if (!["approved", "rejected"].includes(status)) {
@@ -286,18 +287,17 @@ router.patch("/:leaveId/status", verifyToken, async (req, res) => {
       return res.status(403).json({ error: "You cannot approve your own leave" });
     }
     
-    // Check if approver has permission based on applicant's role
-    const applicantRole = leave.userId.role;
-    const approverRole = req.user.role;
-    
-    if (approverRole === 2 && applicantRole !== 3) {
-      // HR can only approve Employee (role 3) leaves
-      return res.status(403).json({ error: "HR can only approve employee leaves" });
-    }
+    // Check if approver may review this applicant (by role, or as their supervisor)
+    // (Manager leaves are automatically approved, so role 1 is never approvable by role)
+    const approver = await getApprover(req, "leaves");
+    const supervisors = await activeSupervisors([leave.employeeId]);
+    const allowed = mayApprove(approver, {
+      role: leave.userId.role,
+      supervisorId: leave.employeeId && supervisors.get(String(leave.employeeId._id)),
+    });
     
-    if (approverRole === 1 && applicantRole === 1) {
-      // Manager cannot approve another Manager's leave (Manager leaves are auto-approved)
-      return res.status(403).json({ error: "Manager leaves are automatically approved" });
+    if (!allowed) {
+      return res.status(403).json({ error: "You are not allowed to approve this leave" });
     }
     
     if (leave.status !== "pending") {
@@ -325,9 +325,18 @@ router.patch("/:leaveId/status", verifyToken, async (req, res) => {
     
     await leave.save();
     
+    // The populated profile is the applicant's, so sensitive fields stay masked
+    const leaveResponse = leave.toObject();
+    if (leave.employeeId) {
+      leaveResponse.employeeId = serializeEmployee(
+        leave.employeeId,
+        await hasPermission(req, "employees.viewSensitive")
+      );
+    }
+
     res.json({
       message: `Leave application ${status} successfully`,
-      leave
+      leave: leaveResponse
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -365,15 +374,8 @@ router.patch("/:leaveId/cancel", verifyToken, async (req, res) => {
 });
 
 // Get all leaves (for admin/reports)
-router.get("/all", verifyToken, async (req, res) => {
+router.get("/all", verifyToken, requirePermission("leaves.viewAll"), async (req, res) => {
   try {
-    const role = req.user.role;
-    
-    // Only managers (1) and HR (2) can view all leaves
-    if (role !== 1 && role !== 2) {
-      return res.status(403).json({ error: "Access denied" });
-    }
-    
     const { status, startDate, endDate } = req.query;
     let query = {};
     
@@ -388,7 +390,11 @@ router.get("/all", verifyToken, async (req, res) => {
     
     const leaves = await Leave.find(query)
       .populate("userId", "email")
-      .populate("employeeId", "firstName lastName position department")
+      .populate({
+        path: "employeeId",
+        select: "employeeNumber firstName lastName position department",
+        populate: ORG_UNIT_POPULATE,
+      })
       .populate("approvedBy", "email")
       .sort({ createdAt: -1 });
     
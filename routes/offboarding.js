@@ -0,0 +1,261 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Offboarding = require("../models/Offboarding");
+const { verifyToken } = require("../middleware/auth");
+const { requirePermission, hasPermission } = require("../middleware/permissions");
+const {
+  startOffboarding,
+  returnAsset,
+  updateChecklistItem,
+  outstandingItems,
+  cancelOffboarding,
+} = require("../services/offboarding");
+const { EMPLOYMENT_STATUSES } = require("../config/employment");
+const { ORG_UNIT_POPULATE } = require("../services/organizationUnits");
+
+const router = express.Router();
+
+const canOffboard = requirePermission("employees.offboard");
+
+// IT receives returned assets, so asset managers may view cases and record returns too
+async function canHandleAssets(req, res, next) {
+  try {
+    if ((await hasPermission(req, "employees.offboard")) || (await hasPermission(req, "assets.manage"))) {
+      return next();
+    }
+    res.status(403).json({ error: "Access denied: requires employees.offboard or assets.manage permission" });
+  } catch (error) {
+    console.error("Permission check error:", error);
+    res.status(500).json({ error: "Failed to check permissions" });
+  }
+}
+
+// Load the offboarding case named in the URL
+async function findCase(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: "Offboarding not found" });
+    return null;
+  }
+
+  const offboarding = await Offboarding.findById(req.params.id);
+  if (!offboarding) {
+    res.status(404).json({ error: "Offboarding not found" });
+  }
+  return offboarding;
+}
+
+// Start offboarding - deactivates the account and opens the clearance checklist
+router.post("/", verifyToken, canOffboard, async (req, res) => {
+  try {
+    const { userId, separationDate, reason, notes, employmentStatus } = req.body;
+
+    if (!userId || !separationDate || !reason) {
+      return res.status(400).json({ error: "userId, separationDate and reason are required" });
+    }
+
+    if (String(userId) === String(req.user.userId)) {
+      return res.status(400).json({ error: "You cannot offboard your own account" });
+    }
+
+    if (Number.isNaN(new Date(separationDate).getTime())) {
+      return res.status(400).json({ error: "Invalid separation date" });
+    }
+
+    // Optional: also record the separation in the employment status history
+    if (employmentStatus !== undefined && !EMPLOYMENT_STATUSES[employmentStatus]?.separated) {
+      return res.status(400).json({ error: "employmentStatus must be a separation status (resigned or terminated)" });
+    }
+
+    const user = mongoose.Types.ObjectId.isValid(userId) ? await User.findById(userId) : null;
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!user.isActive()) {
+      return res.status(400).json({ error: "User is already inactive" });
+    }
+
+    const offboarding = await startOffboarding(user, {
+      separationDate: new Date(separationDate),
+      reason,
+      notes,
+      employmentStatus,
+      initiatedBy: req.user.userId,
+    });
+
+    res.status(201).json({
+      message: "User deactivated and offboarding started",
+      offboarding,
+      outstanding: outstandingItems(offboarding),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: "An offboarding is already in progress for this user" });
+    }
+    console.error("Start offboarding error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List offboarding cases (optional ?status=in_progress|cleared|cancelled)
+router.get("/", verifyToken, canHandleAssets, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+
+    const offboardings = await Offboarding.find(query)
+      .populate("userId", "email")
+      .populate({
+        path: "employeeId",
+        select: "firstName lastName position department company",
+        populate: ORG_UNIT_POPULATE,
+      })
+      .populate("initiatedBy", "email")
+      .sort({ createdAt: -1 });
+
+    res.json({ total: offboardings.length, offboardings });
+  } catch (error) {
+    console.error("List offboardings error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Offboarding details with the clearance checklist and assets still to return
+router.get("/:id", verifyToken, canHandleAssets, async (req, res) => {
+  try {
+    const offboarding = await findCase(req, res);
+    if (!offboarding) return;
+
+    await offboarding.populate([
+      { path: "userId", select: "email status deactivatedAt" },
+      {
+        path: "employeeId",
+        select: "firstName lastName position department company separationDate separationReason",
+        populate: ORG_UNIT_POPULATE,
+      },
+      { path: "initiatedBy", select: "email" },
+      { path: "signedOffBy", select: "email" },
+      { path: "cancelledLeaves", select: "leaveType startDate endDate numberOfDays" },
+      { path: "cancelledAssetRequests", select: "assetType justification" },
+    ]);
+
+    res.json({
+      offboarding,
+      pendingAssets: offboarding.assets.filter((item) => !item.returned),
+      outstanding: outstandingItems(offboarding),
+    });
+  } catch (error) {
+    console.error("Get offboarding error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record the return of an assigned asset; the asset becomes Available again
+router.post("/:id/assets/:assetId/return", verifyToken, canHandleAssets, async (req, res) => {
+  try {
+    const offboarding = await findCase(req, res);
+    if (!offboarding) return;
+
+    if (offboarding.status !== "in_progress") {
+      return res.status(400).json({ error: `Offboarding is already ${offboarding.status}` });
+    }
+
+    const returned = await returnAsset(offboarding, req.params.assetId, {
+      receivedBy: req.user.userId,
+      condition: req.body?.condition,
+    });
+    if (!returned) {
+      return res.status(404).json({ error: "Asset is not part of this offboarding" });
+    }
+
+    res.json({
+      message: "Asset return recorded",
+      offboarding,
+      outstanding: outstandingItems(offboarding),
+    });
+  } catch (error) {
+    console.error("Return asset error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Complete or reopen a clearance checklist item
+router.patch("/:id/checklist/:key", verifyToken, canOffboard, async (req, res) => {
+  try {
+    const { completed, notes } = req.body;
+
+    if (completed === undefined) {
+      return res.status(400).json({ error: "completed is required" });
+    }
+
+    const offboarding = await findCase(req, res);
+    if (!offboarding) return;
+
+    if (offboarding.status !== "in_progress") {
+      return res.status(400).json({ error: `Offboarding is already ${offboarding.status}` });
+    }
+
+    if (!updateChecklistItem(offboarding, req.params.key, { completed, notes, userId: req.user.userId })) {
+      return res.status(400).json({ error: "Unknown checklist item or item is completed automatically" });
+    }
+    await offboarding.save();
+
+    res.json({
+      message: "Checklist updated",
+      offboarding,
+      outstanding: outstandingItems(offboarding),
+    });
+  } catch (error) {
+    console.error("Update checklist error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// HR sign-off - closes the case once every checklist item is complete
+router.post("/:id/sign-off", verifyToken, canOffboard, async (req, res) => {
+  try {
+    const offboarding = await findCase(req, res);
+    if (!offboarding) return;
+
+    if (offboarding.status !== "in_progress") {
+      return res.status(400).json({ error: `Offboarding is already ${offboarding.status}` });
+    }
+
+    const outstanding = outstandingItems(offboarding);
+    if (outstanding.length > 0) {
+      return res.status(400).json({ error: "Clearance checklist is not complete", outstanding });
+    }
+
+    offboarding.status = "cleared";
+    offboarding.signedOffBy = req.user.userId;
+    offboarding.signedOffAt = new Date();
+    await offboarding.save();
+
+    res.json({ message: "Clearance signed off", offboarding });
+  } catch (error) {
+    console.error("Sign off offboarding error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel an offboarding started by mistake and reactivate the account
+router.post("/:id/cancel", verifyToken, canOffboard, async (req, res) => {
+  try {
+    const offboarding = await findCase(req, res);
+    if (!offboarding) return;
+
+    if (offboarding.status !== "in_progress") {
+      return res.status(400).json({ error: `Offboarding is already ${offboarding.status}` });
+    }
+
+    await cancelOffboarding(offboarding);
+
+    res.json({ message: "Offboarding cancelled and account reactivated", offboarding });
+  } catch (error) {
+    console.error("Cancel offboarding error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Employee = require("../models/Employee");
+const { verifyToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissions");
+const { managerChain, reportsOf, reportsToError, buildOrgChart } = require("../services/reportingLines");
+const { orgUnitFilter, ORG_UNIT_POPULATE } = require("../services/organizationUnits");
+
+const router = express.Router();
+
+async function findEmployee(req, res) {
+  const employee = mongoose.Types.ObjectId.isValid(req.params.employeeId)
+    ? await Employee.findById(req.params.employeeId)
+        .select("firstName lastName position department company reportsTo")
+        .populate(ORG_UNIT_POPULATE)
+    : null;
+  if (!employee) {
+    res.status(404).json({ error: "Employee not found" });
+    return null;
+  }
+  return employee;
+}
+
+// Reporting tree of current employees, optionally for one ?company= and/or ?department= (id or name)
+router.get("/chart", verifyToken, requirePermission("directory.view"), async (req, res) => {
+  try {
+    const { filter, error } = await orgUnitFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(await buildOrgChart(filter));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Managers above an employee, nearest first
+router.get("/employees/:employeeId/chain", verifyToken, requirePermission("directory.view"), async (req, res) => {
+  try {
+    const employee = await findEmployee(req, res);
+    if (!employee) return;
+
+    res.json({ employee, chain: await managerChain(employee._id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Direct and indirect reports of an employee (?direct=true for direct reports only)
+router.get("/employees/:employeeId/reports", verifyToken, requirePermission("directory.view"), async (req, res) => {
+  try {
+    const employee = await findEmployee(req, res);
+    if (!employee) return;
+
+    const reports = await reportsOf(employee._id, { direct: req.query.direct === "true" });
+    res.json({ employee, reports });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set (or clear with null) an employee's direct supervisor
+router.put("/employees/:employeeId/reports-to", verifyToken, requirePermission("employees.edit"), async (req, res) => {
+  try {
+    const employee = await findEmployee(req, res);
+    if (!employee) return;
+
+    const { reportsTo } = req.body;
+    if (reportsTo === undefined) {
+      return res.status(400).json({ error: "reportsTo is required (null to clear)" });
+    }
+
+    const error = await reportsToError(employee, reportsTo);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Only reportsTo changes; other fields are left to the profile endpoints
+    await Employee.updateOne({ _id: employee._id }, { $set: { reportsTo } });
+    employee.reportsTo = reportsTo;
+
+    res.json({
+      message: reportsTo ? "Supervisor updated" : "Supervisor removed",
+      employee,
+      chain: await managerChain(employee._id),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const crypto = require("crypto");
 const { extractText } = require("../services/ocr");
 const { analyzeReceiptText, analyzeReceiptImage } = require("../services/gemini");
 const { verifyToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissions");
 const Receipt = require("../models/Receipt");
 const Employee = require("../models/Employee");
 const Job = require("../models/Job");
@@ -472,14 +473,9 @@ router.get("/", verifyToken, async (req, res) => {
   }
 });
 
-// Manager endpoint: Get all receipts with date filtering (role 1 only)
-router.get("/manager/all", verifyToken, async (req, res) => {
+// Manager endpoint: Get all receipts with date filtering (requires receipts.viewAll)
+router.get("/manager/all", verifyToken, requirePermission("receipts.viewAll"), async (req, res) => {
   try {
-    // Check if user is Manager (role 1)
-    if (req.user.role !== 1) {
-      return res.status(403).json({ error: "Access denied: Manager role required" });
-    }
-
     const { startDate, endDate } = req.query;
 
     if (!startDate || !endDate) {
@@ -0,0 +1,218 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const ServiceAccount = require("../models/ServiceAccount");
+const ApiKey = require("../models/ApiKey");
+const { verifyToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissions");
+const { expiresInDaysError, createApiKey, rotateApiKey } = require("../services/apiKeys");
+const { API_KEY_SCOPES } = require("../config/permissions");
+
+const router = express.Router();
+
+const canManage = requirePermission("serviceAccounts.manage");
+
+// Public fields of a key (never the hash)
+function describeKey(apiKey) {
+  const now = new Date();
+  return {
+    _id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    revokedAt: apiKey.revokedAt,
+    replacedBy: apiKey.replacedBy,
+    createdAt: apiKey.createdAt,
+    active: !apiKey.revokedAt && apiKey.expiresAt > now,
+  };
+}
+
+// Why the scopes of a request body cannot be given to an API key (null when they can)
+function scopesError(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) return "At least one scope is required";
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Scopes not available to API keys: ${unknown.join(", ")} (use ${API_KEY_SCOPES.join(", ")})`;
+  }
+  return null;
+}
+
+async function findAccount(req, res) {
+  const account = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await ServiceAccount.findById(req.params.id)
+    : null;
+  if (!account) {
+    res.status(404).json({ error: "Service account not found" });
+  }
+  return account;
+}
+
+async function findKey(req, res) {
+  const apiKey = mongoose.Types.ObjectId.isValid(req.params.keyId)
+    ? await ApiKey.findOne({ _id: req.params.keyId, serviceAccountId: req.params.id })
+    : null;
+  if (!apiKey) {
+    res.status(404).json({ error: "API key not found" });
+  }
+  return apiKey;
+}
+
+// List service accounts with their keys
+router.get("/", verifyToken, canManage, async (req, res) => {
+  try {
+    const accounts = await ServiceAccount.find().populate("createdBy", "email").sort({ name: 1 }).lean();
+    const keys = await ApiKey.find({ serviceAccountId: { $in: accounts.map((account) => account._id) } }).sort({
+      createdAt: -1,
+    });
+
+    res.json(
+      accounts.map((account) => ({
+        ...account,
+        keys: keys
+          .filter((apiKey) => String(apiKey.serviceAccountId) === String(account._id))
+          .map(describeKey),
+      }))
+    );
+  } catch (error) {
+    console.error("List service accounts error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a service account
+router.post("/", verifyToken, canManage, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || name.trim() === "") {
+      return res.status(400).json({ error: "Service account name is required" });
+    }
+
+    const existing = await ServiceAccount.findOne({ name: name.trim() });
+    if (existing) {
+      return res.status(400).json({ error: "Service account already exists" });
+    }
+
+    const account = await ServiceAccount.create({
+      name: name.trim(),
+      description: description || "",
+      createdBy: req.user.userId,
+    });
+
+    res.status(201).json(account);
+  } catch (error) {
+    console.error("Create service account error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a service account; active: false disables every key of the account
+router.put("/:id", verifyToken, canManage, async (req, res) => {
+  try {
+    const { description, active } = req.body;
+
+    const account = await findAccount(req, res);
+    if (!account) return;
+
+    if (description !== undefined) account.description = description || "";
+    if (active !== undefined) account.active = Boolean(active);
+    await account.save();
+
+    res.json(account);
+  } catch (error) {
+    console.error("Update service account error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create an API key - the raw key is only returned in this response
+router.post("/:id/keys", verifyToken, canManage, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const scopeError = scopesError(scopes);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+
+    const expiryError = expiresInDaysError(expiresInDays);
+    if (expiryError) {
+      return res.status(400).json({ error: expiryError });
+    }
+
+    const account = await findAccount(req, res);
+    if (!account) return;
+
+    if (!account.active) {
+      return res.status(400).json({ error: "Service account is disabled" });
+    }
+
+    const { apiKey, rawKey } = await createApiKey(account, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresInDays,
+      createdBy: req.user.userId,
+    });
+
+    res.status(201).json({
+      message: "API key created. Store it now, it will not be shown again.",
+      key: rawKey,
+      apiKey: describeKey(apiKey),
+    });
+  } catch (error) {
+    console.error("Create API key error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rotate an API key - returns a new key with the same scopes; the old one stops
+// working immediately or after graceHours (max 72) so the integration can switch over
+router.post("/:id/keys/:keyId/rotate", verifyToken, canManage, async (req, res) => {
+  try {
+    const apiKey = await findKey(req, res);
+    if (!apiKey) return;
+
+    // An expired key cannot be renewed by rotating it
+    if (apiKey.revokedAt || apiKey.replacedBy || apiKey.expiresAt <= new Date()) {
+      return res.status(400).json({ error: "Only active keys can be rotated" });
+    }
+
+    const { apiKey: newKey, rawKey } = await rotateApiKey(apiKey, {
+      graceHours: req.body?.graceHours,
+      rotatedBy: req.user.userId,
+    });
+
+    res.json({
+      message: "API key rotated. Store the new key now, it will not be shown again.",
+      key: rawKey,
+      apiKey: describeKey(newKey),
+      previousKey: describeKey(apiKey),
+    });
+  } catch (error) {
+    console.error("Rotate API key error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke an API key
+router.post("/:id/keys/:keyId/revoke", verifyToken, canManage, async (req, res) => {
+  try {
+    const apiKey = await findKey(req, res);
+    if (!apiKey) return;
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = req.user.userId;
+      await apiKey.save();
+    }
+
+    res.json({ message: "API key revoked", apiKey: describeKey(apiKey) });
+  } catch (error) {
+    console.error("Revoke API key error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
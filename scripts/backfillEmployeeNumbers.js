@@ -0,0 +1,53 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Employee = require("../models/Employee");
+const { assignEmployeeNumber } = require("../services/employeeNumbers");
+
+// Usage: node scripts/backfillEmployeeNumbers.js [--dry-run]
+// Numbers employees approved before employee numbers existed, in order of
+// hire date so earlier hires get lower numbers. New approvals are numbered by the API.
+// Run scripts/migrateOrganizationUnits.js first: the prefix comes from the company.
+async function run() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error("MONGODB_URI environment variable is not set");
+  }
+
+  await mongoose.connect(mongoUri, {
+    serverApi: {
+      version: "1",
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  const filter = { approval_status: 1, employeeNumber: null };
+  if (dryRun) {
+    console.log(`Would number ${await Employee.countDocuments(filter)} employee(s)`);
+  } else {
+    const cursor = Employee.find(filter)
+      .select("company dateHired employeeNumber")
+      .sort({ dateHired: 1, createdAt: 1, _id: 1 })
+      .cursor();
+
+    let numbered = 0;
+    for await (const employee of cursor) {
+      await assignEmployeeNumber(employee);
+      numbered += 1;
+    }
+    console.log(`Numbered ${numbered} employee(s)`);
+  }
+
+  await mongoose.connection.close();
+  console.log("Employee number backfill complete.");
+}
+
+run().catch(async (err) => {
+  console.error("Employee number backfill failed:", err.message);
+  try {
+    await mongoose.connection.close();
+  } catch (_) {}
+  process.exit(1);
+});
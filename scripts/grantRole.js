@@ -0,0 +1,54 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const { ensureDefaultRoles } = require("../services/permissions");
+
+// Usage: node scripts/grantRole.js <email> <roleName>
+// e.g. node scripts/grantRole.js vivol@borgs.com.au IT  (replaces the old hardcoded IT email)
+async function run() {
+  const [email, roleName] = process.argv.slice(2);
+  if (!email || !roleName) {
+    throw new Error("Usage: node scripts/grantRole.js <email> <roleName>");
+  }
+
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error("MONGODB_URI environment variable is not set");
+  }
+
+  await mongoose.connect(mongoUri, {
+    serverApi: {
+      version: "1",
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  await ensureDefaultRoles();
+
+  const role = await Role.findOne({ name: roleName });
+  if (!role) {
+    throw new Error(`Role not found: ${roleName}`);
+  }
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { $addToSet: { roles: role._id } },
+    { new: true }
+  );
+  if (!user) {
+    throw new Error(`User not found: ${email}`);
+  }
+
+  console.log(`Granted role ${role.name} to ${user.email}`);
+  await mongoose.connection.close();
+}
+
+run().catch(async (err) => {
+  console.error("Grant role failed:", err.message);
+  try {
+    await mongoose.connection.close();
+  } catch (_) {}
+  process.exit(1);
+});
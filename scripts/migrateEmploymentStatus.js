@@ -0,0 +1,98 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Employee = require("../models/Employee");
+const EmploymentStatusChange = require("../models/EmploymentStatusChange");
+const { regularizationDueFrom } = require("../services/employmentStatus");
+
+// Usage: node scripts/migrateEmploymentStatus.js [--dry-run]
+// Gives profiles created before employment statuses existed a status and a first
+// history entry, inferred from the hire and separation dates:
+//   separated            -> terminated when the reason mentions termination/dismissal, else resigned
+//   probation completed  -> regular from the end of probation (PROBATION_MONTHS)
+//   otherwise            -> probationary, due for regularization at the end of probation
+// Contractual and project-based employees have to be updated by HR afterwards.
+const TERMINATION_PATTERN = /terminat|dismiss/i;
+
+function inferStatus(employee, now) {
+  const hired = employee.dateHired || employee.createdAt || now;
+  const probationEnd = regularizationDueFrom(hired);
+
+  if (employee.separationDate) {
+    const status = TERMINATION_PATTERN.test(employee.separationReason || "") ? "terminated" : "resigned";
+    return { status, effectiveDate: employee.separationDate, regularizationDueDate: null };
+  }
+  if (probationEnd <= now) {
+    return { status: "regular", effectiveDate: probationEnd, regularizationDueDate: null };
+  }
+  return { status: "probationary", effectiveDate: hired, regularizationDueDate: probationEnd };
+}
+
+async function run() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error("MONGODB_URI environment variable is not set");
+  }
+
+  await mongoose.connect(mongoUri, {
+    serverApi: {
+      version: "1",
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  const now = new Date();
+  const counts = {};
+
+  // Raw collection: schema defaults would hide profiles that never had a status
+  const cursor = Employee.collection.find(
+    { employmentStatus: { $exists: false } },
+    { projection: { dateHired: 1, createdAt: 1, separationDate: 1, separationReason: 1 } }
+  );
+
+  for await (const employee of cursor) {
+    const inferred = inferStatus(employee, now);
+    counts[inferred.status] = (counts[inferred.status] || 0) + 1;
+    if (dryRun) continue;
+
+    await Employee.collection.updateOne(
+      { _id: employee._id },
+      {
+        $set: {
+          employmentStatus: inferred.status,
+          employmentStatusSince: inferred.effectiveDate,
+          regularizationDueDate: inferred.regularizationDueDate,
+          contractEndDate: null,
+          employmentRemindersSent: [],
+        },
+      }
+    );
+
+    if (!(await EmploymentStatusChange.exists({ employeeId: employee._id }))) {
+      await EmploymentStatusChange.create({
+        employeeId: employee._id,
+        ...inferred,
+        reason: "Inferred from hire and separation dates",
+        applied: true,
+      });
+    }
+  }
+
+  const summary = Object.entries(counts)
+    .map(([status, count]) => `${count} ${status}`)
+    .join(", ");
+  console.log(`${dryRun ? "Would set" : "Set"}: ${summary || "nothing to migrate"}`);
+
+  await mongoose.connection.close();
+  console.log("Employment status migration complete.");
+}
+
+run().catch(async (err) => {
+  console.error("Employment status migration failed:", err.message);
+  try {
+    await mongoose.connection.close();
+  } catch (_) {}
+  process.exit(1);
+});
@@ -0,0 +1,125 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Employee = require("../models/Employee");
+const {
+  GOVERNMENT_IDS,
+  GOVERNMENT_ID_FIELDS,
+  normalizeGovernmentId,
+  governmentIdError,
+} = require("../services/governmentIds");
+const { encryptValue, decryptValue, isEncrypted, blindIndex } = require("../services/fieldEncryption");
+const { maskValue } = require("../services/profileMasking");
+
+// Usage: node scripts/migrateGovernmentIds.js [--dry-run]
+// Rewrites stored government IDs in their canonical format (encrypted, with their
+// blind index), reports invalid and duplicate values, and creates the unique
+// indexes once no duplicates remain.
+async function run() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error("MONGODB_URI environment variable is not set");
+  }
+
+  await mongoose.connect(mongoUri, {
+    serverApi: {
+      version: "1",
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  // Raw documents, so the schema setters do not hide what is actually stored
+  const collection = Employee.collection;
+  const projection = { firstName: 1, lastName: 1 };
+  for (const field of GOVERNMENT_ID_FIELDS) {
+    projection[field] = 1;
+    projection[`${field}Hash`] = 1;
+  }
+  const employees = await collection.find({}, { projection }).toArray();
+
+  const updates = [];
+  const invalid = [];
+  const owners = Object.fromEntries(GOVERNMENT_ID_FIELDS.map((field) => [field, new Map()]));
+
+  for (const employee of employees) {
+    const $set = {};
+    for (const field of GOVERNMENT_ID_FIELDS) {
+      if (!employee[field]) continue;
+      const stored = decryptValue(employee[field]);
+
+      const error = governmentIdError(field, stored);
+      if (error) {
+        invalid.push(`${employee._id} ${employee.firstName} ${employee.lastName}: ${error} (${maskValue(field, stored)})`);
+      }
+
+      const normalized = normalizeGovernmentId(field, stored);
+      if (normalized !== stored || !isEncrypted(employee[field])) $set[field] = encryptValue(normalized);
+      const hash = blindIndex(field, normalized);
+      if (employee[`${field}Hash`] !== hash) $set[`${field}Hash`] = hash;
+
+      const ids = owners[field].get(normalized) || [];
+      ids.push(employee._id);
+      owners[field].set(normalized, ids);
+    }
+    if (Object.keys($set).length > 0) {
+      updates.push({ updateOne: { filter: { _id: employee._id }, update: { $set } } });
+    }
+  }
+
+  console.log(`Checked ${employees.length} employees; ${updates.length} need updating.`);
+  if (updates.length > 0 && !dryRun) {
+    await collection.bulkWrite(updates);
+    console.log(`Updated ${updates.length} employees.`);
+  }
+
+  if (invalid.length > 0) {
+    console.log(`\n${invalid.length} invalid government IDs (fix these in the profile):`);
+    invalid.forEach((line) => console.log(`  ${line}`));
+  }
+
+  let duplicates = 0;
+  for (const field of GOVERNMENT_ID_FIELDS) {
+    for (const [value, ids] of owners[field]) {
+      if (ids.length < 2) continue;
+      if (duplicates === 0) console.log("\nDuplicate government IDs (resolve before the unique indexes can be created):");
+      duplicates += 1;
+      console.log(`  ${GOVERNMENT_IDS[field].label} ${maskValue(field, value)}: employees ${ids.join(", ")}`);
+    }
+  }
+
+  if (dryRun) {
+    console.log("\nDry run: nothing was written.");
+  } else if (duplicates > 0) {
+    process.exitCode = 1;
+    console.log(`\n${duplicates} duplicate values found; unique indexes not created.`);
+  } else {
+    const existing = new Set((await collection.indexes()).map((index) => index.name));
+    for (const field of GOVERNMENT_ID_FIELDS) {
+      // Plaintext indexes from before the IDs were encrypted
+      if (existing.has(`${field}_1`)) {
+        await collection.dropIndex(`${field}_1`);
+        console.log(`Dropped index: ${field}_1`);
+      }
+
+      const hashField = `${field}Hash`;
+      await collection.createIndex(
+        { [hashField]: 1 },
+        { name: `${hashField}_1`, unique: true, partialFilterExpression: { [hashField]: { $type: "string" } } }
+      );
+      console.log(`Created index: ${hashField}_1 (partial unique)`);
+    }
+  }
+
+  await mongoose.connection.close();
+  console.log("Government ID migration complete.");
+}
+
+run().catch(async (err) => {
+  console.error("Government ID migration failed:", err.message);
+  try {
+    await mongoose.connection.close();
+  } catch (_) {}
+  process.exit(1);
+});
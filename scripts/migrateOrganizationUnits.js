@@ -0,0 +1,147 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Company = require("../models/Company");
+const Department = require("../models/Department");
+const Employee = require("../models/Employee");
+const Invitation = require("../models/Invitation");
+const ProfileChangeRequest = require("../models/ProfileChangeRequest");
+const EmployeeProfileVersion = require("../models/EmployeeProfileVersion");
+
+// Usage: node scripts/migrateOrganizationUnits.js [--dry-run] [--create-missing]
+// Replaces the company and department names stored on employee profiles (and on
+// invitations, profile version snapshots and change requests) with references to
+// the companies and departments collections. Names are matched ignoring case and
+// surrounding spaces; empty departments become null. Names without a matching record
+// are listed and left as they are, unless --create-missing creates the record first.
+// Run it before starting the API on the new schema, and again until nothing is unmatched.
+const KINDS = {
+  company: Company,
+  department: Department,
+};
+
+function nameKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+async function run() {
+  const dryRun = process.argv.includes("--dry-run");
+  const createMissing = process.argv.includes("--create-missing");
+
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error("MONGODB_URI environment variable is not set");
+  }
+
+  await mongoose.connect(mongoUri, {
+    serverApi: {
+      version: "1",
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  const ids = {};
+  for (const [kind, model] of Object.entries(KINDS)) {
+    const units = await model.find().select("name").lean();
+    ids[kind] = new Map(units.map((unit) => [nameKey(unit.name), unit._id]));
+  }
+
+  const unmatched = { company: new Map(), department: new Map() };
+  const created = { company: 0, department: 0 };
+
+  // Id for a stored name: null for empty values, undefined when there is no such record
+  async function resolve(kind, value) {
+    if (typeof value !== "string") return value;
+    if (value.trim() === "") return null;
+
+    const key = nameKey(value);
+    if (ids[kind].has(key)) return ids[kind].get(key);
+
+    if (createMissing) {
+      const id = dryRun ? new mongoose.Types.ObjectId() : (await KINDS[kind].create({ name: value.trim() }))._id;
+      ids[kind].set(key, id);
+      created[kind] += 1;
+      return id;
+    }
+
+    unmatched[kind].set(value.trim(), (unmatched[kind].get(value.trim()) || 0) + 1);
+    return undefined;
+  }
+
+  // Raw collections: the models now cast these fields to ObjectIds
+  const counts = { employees: 0, invitations: 0, versions: 0, changeRequests: 0 };
+
+  for (const [label, model, prefix] of [
+    ["employees", Employee, ""],
+    ["invitations", Invitation, ""],
+    ["versions", EmployeeProfileVersion, "snapshot."],
+  ]) {
+    const cursor = model.collection.find({
+      $or: Object.keys(KINDS).map((kind) => ({ [`${prefix}${kind}`]: { $type: "string" } })),
+    });
+
+    for await (const doc of cursor) {
+      const source = prefix ? doc.snapshot : doc;
+      const $set = {};
+      for (const kind of Object.keys(KINDS)) {
+        if (typeof source[kind] !== "string") continue;
+        const id = await resolve(kind, source[kind]);
+        if (id !== undefined) $set[`${prefix}${kind}`] = id;
+      }
+      if (Object.keys($set).length === 0) continue;
+
+      counts[label] += 1;
+      if (!dryRun) await model.collection.updateOne({ _id: doc._id }, { $set });
+    }
+  }
+
+  const requests = ProfileChangeRequest.collection.find({ "changes.field": { $in: Object.keys(KINDS) } });
+  for await (const request of requests) {
+    let changed = false;
+    const changes = [];
+    for (const change of request.changes) {
+      const updated = { ...change };
+      if (KINDS[change.field]) {
+        for (const side of ["from", "to"]) {
+          if (typeof change[side] !== "string") continue;
+          const id = await resolve(change.field, change[side]);
+          if (id === undefined) continue;
+          updated[side] = id;
+          changed = true;
+        }
+      }
+      changes.push(updated);
+    }
+    if (!changed) continue;
+
+    counts.changeRequests += 1;
+    if (!dryRun) await ProfileChangeRequest.collection.updateOne({ _id: request._id }, { $set: { changes } });
+  }
+
+  const summary = Object.entries(counts)
+    .map(([label, count]) => `${count} ${label}`)
+    .join(", ");
+  console.log(`${dryRun ? "Would update" : "Updated"}: ${summary}`);
+  if (createMissing) {
+    console.log(`${dryRun ? "Would create" : "Created"}: ${created.company} companies, ${created.department} departments`);
+  }
+
+  for (const kind of Object.keys(KINDS)) {
+    if (unmatched[kind].size === 0) continue;
+    console.log(`Unmatched ${kind} names (create them or rerun with --create-missing):`);
+    for (const [name, count] of [...unmatched[kind]].sort((a, b) => b[1] - a[1])) {
+      console.log(`  "${name}": ${count}`);
+    }
+  }
+
+  await mongoose.connection.close();
+  console.log("Organization unit migration complete.");
+}
+
+run().catch(async (err) => {
+  console.error("Organization unit migration failed:", err.message);
+  try {
+    await mongoose.connection.close();
+  } catch (_) {}
+  process.exit(1);
+});
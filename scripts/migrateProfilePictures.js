@@ -0,0 +1,68 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Employee = require("../models/Employee");
+const { renderProfilePicture, replaceProfilePicture } = require("../services/profilePictures");
+
+// Usage: node scripts/migrateProfilePictures.js [--dry-run]
+// Converts profile pictures stored inline as base64 data URLs into stored
+// thumbnails (see services/profilePictures.js). Pictures that cannot be read are
+// listed and left unchanged.
+const DATA_URL_PATTERN = /^data:image\/[a-z0-9.+-]+;base64,/i;
+
+async function run() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error("MONGODB_URI environment variable is not set");
+  }
+
+  await mongoose.connect(mongoUri, {
+    serverApi: {
+      version: "1",
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  let converted = 0;
+  const failed = [];
+
+  const cursor = Employee.find({ profilePicture: /^data:/ })
+    .select("firstName lastName profilePicture profilePictureFiles")
+    .cursor();
+  for await (const employee of cursor) {
+    const name = `${employee.firstName} ${employee.lastName} (${employee._id})`;
+    if (!DATA_URL_PATTERN.test(employee.profilePicture)) {
+      failed.push(`${name}: not a base64 image`);
+      continue;
+    }
+
+    const buffer = Buffer.from(employee.profilePicture.replace(DATA_URL_PATTERN, ""), "base64");
+    const { images, error } = await renderProfilePicture(buffer);
+    if (error) {
+      failed.push(`${name}: ${error}`);
+      continue;
+    }
+
+    if (!dryRun) await replaceProfilePicture(employee, images);
+    converted += 1;
+  }
+
+  console.log(`${converted} picture${converted === 1 ? "" : "s"} ${dryRun ? "to convert" : "converted"}`);
+  if (failed.length > 0) {
+    console.log(`${failed.length} left unchanged:`);
+    for (const line of failed) console.log(`  ${line}`);
+  }
+
+  await mongoose.connection.close();
+  console.log("Profile picture migration complete.");
+}
+
+run().catch(async (err) => {
+  console.error("Profile picture migration failed:", err.message);
+  try {
+    await mongoose.connection.close();
+  } catch (_) {}
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+// Minimal OpenID Connect provider for testing SSO locally. Not for production.
+// Usage: npm run mock-oidc
+// Then configure a company with PUT /api/admin/companies/:id/sso:
+//   { "enabled": true, "issuer": "http://localhost:4400", "clientId": "borg-manila", "allowedDomains": ["borgs.com.au"] }
+// Add ?email=someone@borgs.com.au to the authorization URL to skip the login form.
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || "4400", 10);
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "borg-manila";
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || null;
+
+// Fresh signing key on every start; the backend re-fetches the JWKS for unknown key ids
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString("hex");
+const publicJwk = { ...publicKey.export({ format: "jwk" }), kid: KEY_ID, use: "sig", alg: "RS256" };
+
+// code -> { email, clientId, redirectUri, nonce, codeChallenge, expiresAt }
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+function base64url(buffer) {
+  return buffer.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function escapeHtml(value) {
+  return String(value || "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: ["client_secret_basic", "none"],
+    scopes_supported: ["openid", "email", "profile"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [publicJwk] });
+});
+
+// Issue an authorization code and send the browser back to the client
+function approve(res, params, email) {
+  const code = base64url(crypto.randomBytes(24));
+  codes.set(code, {
+    email: String(email).toLowerCase().trim(),
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    nonce: params.nonce,
+    codeChallenge: params.code_challenge,
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  const query = new URLSearchParams({ code });
+  if (params.state) query.set("state", params.state);
+  res.redirect(`${params.redirect_uri}?${query.toString()}`);
+}
+
+function validateAuthorizeRequest(params) {
+  if (params.response_type !== "code") return "unsupported response_type";
+  if (params.client_id !== CLIENT_ID) return "unknown client_id";
+  if (!params.redirect_uri) return "redirect_uri required";
+  if (!params.code_challenge || params.code_challenge_method !== "S256") return "PKCE with S256 required";
+  return null;
+}
+
+app.get("/authorize", (req, res) => {
+  const problem = validateAuthorizeRequest(req.query);
+  if (problem) return res.status(400).send(problem);
+
+  if (req.query.email) return approve(res, req.query, req.query.email);
+
+  const hidden = Object.entries(req.query)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join("\n");
+
+  res.send(`<!doctype html>
+<title>Mock identity provider</title>
+<form method="post" action="/authorize">
+${hidden}
+<label>Email <input name="email" type="email" required autofocus></label>
+<button type="submit">Sign in</button>
+</form>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const problem = validateAuthorizeRequest(req.body);
+  if (problem) return res.status(400).send(problem);
+  if (!req.body.email) return res.status(400).send("email required");
+
+  approve(res, req.body, req.body.email);
+});
+
+app.post("/token", (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = null;
+
+  const basic = req.headers.authorization?.match(/^Basic (.+)$/);
+  if (basic) {
+    const [id, secret] = Buffer.from(basic[1], "base64").toString().split(":");
+    clientId = decodeURIComponent(id);
+    clientSecret = decodeURIComponent(secret || "");
+  }
+
+  if (clientId !== CLIENT_ID || (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+  const entry = codes.get(code);
+  codes.delete(code);
+
+  if (grantType !== "authorization_code" || !entry || entry.expiresAt < Date.now()) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  if (entry.clientId !== clientId || entry.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: "invalid_grant", error_description: "redirect_uri mismatch" });
+  }
+
+  const challenge = base64url(crypto.createHash("sha256").update(String(codeVerifier || "")).digest());
+  if (challenge !== entry.codeChallenge) {
+    return res.status(400).json({ error: "invalid_grant", error_description: "PKCE verification failed" });
+  }
+
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash("sha256").update(entry.email).digest("hex").slice(0, 24),
+      email: entry.email,
+      email_verified: true,
+      name: entry.email.split("@")[0],
+      nonce: entry.nonce,
+    },
+    privateKey,
+    { algorithm: "RS256", keyid: KEY_ID, issuer: ISSUER, audience: clientId, expiresIn: "5m" }
+  );
+
+  res.json({
+    access_token: base64url(crypto.randomBytes(24)),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client_id: ${CLIENT_ID})`);
+});
@@ -0,0 +1,120 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Employee = require("../models/Employee");
+const EmployeeProfileVersion = require("../models/EmployeeProfileVersion");
+const ProfileChangeRequest = require("../models/ProfileChangeRequest");
+const { FIELD_ENCRYPTION_KEYS } = require("../config/encryption");
+const { SENSITIVE_PROFILE_FIELDS } = require("../config/profileFields");
+const { GOVERNMENT_ID_FIELDS, normalizeGovernmentId } = require("../services/governmentIds");
+const { encryptValue, decryptValue, encryptionKeyId, blindIndex } = require("../services/fieldEncryption");
+
+// Usage: node scripts/rotateFieldEncryption.js [--dry-run]
+// Re-encrypts every sensitive employee value (profiles, version snapshots and
+// change sets) with the first key of FIELD_ENCRYPTION_KEYS, encrypts plaintext
+// left from before encryption was enabled, and recomputes the government ID
+// blind indexes (needed after FIELD_HASH_KEY changes). Older keys can be removed
+// from FIELD_ENCRYPTION_KEYS once this has run.
+const BATCH_SIZE = 500;
+const currentKeyId = FIELD_ENCRYPTION_KEYS[0].id;
+
+// The value re-encrypted with the current key, or undefined when it already is
+function reencrypted(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (encryptionKeyId(value) === currentKeyId) return undefined;
+  return encryptValue(decryptValue(value));
+}
+
+async function rotateCollection(collection, label, buildSet, dryRun) {
+  let checked = 0;
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length > 0 && !dryRun) await collection.bulkWrite(batch);
+    batch = [];
+  };
+
+  for await (const doc of collection.find({})) {
+    checked += 1;
+    const $set = buildSet(doc);
+    if (Object.keys($set).length === 0) continue;
+
+    updated += 1;
+    batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${label}: ${checked} checked, ${updated} ${dryRun ? "to update" : "updated"}`);
+}
+
+function employeeSet(employee) {
+  const $set = {};
+  for (const field of SENSITIVE_PROFILE_FIELDS) {
+    const value = reencrypted(employee[field]);
+    if (value !== undefined) $set[field] = value;
+  }
+  for (const field of GOVERNMENT_ID_FIELDS) {
+    if (!employee[field]) continue;
+    const hash = blindIndex(field, normalizeGovernmentId(field, decryptValue(employee[field])));
+    if (employee[`${field}Hash`] !== hash) $set[`${field}Hash`] = hash;
+  }
+  return $set;
+}
+
+function versionSet(version) {
+  const $set = {};
+  for (const field of SENSITIVE_PROFILE_FIELDS) {
+    const value = reencrypted(version.snapshot?.[field]);
+    if (value !== undefined) $set[`snapshot.${field}`] = value;
+  }
+  return $set;
+}
+
+function changeRequestSet(changeRequest) {
+  let changed = false;
+  const changes = (changeRequest.changes || []).map((change) => {
+    if (!SENSITIVE_PROFILE_FIELDS.includes(change.field)) return change;
+    const from = reencrypted(change.from);
+    const to = reencrypted(change.to);
+    if (from === undefined && to === undefined) return change;
+    changed = true;
+    return { ...change, from: from ?? change.from, to: to ?? change.to };
+  });
+  return changed ? { changes } : {};
+}
+
+async function run() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error("MONGODB_URI environment variable is not set");
+  }
+
+  await mongoose.connect(mongoUri, {
+    serverApi: {
+      version: "1",
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  console.log(`Encrypting with key "${currentKeyId}"${dryRun ? " (dry run)" : ""}`);
+
+  // Raw collections, so stored values are seen exactly as written
+  await rotateCollection(Employee.collection, "Employee profiles", employeeSet, dryRun);
+  await rotateCollection(EmployeeProfileVersion.collection, "Profile versions", versionSet, dryRun);
+  await rotateCollection(ProfileChangeRequest.collection, "Profile change requests", changeRequestSet, dryRun);
+
+  await mongoose.connection.close();
+  console.log("Field encryption rotation complete.");
+}
+
+run().catch(async (err) => {
+  console.error("Field encryption rotation failed:", err.message);
+  try {
+    await mongoose.connection.close();
+  } catch (_) {}
+  process.exit(1);
+});
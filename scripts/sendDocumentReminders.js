@@ -0,0 +1,33 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { sendExpiryReminders } = require("../services/employeeDocuments");
+
+// Usage: node scripts/sendDocumentReminders.js
+// Run daily (e.g. from cron) to remind employees and HR about expiring documents.
+async function run() {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error("MONGODB_URI environment variable is not set");
+  }
+
+  await mongoose.connect(mongoUri, {
+    serverApi: {
+      version: "1",
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  const reminded = await sendExpiryReminders();
+  console.log(`Sent reminders for ${reminded} document${reminded === 1 ? "" : "s"}.`);
+
+  await mongoose.connection.close();
+}
+
+run().catch(async (err) => {
+  console.error("Document reminders failed:", err.message);
+  try {
+    await mongoose.connection.close();
+  } catch (_) {}
+  process.exit(1);
+});
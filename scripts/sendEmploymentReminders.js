@@ -0,0 +1,35 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+require("../models/Employee");
+const { sendEmploymentReminders } = require("../services/employmentStatus");
+
+// Usage: node scripts/sendEmploymentReminders.js
+// Run daily (e.g. from cron): applies scheduled employment status changes that have
+// taken effect, then reminds HR and supervisors about regularizations and contract ends.
+async function run() {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error("MONGODB_URI environment variable is not set");
+  }
+
+  await mongoose.connect(mongoUri, {
+    serverApi: {
+      version: "1",
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  const reminded = await sendEmploymentReminders();
+  console.log(`Sent reminders for ${reminded} employee${reminded === 1 ? "" : "s"}.`);
+
+  await mongoose.connection.close();
+}
+
+run().catch(async (err) => {
+  console.error("Employment reminders failed:", err.message);
+  try {
+    await mongoose.connection.close();
+  } catch (_) {}
+  process.exit(1);
+});
@@ -3,9 +3,18 @@ const express = require("express");
 const cors = require("cors");
 const path = require("path");
 const { connectDB } = require("./config/mongodb");
+const { ensureDefaultRoles } = require("./services/permissions");
 const receiptRoutes = require("./routes/receipts");
 const authRoutes = require("./routes/auth");
+const invitationRoutes = require("./routes/invitations");
+const importRoutes = require("./routes/imports");
+const exportRoutes = require("./routes/exports");
+const offboardingRoutes = require("./routes/offboarding");
+const documentRoutes = require("./routes/documents");
 const employeeRoutes = require("./routes/employee");
+const organizationRoutes = require("./routes/organization");
+const employmentRoutes = require("./routes/employment");
+const serviceAccountRoutes = require("./routes/serviceAccounts");
 const adminRoutes = require("./routes/admin");
 const attendanceRoutes = require("./routes/attendance");
 const leaveRoutes = require("./routes/leaves");
@@ -14,8 +23,9 @@ const sampleRoutes = require("./routes/sample");
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: '10mb' })); // Increase limit for base64 images
-app.use(express.urlencoded({ limit: '10mb', extended: true }));
+// Images are uploaded as multipart files (e.g. POST /api/employee/profile/picture), not base64 JSON
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ limit: '1mb', extended: true }));
 
 // Serve uploaded images statically
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
@@ -32,10 +42,19 @@ try {
 async function startServer() {
   try {
     await connectDB();
+    await ensureDefaultRoles();
     
     app.use("/api/auth", authRoutes);
+    app.use("/api/invitations", invitationRoutes);
+    app.use("/api/imports", importRoutes);
+    app.use("/api/exports", exportRoutes);
+    app.use("/api/offboarding", offboardingRoutes);
+    app.use("/api/documents", documentRoutes);
     app.use("/api/receipts", receiptRoutes);
     app.use("/api/employee", employeeRoutes);
+    app.use("/api/org", organizationRoutes);
+    app.use("/api/employment", employmentRoutes);
+    app.use("/api/admin/service-accounts", serviceAccountRoutes);
     app.use("/api/admin", adminRoutes);
     app.use("/api/attendance", attendanceRoutes);
     app.use("/api/leaves", leaveRoutes);
@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const ServiceAccount = require("../models/ServiceAccount");
+const { hashToken } = require("./tokens");
+const { API_KEYS } = require("../config/auth");
+
+const KEY_PREFIX = "bm_";
+// Only record usage once a minute per key to avoid a write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Why a requested key lifetime cannot be used (null when it can; empty means the default)
+ */
+function expiresInDaysError(expiresInDays) {
+  if (expiresInDays === undefined || expiresInDays === null || expiresInDays === "") return null;
+  const days = Number(expiresInDays);
+  return Number.isInteger(days) && days > 0 ? null : "expiresInDays must be a whole number of days above 0";
+}
+
+/**
+ * Expiry for a new key: `expiresInDays` (default API_KEY_DEFAULT_TTL_DAYS), capped at API_KEY_MAX_TTL_DAYS
+ */
+function keyExpiry(expiresInDays) {
+  const days = Math.min(parseInt(expiresInDays, 10) || API_KEYS.defaultTtlDays, API_KEYS.maxTtlDays);
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Create a key for a service account; returns { apiKey, rawKey }. The raw key is never stored.
+ */
+async function createApiKey(serviceAccount, { name, scopes, expiresInDays, createdBy }) {
+  const rawKey = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+  const apiKey = await ApiKey.create({
+    serviceAccountId: serviceAccount._id,
+    name: name || null,
+    prefix: rawKey.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashToken(rawKey),
+    scopes,
+    expiresAt: keyExpiry(expiresInDays),
+    createdBy,
+  });
+
+  return { apiKey, rawKey };
+}
+
+/**
+ * Replace a key with a new one carrying the same scopes and lifetime. The old
+ * key keeps working for `graceHours` (0 = revoked immediately).
+ */
+async function rotateApiKey(apiKey, { graceHours = 0, rotatedBy }) {
+  const serviceAccount = await ServiceAccount.findById(apiKey.serviceAccountId);
+  const lifetimeDays = Math.ceil((apiKey.expiresAt - apiKey.createdAt) / (24 * 60 * 60 * 1000));
+
+  const created = await createApiKey(serviceAccount, {
+    name: apiKey.name,
+    scopes: apiKey.scopes,
+    expiresInDays: lifetimeDays,
+    createdBy: rotatedBy,
+  });
+
+  const grace = Math.min(Math.max(Number(graceHours) || 0, 0), API_KEYS.maxRotationGraceHours);
+  apiKey.replacedBy = created.apiKey._id;
+  if (grace > 0) {
+    apiKey.expiresAt = new Date(Math.min(apiKey.expiresAt.getTime(), Date.now() + grace * 60 * 60 * 1000));
+  } else {
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = rotatedBy;
+  }
+  await apiKey.save();
+
+  return created;
+}
+
+/**
+ * Resolve a raw key from the X-API-Key header. Returns { apiKey, serviceAccount }
+ * or null when the key is unknown, revoked, expired or its account is disabled.
+ */
+async function authenticateApiKey(rawKey, req) {
+  if (!rawKey || !String(rawKey).startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey) });
+  if (!apiKey || apiKey.revokedAt || apiKey.expiresAt <= new Date()) return null;
+
+  const serviceAccount = await ServiceAccount.findById(apiKey.serviceAccountId);
+  if (!serviceAccount?.active) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip || null });
+  }
+
+  return { apiKey, serviceAccount };
+}
+
+module.exports = { expiresInDaysError, createApiKey, rotateApiKey, authenticateApiKey };
@@ -0,0 +1,25 @@
+const AuditLog = require("../models/AuditLog");
+
+/**
+ * Write an audit entry. Never throws: auditing must not break the request it describes.
+ */
+async function recordAudit(req, { action, actorId, targetUserId, impersonationId, statusCode, details }) {
+  try {
+    await AuditLog.create({
+      action,
+      actorId: actorId || null,
+      targetUserId: targetUserId || null,
+      impersonationId: impersonationId || null,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode,
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      details: details || null,
+    });
+  } catch (error) {
+    console.error("Failed to record audit entry:", error.message);
+  }
+}
+
+module.exports = { recordAudit };
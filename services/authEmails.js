@@ -0,0 +1,47 @@
+const { sendMail } = require("./mailer");
+const { APP_BASE_URL, PASSWORD_RESET_TTL_MINUTES, INVITATION_TTL_DAYS } = require("../config/auth");
+
+/**
+ * Email a password reset link containing the raw one-time token
+ */
+async function sendPasswordResetEmail(user, rawToken) {
+  const link = `${APP_BASE_URL}/reset-password?token=${encodeURIComponent(rawToken)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your Borg Manila password",
+    text: [
+      "We received a request to reset the password for your account.",
+      "",
+      `Open this link to choose a new password (valid for ${PASSWORD_RESET_TTL_MINUTES} minutes):`,
+      link,
+      "",
+      "If you did not request this, you can ignore this email.",
+    ].join("\n"),
+    html: `<p>We received a request to reset the password for your account.</p>
+<p><a href="${link}">Choose a new password</a> (valid for ${PASSWORD_RESET_TTL_MINUTES} minutes).</p>
+<p>If you did not request this, you can ignore this email.</p>`,
+  });
+}
+
+/**
+ * Email an invitation link; the invitee chooses their own password when accepting
+ */
+async function sendInvitationEmail(invitation, rawToken) {
+  const link = `${APP_BASE_URL}/accept-invitation?token=${encodeURIComponent(rawToken)}`;
+
+  return sendMail({
+    to: invitation.email,
+    subject: "You're invited to Borg Manila",
+    text: [
+      "You have been invited to create your Borg Manila account.",
+      "",
+      `Open this link to set your password and complete your profile (valid for ${INVITATION_TTL_DAYS} days):`,
+      link,
+    ].join("\n"),
+    html: `<p>You have been invited to create your Borg Manila account.</p>
+<p><a href="${link}">Set your password and complete your profile</a> (valid for ${INVITATION_TTL_DAYS} days).</p>`,
+  });
+}
+
+module.exports = { sendPasswordResetEmail, sendInvitationEmail };
@@ -0,0 +1,191 @@
+const EmployeeDocument = require("../models/EmployeeDocument");
+const DocumentRequirement = require("../models/DocumentRequirement");
+const { sendMail, escapeHtml } = require("./mailer");
+const { usersWithPermission } = require("./permissions");
+const { APP_BASE_URL } = require("../config/auth");
+const { DOCUMENT_TYPES, DOCUMENT_REMINDER_DAYS } = require("../config/documents");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Requirements for this position apply to every employee
+const EVERY_POSITION = "*";
+const POSITION_COLLATION = { locale: "en", strength: 2 };
+
+// File signatures of the accepted upload types
+const SIGNATURES = [
+  { mimeType: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46] },
+  { mimeType: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47] },
+];
+
+/**
+ * Actual type of an uploaded file from its first bytes (null when unrecognised)
+ */
+function sniffMimeType(buffer) {
+  const match = SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  return match ? match.mimeType : null;
+}
+
+/**
+ * valid | expiring (within the first reminder window) | expired
+ */
+function documentStatus(document, now = new Date()) {
+  if (!document.expiresAt) return "valid";
+  const remaining = document.expiresAt.getTime() - now.getTime();
+  if (remaining <= 0) return "expired";
+  if (remaining <= (DOCUMENT_REMINDER_DAYS[0] || 0) * DAY_MS) return "expiring";
+  return "valid";
+}
+
+/**
+ * Response body for a document; the storage key stays internal
+ */
+function describeDocument(document) {
+  const values = typeof document.toObject === "function" ? document.toObject() : { ...document };
+  const { key, ...file } = values.file || {};
+  return {
+    ...values,
+    file,
+    typeLabel: DOCUMENT_TYPES[values.type]?.label || values.type,
+    status: documentStatus(values),
+  };
+}
+
+/**
+ * Document types required for a position (including those required for everyone).
+ * Pass `requirements` (all DocumentRequirement records) to avoid a query per employee.
+ */
+async function requiredDocumentTypes(position, requirements = null) {
+  const wanted = [EVERY_POSITION, String(position || "").toLowerCase()];
+  const matching = requirements
+    ? requirements.filter((requirement) => wanted.includes(requirement.position.toLowerCase()))
+    : await DocumentRequirement.find({ position: { $in: [EVERY_POSITION, position || ""] } })
+        .collation(POSITION_COLLATION)
+        .lean();
+  return [...new Set(matching.flatMap((requirement) => requirement.documentTypes))];
+}
+
+/**
+ * Required-document checklist of an employee. Each required type is missing,
+ * expired, expiring or valid according to its best document on file.
+ */
+async function buildChecklist(employee, documents, requirements = null) {
+  const ranks = { valid: 3, expiring: 2, expired: 1 };
+  const items = (await requiredDocumentTypes(employee.position, requirements)).map((type) => {
+    let best = null;
+    for (const document of documents.filter((candidate) => candidate.type === type)) {
+      const status = documentStatus(document);
+      if (!best || ranks[status] > ranks[best.status]) best = { document, status };
+    }
+    return {
+      type,
+      label: DOCUMENT_TYPES[type].label,
+      status: best ? best.status : "missing",
+      documentId: best ? best.document._id : null,
+      expiresAt: best ? best.document.expiresAt : null,
+    };
+  });
+
+  return {
+    position: employee.position,
+    complete: items.every((item) => item.status === "valid" || item.status === "expiring"),
+    items,
+  };
+}
+
+function expiryPhrase(document, now) {
+  const days = Math.ceil((document.expiresAt.getTime() - now.getTime()) / DAY_MS);
+  if (days < 0) return `expired on ${document.expiresAt.toDateString()}`;
+  if (days === 0) return "expires today";
+  return `expires in ${days} day${days === 1 ? "" : "s"} (${document.expiresAt.toDateString()})`;
+}
+
+/**
+ * Email the employee (and a digest to HR) about documents reaching a reminder
+ * threshold in DOCUMENT_REMINDER_DAYS. Each threshold is sent once per expiry
+ * date; documents already replaced by a later-expiring one of the same type are
+ * skipped. Returns the number of documents reminded about.
+ */
+async function sendExpiryReminders(now = new Date()) {
+  if (DOCUMENT_REMINDER_DAYS.length === 0) return 0;
+
+  const documents = await EmployeeDocument.find({
+    expiresAt: { $ne: null, $lte: new Date(now.getTime() + DOCUMENT_REMINDER_DAYS[0] * DAY_MS) },
+  })
+    .populate("userId", "email status")
+    .populate("employeeId", "firstName lastName")
+    .sort({ expiresAt: 1 });
+
+  const reminded = [];
+  for (const document of documents) {
+    if (!document.userId || document.userId.status === "inactive") continue;
+
+    const daysLeft = (document.expiresAt.getTime() - now.getTime()) / DAY_MS;
+    const due = DOCUMENT_REMINDER_DAYS.filter((days) => daysLeft <= days && !document.remindersSent.includes(days));
+    if (due.length === 0) continue;
+
+    const renewed = await EmployeeDocument.exists({
+      employeeId: document.employeeId?._id,
+      type: document.type,
+      expiresAt: { $gt: document.expiresAt },
+    });
+
+    if (!renewed) {
+      const label = DOCUMENT_TYPES[document.type].label;
+      const phrase = expiryPhrase(document, now);
+      try {
+        await sendMail({
+          to: document.userId.email,
+          subject: `Your ${label} ${phrase.startsWith("expired") ? "has expired" : "is expiring"}`,
+          text: [
+            `Your ${label}${document.title ? ` (${document.title})` : ""} on file ${phrase}.`,
+            "",
+            `Please upload a renewed copy: ${APP_BASE_URL}/documents`,
+          ].join("\n"),
+          html: `<p>Your ${label}${document.title ? ` (${escapeHtml(document.title)})` : ""} on file ${phrase}.</p>
+<p><a href="${APP_BASE_URL}/documents">Upload a renewed copy</a></p>`,
+        });
+      } catch (mailError) {
+        console.error(`Document reminder to ${document.userId.email} failed:`, mailError.message);
+        continue;
+      }
+
+      const name = document.employeeId
+        ? `${document.employeeId.firstName} ${document.employeeId.lastName}`
+        : document.userId.email;
+      reminded.push(`${name}: ${label} ${phrase}`);
+    }
+
+    document.remindersSent = [...new Set([...document.remindersSent, ...due])];
+    await document.save();
+  }
+
+  if (reminded.length > 0) {
+    const managers = await usersWithPermission("documents.manage");
+    if (managers.length > 0) {
+      try {
+        await sendMail({
+          to: managers.map((manager) => manager.email).join(", "),
+          subject: `Employee documents expiring: ${reminded.length}`,
+          text: ["These employee documents are expiring or have expired:", "", ...reminded].join("\n"),
+          html: `<p>These employee documents are expiring or have expired:</p>
+<ul>${reminded.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}</ul>`,
+        });
+      } catch (mailError) {
+        console.error("Document reminder digest failed:", mailError.message);
+      }
+    }
+  }
+
+  return reminded.length;
+}
+
+module.exports = {
+  EVERY_POSITION,
+  POSITION_COLLATION,
+  sniffMimeType,
+  documentStatus,
+  describeDocument,
+  requiredDocumentTypes,
+  buildChecklist,
+  sendExpiryReminders,
+};
@@ -0,0 +1,334 @@
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const User = require("../models/User");
+const Employee = require("../models/Employee");
+const Company = require("../models/Company");
+const Department = require("../models/Department");
+const { decryptValue } = require("./fieldEncryption");
+const { maskValue } = require("./profileMasking");
+const { SENSITIVE_PROFILE_FIELDS } = require("../config/profileFields");
+const { EMPLOYMENT_STATUSES } = require("../config/employment");
+const { orgUnitFilter } = require("./organizationUnits");
+
+const ROLE_LABELS = { 1: "Manager", 2: "HR", 3: "Employee" };
+const APPROVAL_LABELS = { "-1": "Rejected", 0: "Pending", 1: "Approved" };
+
+// Exportable columns. Profile headers match the import columns (see
+// services/userImport.js), so an unmasked export can be imported elsewhere.
+// Columns named after a sensitive profile field are masked unless the caller may see them.
+const EXPORT_COLUMNS = {
+  employeeNumber: { header: "Employee Number", value: (row) => row.employeeNumber },
+  lastName: { header: "Last Name", value: (row) => row.lastName },
+  firstName: { header: "First Name", value: (row) => row.firstName },
+  email: { header: "Email", value: (row) => row.user?.email },
+  role: { header: "Role", value: (row) => ROLE_LABELS[row.user?.role] },
+  accountStatus: { header: "Account Status", value: (row) => row.user?.status },
+  position: { header: "Position", value: (row) => row.position },
+  company: { header: "Company", value: (row) => row.companyRecord?.name },
+  department: { header: "Department", value: (row) => row.departmentRecord?.name },
+  supervisor: {
+    header: "Supervisor",
+    value: (row) => (row.supervisor ? `${row.supervisor.firstName} ${row.supervisor.lastName}` : null),
+  },
+  dateHired: { header: "Date Hired", value: (row) => row.dateHired },
+  employmentStatus: {
+    header: "Employment Status",
+    value: (row) => EMPLOYMENT_STATUSES[row.employmentStatus]?.label ?? row.employmentStatus,
+  },
+  regularizationDueDate: { header: "Regularization Due Date", value: (row) => row.regularizationDueDate },
+  contractEndDate: { header: "Contract End Date", value: (row) => row.contractEndDate },
+  approvalStatus: { header: "Approval Status", value: (row) => APPROVAL_LABELS[row.approval_status] },
+  birthDate: { header: "Birth Date", value: (row) => row.birthDate },
+  personalEmail: { header: "Personal Email", value: (row) => row.personalEmail },
+  mobileNumber: { header: "Mobile Number", value: (row) => row.mobileNumber },
+  homeAddress: { header: "Home Address", value: (row) => row.homeAddress },
+  emergencyContactName: { header: "Emergency Contact Name", value: (row) => row.emergencyContactName },
+  relationship: { header: "Relationship", value: (row) => row.relationship },
+  emergencyContactNumber: { header: "Emergency Contact Number", value: (row) => row.emergencyContactNumber },
+  sssNumber: { header: "SSS Number", value: (row) => row.sssNumber },
+  philhealthNumber: { header: "PhilHealth Number", value: (row) => row.philhealthNumber },
+  tinNumber: { header: "TIN Number", value: (row) => row.tinNumber },
+  pagibigNumber: { header: "Pagibig Number", value: (row) => row.pagibigNumber },
+  separationDate: { header: "Separation Date", value: (row) => row.separationDate },
+  separationReason: { header: "Separation Reason", value: (row) => row.separationReason },
+};
+
+const DEFAULT_COLUMNS = [
+  "employeeNumber",
+  "lastName",
+  "firstName",
+  "email",
+  "position",
+  "company",
+  "department",
+  "dateHired",
+  "employmentStatus",
+  "sssNumber",
+  "philhealthNumber",
+  "tinNumber",
+  "pagibigNumber",
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+function parseDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate export options from a query string; returns { options } or { error }.
+ * Filters: company and department (id or name), position, employmentStatus (comma-separated),
+ * approvalStatus (default 1; "all" for any), separated (false by default; true or all),
+ * hiredFrom / hiredTo.
+ */
+async function parseExportOptions(query) {
+  const format = String(query.format || "csv").toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` };
+  }
+
+  const columns = query.columns
+    ? String(query.columns)
+        .split(",")
+        .map((column) => column.trim())
+        .filter(Boolean)
+    : DEFAULT_COLUMNS;
+  const unknown = columns.filter((column) => !EXPORT_COLUMNS[column]);
+  if (unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(", ")}` };
+  }
+  if (columns.length === 0) {
+    return { error: "Choose at least one column" };
+  }
+
+  const orgUnits = await orgUnitFilter(query);
+  if (orgUnits.error) return { error: orgUnits.error };
+
+  const filter = { ...orgUnits.filter };
+  if (query.position) filter.position = String(query.position);
+
+  if (query.employmentStatus) {
+    const statuses = String(query.employmentStatus).split(",").map((status) => status.trim());
+    const invalid = statuses.filter((status) => !EMPLOYMENT_STATUSES[status]);
+    if (invalid.length > 0) {
+      return { error: `Unknown employment statuses: ${invalid.join(", ")}` };
+    }
+    filter.employmentStatus = { $in: statuses };
+  }
+
+  const approvalStatus = query.approvalStatus ?? "1";
+  if (approvalStatus !== "all") {
+    if (![-1, 0, 1].includes(parseInt(approvalStatus, 10))) {
+      return { error: "approvalStatus must be -1, 0, 1 or all" };
+    }
+    filter.approval_status = parseInt(approvalStatus, 10);
+  }
+
+  const separated = query.separated ?? "false";
+  if (separated === "false") filter.separationDate = null;
+  else if (separated === "true") filter.separationDate = { $ne: null };
+  else if (separated !== "all") return { error: "separated must be true, false or all" };
+
+  for (const [key, operator] of [
+    ["hiredFrom", "$gte"],
+    ["hiredTo", "$lte"],
+  ]) {
+    if (!query[key]) continue;
+    const date = parseDate(query[key]);
+    if (!date) return { error: `Invalid ${key} date` };
+    filter.dateHired = { ...filter.dateHired, [operator]: date };
+  }
+
+  return { options: { format, columns, filter } };
+}
+
+/**
+ * Cursor over the selected employees joined with their account, company,
+ * department and supervisor, ordered by name
+ */
+function exportCursor(filter) {
+  return Employee.aggregate([
+    { $match: filter },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: "userId",
+        foreignField: "_id",
+        as: "user",
+        pipeline: [{ $project: { email: 1, role: 1, status: 1 } }],
+      },
+    },
+    {
+      $lookup: {
+        from: Company.collection.name,
+        localField: "company",
+        foreignField: "_id",
+        as: "companyRecord",
+        pipeline: [{ $project: { name: 1 } }],
+      },
+    },
+    {
+      $lookup: {
+        from: Department.collection.name,
+        localField: "department",
+        foreignField: "_id",
+        as: "departmentRecord",
+        pipeline: [{ $project: { name: 1 } }],
+      },
+    },
+    {
+      $lookup: {
+        from: Employee.collection.name,
+        localField: "reportsTo",
+        foreignField: "_id",
+        as: "supervisor",
+        pipeline: [{ $project: { firstName: 1, lastName: 1 } }],
+      },
+    },
+    {
+      $set: {
+        user: { $first: "$user" },
+        companyRecord: { $first: "$companyRecord" },
+        departmentRecord: { $first: "$departmentRecord" },
+        supervisor: { $first: "$supervisor" },
+      },
+    },
+    { $sort: { lastName: 1, firstName: 1, _id: 1 } },
+  ])
+    .allowDiskUse(true)
+    .cursor({ batchSize: 500 });
+}
+
+// Values of one employee for the chosen columns (Dates stay Dates)
+function exportValues(row, columns, unmasked) {
+  return columns.map((column) => {
+    let value = EXPORT_COLUMNS[column].value(row);
+    if (SENSITIVE_PROFILE_FIELDS.includes(column) && value !== undefined && value !== null) {
+      value = decryptValue(value);
+      if (column === "birthDate") value = parseDate(value) ?? value;
+      if (!unmasked) value = maskValue(column, value);
+    }
+    return value ?? null;
+  });
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Spreadsheet apps run cells starting with these as formulas; plain numbers
+// (including +63 phone numbers) are left alone
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? isoDate(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s()-]+$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write to a stream, waiting for it to drain when its buffer is full. Rejects when
+// the stream closes or fails first, e.g. because the client disconnected.
+function write(stream, chunk) {
+  if (stream.destroyed) return Promise.reject(new Error("Export stream closed"));
+  if (stream.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    function settle(error) {
+      stream.off("drain", onDrain);
+      stream.off("close", onClose);
+      stream.off("error", settle);
+      if (error) reject(error);
+      else resolve();
+    }
+    function onDrain() {
+      settle();
+    }
+    function onClose() {
+      settle(new Error("Export stream closed"));
+    }
+    stream.on("drain", onDrain);
+    stream.on("close", onClose);
+    stream.on("error", settle);
+  });
+}
+
+// Rows of the export, stopping once `stream` is destroyed. The cursor is closed
+// whenever reading stops before the last row.
+async function* exportRows(filter, stream) {
+  const cursor = exportCursor(filter);
+  let reading = false;
+  try {
+    for await (const row of cursor) {
+      reading = true;
+      if (stream.destroyed) return;
+      yield row;
+    }
+    reading = false;
+  } finally {
+    if (reading) await cursor.close();
+  }
+}
+
+/**
+ * Stream the export to `stream` (an HTTP response) as CSV or XLSX, row by row.
+ * Returns { rows, completed }: when the client disconnects the export stops,
+ * completed is false and rows counts the employees written until then.
+ */
+async function writeEmployeeExport(stream, { format, columns, filter }, { unmasked }) {
+  const headers = columns.map((column) => EXPORT_COLUMNS[column].header);
+  let rows = 0;
+
+  try {
+    if (format === "csv") {
+      // The byte order mark makes Excel read the file as UTF-8
+      await write(stream, `\uFEFF${headers.map(csvCell).join(",")}\r\n`);
+      for await (const row of exportRows(filter, stream)) {
+        await write(stream, `${exportValues(row, columns, unmasked).map(csvCell).join(",")}\r\n`);
+        rows += 1;
+      }
+      if (!stream.destroyed) stream.end();
+    } else {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+      const worksheet = workbook.addWorksheet("Employees");
+      worksheet.columns = columns.map((column, i) => ({
+        header: headers[i],
+        key: column,
+        width: Math.max(headers[i].length + 2, 14),
+      }));
+      worksheet.getRow(1).font = { bold: true };
+
+      for await (const row of exportRows(filter, stream)) {
+        const added = worksheet.addRow(exportValues(row, columns, unmasked));
+        added.eachCell((cell) => {
+          if (cell.value instanceof Date) cell.numFmt = "yyyy-mm-dd";
+        });
+        added.commit();
+        rows += 1;
+      }
+
+      if (!stream.destroyed) {
+        worksheet.commit();
+        // The workbook only settles once the response finishes, which a closed one never does
+        await Promise.race([workbook.commit(), once(stream, "close")]);
+      }
+    }
+  } catch (error) {
+    if (!stream.destroyed) throw error;
+  }
+
+  return { rows, completed: !stream.destroyed || stream.writableFinished };
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  EXPORT_FORMATS,
+  parseExportOptions,
+  writeEmployeeExport,
+};
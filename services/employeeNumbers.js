@@ -0,0 +1,108 @@
+const Counter = require("../models/Counter");
+const Company = require("../models/Company");
+const Employee = require("../models/Employee");
+const { EMPLOYEE_NUMBER_TOKEN_PATTERN, EMPLOYEE_NUMBER_FORMAT } = require("../config/employeeNumbers");
+
+// Numbers already taken (e.g. set by hand or after a format change) are skipped this many times
+const MAX_ATTEMPTS = 5;
+
+// Companies without a prefix use the first three letters of their name
+function defaultPrefix(company) {
+  return (company?.name || "").replace(/[^a-z0-9]/gi, "").slice(0, 3).toUpperCase() || "EMP";
+}
+
+/**
+ * Prefix and format a company's employee numbers use
+ */
+function numberingOf(company) {
+  return {
+    prefix: company?.employeeNumbers?.prefix || defaultPrefix(company),
+    format: company?.employeeNumbers?.format || EMPLOYEE_NUMBER_FORMAT,
+  };
+}
+
+/**
+ * Render an employee number format for one sequence number
+ */
+function formatEmployeeNumber(format, { prefix, year, seq }) {
+  return format.replace(EMPLOYEE_NUMBER_TOKEN_PATTERN, (token, name, padding) => {
+    if (name === "PREFIX") return prefix;
+    if (name === "YYYY") return String(year);
+    if (name === "YY") return String(year).slice(-2);
+    return String(seq).padStart(parseInt(padding || "0", 10), "0");
+  });
+}
+
+// Counter of one number pattern, e.g. "employeeNumber:BRG-2026-#": a new sequence per
+// hire year when the format shows it, and companies sharing a prefix share the sequence
+// so their numbers cannot collide
+function sequenceKey(format, { prefix, year }) {
+  const pattern = format.replace(EMPLOYEE_NUMBER_TOKEN_PATTERN, (token, name) =>
+    name.startsWith("SEQ") ? "#" : formatEmployeeNumber(token, { prefix, year })
+  );
+  return `employeeNumber:${pattern}`;
+}
+
+function hireYear(employee) {
+  return (employee.dateHired ? new Date(employee.dateHired) : new Date()).getUTCFullYear();
+}
+
+async function nextSequence(key) {
+  const counter = await Counter.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { upsert: true, new: true });
+  return counter.seq;
+}
+
+/**
+ * Number the next approved employee of a company hired in `year` would get
+ * (the counter is not advanced)
+ */
+async function previewEmployeeNumber(company, year = new Date().getUTCFullYear()) {
+  const { prefix, format } = numberingOf(company);
+  const counter = await Counter.findById(sequenceKey(format, { prefix, year })).lean();
+  return formatEmployeeNumber(format, { prefix, year, seq: (counter?.seq || 0) + 1 });
+}
+
+/**
+ * Give an approved employee their number unless they already have one. The
+ * sequence advances atomically and the number is only written while the profile
+ * has none, so concurrent approvals cannot number a profile twice. Returns the
+ * employee's number.
+ */
+async function assignEmployeeNumber(employee) {
+  if (employee.employeeNumber) return employee.employeeNumber;
+
+  const company = await Company.findById(employee.company?._id ?? employee.company).select("name employeeNumbers");
+  const { prefix, format } = numberingOf(company);
+  const year = hireYear(employee);
+  const key = sequenceKey(format, { prefix, year });
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+    const employeeNumber = formatEmployeeNumber(format, { prefix, year, seq: await nextSequence(key) });
+    try {
+      // Set directly so older profiles failing newer validators are numbered too
+      const result = await Employee.updateOne(
+        { _id: employee._id, employeeNumber: null },
+        { $set: { employeeNumber } }
+      );
+      if (result.modifiedCount === 0) {
+        // Numbered by a concurrent approval
+        const current = await Employee.findById(employee._id).select("employeeNumber").lean();
+        employee.employeeNumber = current?.employeeNumber ?? null;
+      } else {
+        employee.employeeNumber = employeeNumber;
+      }
+      return employee.employeeNumber;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error(`No free employee number found for ${prefix} after ${MAX_ATTEMPTS} attempts`);
+}
+
+module.exports = {
+  numberingOf,
+  formatEmployeeNumber,
+  previewEmployeeNumber,
+  assignEmployeeNumber,
+};
@@ -0,0 +1,311 @@
+const mongoose = require("mongoose");
+const EmploymentStatusChange = require("../models/EmploymentStatusChange");
+const { sendMail, escapeHtml } = require("./mailer");
+const { usersWithPermission } = require("./permissions");
+const { APP_BASE_URL } = require("../config/auth");
+const {
+  EMPLOYMENT_STATUSES,
+  PROBATION_MONTHS,
+  LEAVE_ELIGIBLE_STATUSES,
+  EMPLOYMENT_REMINDER_DAYS,
+} = require("../config/employment");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const END_DATE_STATUSES = Object.keys(EMPLOYMENT_STATUSES).filter((status) => EMPLOYMENT_STATUSES[status].endDate);
+const MIRRORED_FIELDS = ["employmentStatus", "employmentStatusSince", "regularizationDueDate", "contractEndDate"];
+
+// models/Employee.js requires this module, so the model is looked up when used
+function Employee() {
+  return mongoose.model("employee_details");
+}
+
+function parseDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function sameDate(a, b) {
+  return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+}
+
+/**
+ * Regularization due date of a probation starting on `start`
+ */
+function regularizationDueFrom(start) {
+  const due = new Date(start);
+  due.setMonth(due.getMonth() + PROBATION_MONTHS);
+  return due;
+}
+
+/**
+ * Validate a status change from a request body; returns { values } or { error }.
+ * Probationary changes default their due date to PROBATION_MONTHS after the
+ * effective date; contractual and project-based changes need an end date.
+ */
+function statusChangeValues(body, employee) {
+  const { status } = body;
+  if (!EMPLOYMENT_STATUSES[status]) {
+    return { error: `Status must be one of: ${Object.keys(EMPLOYMENT_STATUSES).join(", ")}` };
+  }
+
+  const effectiveDate = body.effectiveDate === undefined ? new Date() : parseDate(body.effectiveDate);
+  if (!effectiveDate) {
+    return { error: "Invalid effective date" };
+  }
+  if (employee.dateHired && effectiveDate < employee.dateHired) {
+    return { error: "Effective date cannot be before the hire date" };
+  }
+
+  let contractEndDate = null;
+  if (EMPLOYMENT_STATUSES[status].endDate) {
+    contractEndDate = parseDate(body.contractEndDate);
+    if (!contractEndDate) {
+      return { error: `${EMPLOYMENT_STATUSES[status].label} status requires a valid contract end date` };
+    }
+    if (contractEndDate <= effectiveDate) {
+      return { error: "Contract end date must be after the effective date" };
+    }
+  }
+
+  let regularizationDueDate = null;
+  if (status === "probationary") {
+    // parseDate gives null when no date was sent (the default probation period
+    // applies) and undefined for one that cannot be read
+    const dueDate = parseDate(body.regularizationDueDate);
+    if (dueDate === undefined) {
+      return { error: "Invalid regularization due date" };
+    }
+    regularizationDueDate = dueDate ?? regularizationDueFrom(effectiveDate);
+    if (regularizationDueDate <= effectiveDate) {
+      return { error: "Regularization due date must be after the effective date" };
+    }
+  }
+
+  return {
+    values: { status, effectiveDate, regularizationDueDate, contractEndDate, reason: body.reason || null },
+  };
+}
+
+/**
+ * Mirror the latest effective status change onto the profile (resetting reminders
+ * when the tracked dates change) and mark due changes as applied
+ */
+async function refreshEmploymentStatus(employee, now = new Date()) {
+  const current = await EmploymentStatusChange.findOne({ employeeId: employee._id, effectiveDate: { $lte: now } }).sort({
+    effectiveDate: -1,
+    createdAt: -1,
+  });
+  if (!current) return employee;
+
+  const mirrored = {
+    employmentStatus: current.status,
+    employmentStatusSince: current.effectiveDate,
+    regularizationDueDate: current.regularizationDueDate,
+    contractEndDate: current.contractEndDate,
+  };
+  const changed = MIRRORED_FIELDS.filter((field) =>
+    field === "employmentStatus" ? employee[field] !== mirrored[field] : !sameDate(employee[field], mirrored[field])
+  );
+
+  if (changed.length > 0) {
+    // Set directly so older profiles failing newer validators still update
+    const $set = { ...mirrored, employmentRemindersSent: [] };
+    await Employee().updateOne({ _id: employee._id }, { $set });
+    Object.assign(employee, $set);
+  }
+
+  await EmploymentStatusChange.updateMany(
+    { employeeId: employee._id, applied: false, effectiveDate: { $lte: now } },
+    { applied: true }
+  );
+  return employee;
+}
+
+/**
+ * Record the profile's current status as the first history entry when the
+ * employee has none yet (new hires start probationary without one)
+ */
+async function ensureStatusHistory(employee) {
+  if (await EmploymentStatusChange.exists({ employeeId: employee._id })) return;
+
+  await EmploymentStatusChange.create({
+    employeeId: employee._id,
+    status: employee.employmentStatus || "probationary",
+    effectiveDate: employee.employmentStatusSince || employee.dateHired || employee.createdAt,
+    regularizationDueDate: employee.regularizationDueDate || null,
+    contractEndDate: employee.contractEndDate || null,
+    reason: "Status at hire",
+    applied: true,
+  });
+}
+
+/**
+ * Add an effective-dated status change. Changes effective now or earlier apply
+ * immediately; later ones apply when applyDueStatusChanges runs on that date.
+ */
+async function recordStatusChange(employee, values, { changedBy = null, offboardingId = null } = {}) {
+  await ensureStatusHistory(employee);
+  const change = await EmploymentStatusChange.create({
+    ...values,
+    employeeId: employee._id,
+    applied: values.effectiveDate <= new Date(),
+    changedBy,
+    offboardingId,
+  });
+  await refreshEmploymentStatus(employee);
+  return change;
+}
+
+/**
+ * Remove status changes (e.g. a scheduled one, or those of a cancelled
+ * offboarding) and re-derive the current status from what remains
+ */
+async function removeStatusChanges(employee, filter) {
+  await EmploymentStatusChange.deleteMany({ ...filter, employeeId: employee._id });
+  return refreshEmploymentStatus(employee);
+}
+
+/**
+ * Apply scheduled status changes whose effective date has passed. Returns the
+ * number of employees updated.
+ */
+async function applyDueStatusChanges(now = new Date()) {
+  const employeeIds = await EmploymentStatusChange.distinct("employeeId", {
+    applied: false,
+    effectiveDate: { $lte: now },
+  });
+
+  for (const employeeId of employeeIds) {
+    const employee = await Employee().findById(employeeId).select(MIRRORED_FIELDS.join(" "));
+    if (employee) await refreshEmploymentStatus(employee, now);
+  }
+  return employeeIds.length;
+}
+
+/**
+ * Whether the employee's status allows using leave credits (LEAVE_ELIGIBLE_STATUSES)
+ */
+function isLeaveEligible(employee) {
+  return LEAVE_ELIGIBLE_STATUSES.includes(employee.employmentStatus);
+}
+
+/**
+ * Current employees whose regularization or contract end falls within `days`
+ * (overdue ones included), soonest first: [{ employee, kind, date }]
+ */
+async function upcomingEmploymentDates(days, now = new Date()) {
+  const until = new Date(now.getTime() + days * DAY_MS);
+  const employees = await Employee()
+    .find({
+      separationDate: null,
+      $or: [
+        { employmentStatus: "probationary", regularizationDueDate: { $ne: null, $lte: until } },
+        { employmentStatus: { $in: END_DATE_STATUSES }, contractEndDate: { $ne: null, $lte: until } },
+      ],
+    })
+    .select(
+      "userId firstName lastName position department reportsTo employmentStatus regularizationDueDate contractEndDate employmentRemindersSent"
+    );
+
+  return employees
+    .map((employee) =>
+      employee.employmentStatus === "probationary"
+        ? { employee, kind: "regularization", date: employee.regularizationDueDate }
+        : { employee, kind: "contract_end", date: employee.contractEndDate }
+    )
+    .sort((a, b) => a.date - b.date);
+}
+
+function reminderPhrase({ kind, date }, now) {
+  const days = Math.ceil((date.getTime() - now.getTime()) / DAY_MS);
+  const [upcoming, past] =
+    kind === "regularization" ? ["regularization is due", "regularization was due"] : ["contract ends", "contract ended"];
+  if (days < 0) return `${past} on ${date.toDateString()}`;
+  if (days === 0) return `${upcoming} today`;
+  return `${upcoming} in ${days} day${days === 1 ? "" : "s"} (${date.toDateString()})`;
+}
+
+async function sendDigest(to, lines) {
+  try {
+    await sendMail({
+      to,
+      subject: `Employment dates coming up: ${lines.length}`,
+      text: [
+        "These employees need a regularization or contract decision:",
+        "",
+        ...lines,
+        "",
+        `${APP_BASE_URL}/employees`,
+      ].join("\n"),
+      html: `<p>These employees need a regularization or contract decision:</p>
+<ul>${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}</ul>`,
+    });
+  } catch (mailError) {
+    console.error(`Employment reminder to ${to} failed:`, mailError.message);
+  }
+}
+
+/**
+ * Apply due status changes, then remind HR (employees.edit) and each direct
+ * supervisor about regularizations and contract ends reaching a threshold of
+ * EMPLOYMENT_REMINDER_DAYS. Each threshold is sent once per date. Returns the
+ * number of employees reminded about.
+ */
+async function sendEmploymentReminders(now = new Date()) {
+  await applyDueStatusChanges(now);
+  if (EMPLOYMENT_REMINDER_DAYS.length === 0) return 0;
+
+  const upcoming = await upcomingEmploymentDates(EMPLOYMENT_REMINDER_DAYS[0], now);
+  const lines = [];
+  const linesBySupervisor = new Map();
+
+  for (const item of upcoming) {
+    const { employee, kind, date } = item;
+    const daysLeft = (date.getTime() - now.getTime()) / DAY_MS;
+    const due = EMPLOYMENT_REMINDER_DAYS.filter(
+      (days) => daysLeft <= days && !employee.employmentRemindersSent.includes(`${kind}:${days}`)
+    );
+    if (due.length === 0) continue;
+
+    const line = `${employee.firstName} ${employee.lastName} (${employee.position}): ${reminderPhrase(item, now)}`;
+    lines.push(line);
+    if (employee.reportsTo) {
+      const key = String(employee.reportsTo);
+      linesBySupervisor.set(key, [...(linesBySupervisor.get(key) || []), line]);
+    }
+
+    await Employee().updateOne(
+      { _id: employee._id },
+      { $addToSet: { employmentRemindersSent: { $each: due.map((days) => `${kind}:${days}`) } } }
+    );
+  }
+
+  if (lines.length === 0) return 0;
+
+  const hr = await usersWithPermission("employees.edit");
+  if (hr.length > 0) await sendDigest(hr.map((user) => user.email).join(", "), lines);
+
+  const supervisors = await Employee()
+    .find({ _id: { $in: [...linesBySupervisor.keys()] }, separationDate: null })
+    .populate("userId", "email status");
+  for (const supervisor of supervisors) {
+    if (!supervisor.userId || supervisor.userId.status === "inactive") continue;
+    await sendDigest(supervisor.userId.email, linesBySupervisor.get(String(supervisor._id)));
+  }
+
+  return lines.length;
+}
+
+module.exports = {
+  regularizationDueFrom,
+  statusChangeValues,
+  refreshEmploymentStatus,
+  ensureStatusHistory,
+  recordStatusChange,
+  removeStatusChanges,
+  applyDueStatusChanges,
+  isLeaveEligible,
+  upcomingEmploymentDates,
+  sendEmploymentReminders,
+};
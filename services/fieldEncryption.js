@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const { FIELD_ENCRYPTION_KEYS, FIELD_HASH_KEY } = require("../config/encryption");
+
+// Stored format: enc:<keyId>:<iv>:<authTag>:<ciphertext> (base64 parts)
+const PREFIX = "enc:";
+
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+/**
+ * Id of the key a stored value was encrypted with (null for plaintext)
+ */
+function encryptionKeyId(value) {
+  return isEncrypted(value) ? value.split(":")[1] : null;
+}
+
+/**
+ * Encrypt a value with the current key. Dates are stored as ISO strings; empty
+ * and already encrypted values are returned unchanged.
+ */
+function encryptValue(value) {
+  if (value === undefined || value === null || value === "" || isEncrypted(value)) return value;
+
+  const plaintext = value instanceof Date ? value.toISOString() : String(value);
+  const { id, key } = FIELD_ENCRYPTION_KEYS[0];
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+
+  return [
+    "enc",
+    id,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    ciphertext.toString("base64"),
+  ].join(":");
+}
+
+/**
+ * Decrypt a stored value with whichever configured key encrypted it. Plaintext
+ * written before encryption was enabled is returned as is.
+ */
+function decryptValue(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [, id, iv, authTag, ciphertext] = value.split(":");
+  const entry = FIELD_ENCRYPTION_KEYS.find((candidate) => candidate.id === id);
+  if (!entry) throw new Error(`Field encryption key "${id}" is not configured`);
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", entry.key, Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64")), decipher.final()]).toString("utf8");
+}
+
+/**
+ * Keyed hash of a value so encrypted fields can be matched and kept unique
+ */
+function blindIndex(field, value) {
+  if (value === undefined || value === null || value === "") return null;
+  return crypto.createHmac("sha256", FIELD_HASH_KEY).update(`${field}:${value}`).digest("hex");
+}
+
+/**
+ * Copy of `values` with the listed fields encrypted (for Mixed snapshots)
+ */
+function encryptFieldsIn(values, fields) {
+  if (!values) return values;
+  const result = { ...values };
+  for (const field of fields) {
+    if (result[field] !== undefined) result[field] = encryptValue(result[field]);
+  }
+  return result;
+}
+
+/**
+ * Copy of `values` with the listed fields decrypted
+ */
+function decryptFieldsIn(values, fields) {
+  if (!values) return values;
+  const result = { ...values };
+  for (const field of fields) {
+    if (result[field] !== undefined) result[field] = decryptValue(result[field]);
+  }
+  return result;
+}
+
+// Run a path's own setters (normalization) without the encryption setter
+function plainValue(schemaType, value) {
+  let result = value;
+  for (let i = schemaType.setters.length - 1; i >= 1; i--) {
+    result = schemaType.setters[i](result, undefined, schemaType);
+  }
+  return result;
+}
+
+/**
+ * Schema plugin: encrypts `fields` at rest. Values are encrypted after the
+ * path's own setters run and decrypted before its getters, so documents behave
+ * as before; validators see the decrypted value. Each `blindIndexes` field also
+ * gets a `<field>Hash` path (see blindIndex) kept up to date on save and update.
+ */
+function encryptedFields(schema, { fields, blindIndexes = [] }) {
+  for (const field of fields) {
+    const schemaType = schema.path(field);
+    // Setters run last-to-first and getters first-to-last
+    schemaType.setters.unshift(encryptValue);
+    schemaType.getters.unshift(decryptValue);
+
+    // Mongoose recognises the required validator by identity, and an empty value is
+    // never encrypted, so only custom validators need the decrypted value. Their
+    // messages must not use {VALUE}/props.value (that is the ciphertext): throw an
+    // Error from the validator to report a value-specific message.
+    for (const validator of schemaType.validators) {
+      const check = validator.validator;
+      if (check === schemaType.requiredValidator || typeof check !== "function") continue;
+      validator.validator = function (value, ...rest) {
+        return check.call(this, decryptValue(value), ...rest);
+      };
+    }
+  }
+
+  for (const field of blindIndexes) {
+    schema.add({ [`${field}Hash`]: { type: String, select: false } });
+  }
+
+  schema.pre("validate", async function () {
+    for (const field of blindIndexes) {
+      if (this.isNew || this.isModified(field)) this.set(`${field}Hash`, blindIndex(field, this.get(field)));
+    }
+  });
+
+  schema.pre(["findOneAndUpdate", "updateOne", "updateMany"], async function () {
+    const update = this.getUpdate();
+    if (!update) return;
+    const values = update.$set || update;
+    for (const field of blindIndexes) {
+      if (values[field] !== undefined) {
+        values[`${field}Hash`] = blindIndex(field, plainValue(schema.path(field), values[field]));
+      }
+    }
+  });
+
+  // Responses carry decrypted values but never the hashes
+  const serialize = {
+    getters: true,
+    virtuals: false,
+    transform(doc, ret) {
+      for (const field of blindIndexes) delete ret[`${field}Hash`];
+      return ret;
+    },
+  };
+  schema.set("toJSON", serialize);
+  schema.set("toObject", serialize);
+}
+
+module.exports = {
+  isEncrypted,
+  encryptionKeyId,
+  encryptValue,
+  decryptValue,
+  blindIndex,
+  encryptFieldsIn,
+  decryptFieldsIn,
+  encryptedFields,
+};
@@ -0,0 +1,139 @@
+const mongoose = require("mongoose");
+const { blindIndex } = require("./fieldEncryption");
+
+// Philippine government IDs kept on the employee profile. `groups` gives the
+// canonical dash layout; every ID is stored in that layout.
+const GOVERNMENT_IDS = {
+  sssNumber: { label: "SSS Number", groups: [2, 7, 1] },
+  philhealthNumber: { label: "PhilHealth Number", groups: [2, 9, 1] },
+  tinNumber: { label: "TIN Number", groups: [3, 3, 3, 3] },
+  pagibigNumber: { label: "Pag-IBIG Number", groups: [4, 4, 4] },
+};
+const GOVERNMENT_ID_FIELDS = Object.keys(GOVERNMENT_IDS);
+
+// Spaces, dashes, dots and slashes people type between digit groups
+const SEPARATORS = /[\s\-./]/g;
+
+function digitCount(field) {
+  return GOVERNMENT_IDS[field].groups.reduce((sum, size) => sum + size, 0);
+}
+
+function formatDigits(field, digits) {
+  const parts = [];
+  let offset = 0;
+  for (const size of GOVERNMENT_IDS[field].groups) {
+    parts.push(digits.slice(offset, offset + size));
+    offset += size;
+  }
+  return parts.join("-");
+}
+
+function layout(field) {
+  return GOVERNMENT_IDS[field].groups.map((size) => "X".repeat(size)).join("-");
+}
+
+/**
+ * Canonical form of a government ID: separators removed and the digits regrouped
+ * with dashes. A 9-digit TIN gets the head-office branch code 000. Values that
+ * are not the right number of digits are returned trimmed so validation can
+ * report them.
+ */
+function normalizeGovernmentId(field, value) {
+  if (value === undefined || value === null) return value;
+  const trimmed = String(value).trim();
+  let digits = trimmed.replace(SEPARATORS, "");
+
+  if (field === "tinNumber" && /^\d{9}$/.test(digits)) digits += "000";
+  if (!/^\d+$/.test(digits) || digits.length !== digitCount(field)) return trimmed;
+
+  return formatDigits(field, digits);
+}
+
+/**
+ * Why a government ID is invalid, or null when it passes. The agencies do not
+ * publish their check-digit algorithms, so only the structure is verified:
+ * digit count, issuing prefix and placeholder values such as all zeros.
+ */
+function governmentIdError(field, value) {
+  const { label } = GOVERNMENT_IDS[field];
+  const normalized = normalizeGovernmentId(field, value);
+  const digits = String(normalized || "").replace(/-/g, "");
+
+  if (!/^\d+$/.test(digits) || digits.length !== digitCount(field)) {
+    return `${label} must have ${digitCount(field)} digits (${layout(field)})`;
+  }
+  if (/^(\d)\1+$/.test(digits)) {
+    return `${label} is a placeholder value`;
+  }
+
+  switch (field) {
+    case "sssNumber":
+    case "philhealthNumber":
+      // Leading two digits are the issuing region or series
+      if (digits.startsWith("00")) return `${label} cannot start with 00`;
+      break;
+    case "tinNumber":
+      if (/^0{9}/.test(digits)) return `${label} cannot start with 000-000-000`;
+      break;
+    case "pagibigNumber":
+      // Membership ID (MID) numbers are issued in the 1xxx series
+      if (!digits.startsWith("1")) return `${label} must start with 1`;
+      break;
+  }
+
+  return null;
+}
+
+/**
+ * Government IDs in `values` already registered to another employee.
+ * Returns [{ field, label, value }].
+ */
+async function findGovernmentIdConflicts(values, excludeEmployeeId) {
+  const Employee = mongoose.model("employee_details");
+  const conflicts = [];
+
+  for (const field of GOVERNMENT_ID_FIELDS) {
+    if (!values[field]) continue;
+    const value = normalizeGovernmentId(field, values[field]);
+    // The IDs are encrypted, so they are matched by blind index
+    const query = { [`${field}Hash`]: blindIndex(field, value) };
+    if (excludeEmployeeId) query._id = { $ne: excludeEmployeeId };
+
+    if (await Employee.exists(query)) {
+      conflicts.push({ field, label: GOVERNMENT_IDS[field].label, value });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Conflicts described by a duplicate key error on a government ID index, or
+ * null for any other error (a concurrent save won the race)
+ */
+function duplicateGovernmentIds(error) {
+  if (error?.code !== 11000) return null;
+  const fields = Object.keys(error.keyPattern || {})
+    .map((key) => key.replace(/Hash$/, ""))
+    .filter((field) => GOVERNMENT_ID_FIELDS.includes(field));
+  if (fields.length === 0) return null;
+  return fields.map((field) => ({ field, label: GOVERNMENT_IDS[field].label }));
+}
+
+/**
+ * One message for a list of conflicts
+ */
+function describeConflicts(conflicts) {
+  const labels = conflicts.map((conflict) => conflict.label);
+  return `${labels.join(", ")} ${labels.length > 1 ? "are" : "is"} already registered to another employee`;
+}
+
+module.exports = {
+  GOVERNMENT_IDS,
+  GOVERNMENT_ID_FIELDS,
+  normalizeGovernmentId,
+  governmentIdError,
+  findGovernmentIdConflicts,
+  duplicateGovernmentIds,
+  describeConflicts,
+};
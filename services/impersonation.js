@@ -0,0 +1,95 @@
+const jwt = require("jsonwebtoken");
+const Impersonation = require("../models/Impersonation");
+const { recordAudit } = require("./audit");
+const { JWT_SECRET, IMPERSONATION_TTL_MINUTES } = require("../config/auth");
+
+/**
+ * Whether an impersonation can still be used (not stopped, not expired)
+ */
+function isImpersonationActive(impersonation) {
+  return Boolean(impersonation && !impersonation.endedAt && impersonation.expiresAt > new Date());
+}
+
+/**
+ * Open an impersonation and sign its token. The token carries the target's
+ * identity plus `impersonatorId` and an RFC 8693 `act` claim naming the Manager.
+ */
+async function startImpersonation(req, impersonator, target, reason) {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+
+  const impersonation = await Impersonation.create({
+    impersonatorId: impersonator._id,
+    targetUserId: target._id,
+    reason,
+    expiresAt,
+    ipAddress: req.ip,
+    userAgent: req.headers["user-agent"],
+  });
+
+  const token = jwt.sign(
+    {
+      userId: target._id,
+      email: target.email,
+      role: target.role,
+      tokenVersion: target.tokenVersion || 0,
+      impersonationId: String(impersonation._id),
+      impersonatorId: String(impersonator._id),
+      act: { sub: String(impersonator._id), email: impersonator.email },
+    },
+    JWT_SECRET,
+    { expiresIn: IMPERSONATION_TTL_MINUTES * 60 }
+  );
+
+  await recordAudit(req, {
+    action: "impersonation.start",
+    actorId: impersonator._id,
+    targetUserId: target._id,
+    impersonationId: impersonation._id,
+    statusCode: 201,
+    details: { reason, expiresAt },
+  });
+
+  return { impersonation, token };
+}
+
+/**
+ * End an impersonation early; its token stops working immediately
+ */
+async function stopImpersonation(req, impersonation, stoppedBy) {
+  if (!impersonation.endedAt) {
+    impersonation.endedAt = new Date();
+    await impersonation.save();
+  }
+
+  await recordAudit(req, {
+    action: "impersonation.stop",
+    actorId: stoppedBy,
+    targetUserId: impersonation.targetUserId,
+    impersonationId: impersonation._id,
+    statusCode: 200,
+  });
+
+  return impersonation;
+}
+
+/**
+ * Audit a request made with an impersonation token once its response is sent
+ */
+function auditImpersonatedRequest(req, res, impersonation) {
+  res.on("finish", () => {
+    recordAudit(req, {
+      action: "impersonation.request",
+      actorId: impersonation.impersonatorId,
+      targetUserId: impersonation.targetUserId,
+      impersonationId: impersonation._id,
+      statusCode: res.statusCode,
+    });
+  });
+}
+
+module.exports = {
+  isImpersonationActive,
+  startImpersonation,
+  stopImpersonation,
+  auditImpersonatedRequest,
+};
@@ -0,0 +1,49 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Invitation = require("../models/Invitation");
+const { hashToken } = require("./tokens");
+const { JWT_SECRET, INVITATION_TTL_DAYS } = require("../config/auth");
+
+const INVITATION_PURPOSE = "invitation";
+
+/**
+ * Sign a fresh invitation link token and store its hash on the invitation
+ * (invalidating any previously sent link). Caller saves the invitation.
+ */
+function issueInvitationToken(invitation) {
+  const rawToken = jwt.sign(
+    {
+      invitationId: String(invitation._id),
+      nonce: crypto.randomBytes(16).toString("hex"),
+      purpose: INVITATION_PURPOSE,
+    },
+    JWT_SECRET,
+    { expiresIn: `${INVITATION_TTL_DAYS}d` }
+  );
+
+  invitation.tokenHash = hashToken(rawToken);
+  invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  return rawToken;
+}
+
+/**
+ * Resolve a link token to its invitation if the link is still the current one
+ * and the invitation is open. Returns null otherwise.
+ */
+async function findOpenInvitation(rawToken) {
+  let decoded;
+  try {
+    decoded = jwt.verify(rawToken, JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (decoded.purpose !== INVITATION_PURPOSE) return null;
+
+  const invitation = await Invitation.findById(decoded.invitationId);
+  if (!invitation || invitation.tokenHash !== hashToken(rawToken)) return null;
+  if (invitation.status !== "sent" || invitation.expiresAt <= new Date()) return null;
+
+  return invitation;
+}
+
+module.exports = { issueInvitationToken, findOpenInvitation };
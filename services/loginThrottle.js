@@ -0,0 +1,98 @@
+const User = require("../models/User");
+const LoginEvent = require("../models/LoginEvent");
+const { LOGIN_THROTTLE } = require("../config/auth");
+
+/**
+ * Write a login attempt to the audit trail. Never throws: auditing must not break login.
+ */
+async function recordLoginEvent(req, { user, email, success, reason, method = "password" }) {
+  try {
+    await LoginEvent.create({
+      userId: user?._id || null,
+      email: user?.email || email || null,
+      success,
+      method,
+      reason,
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+    });
+  } catch (error) {
+    console.error("Failed to record login event:", error.message);
+  }
+}
+
+/**
+ * Failed attempts from this IP inside the sliding window
+ */
+async function countRecentIpFailures(ipAddress) {
+  const since = new Date(Date.now() - LOGIN_THROTTLE.ipWindowMinutes * 60 * 1000);
+  return LoginEvent.countDocuments({ ipAddress, success: false, createdAt: { $gte: since } });
+}
+
+/**
+ * Seconds until the IP may try again, or 0 when it is below the limit
+ */
+async function getIpRetryAfter(ipAddress) {
+  const failures = await countRecentIpFailures(ipAddress);
+  if (failures < LOGIN_THROTTLE.maxIpFailures) return 0;
+  return LOGIN_THROTTLE.ipWindowMinutes * 60;
+}
+
+function isAccountLocked(user) {
+  return Boolean(user.lockUntil && user.lockUntil > new Date());
+}
+
+/**
+ * Count a failed attempt against the account, locking it once the limit is reached.
+ * Returns the number of consecutive failures.
+ */
+async function registerAccountFailure(user) {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select("failedLoginAttempts");
+
+  const failures = updated?.failedLoginAttempts || 1;
+  if (failures >= LOGIN_THROTTLE.maxAccountFailures) {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        lockUntil: new Date(Date.now() + LOGIN_THROTTLE.lockoutMinutes * 60 * 1000),
+        failedLoginAttempts: 0,
+      }
+    );
+  }
+
+  return failures;
+}
+
+/**
+ * Clear the failure counter after a successful login
+ */
+async function resetAccountFailures(user) {
+  if (user.failedLoginAttempts || user.lockUntil) {
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockUntil: null });
+  }
+}
+
+/**
+ * Wait before answering a failed attempt; doubles with each consecutive failure
+ */
+function progressiveDelay(failures) {
+  const delay = Math.min(
+    LOGIN_THROTTLE.baseDelayMs * 2 ** Math.max(failures - 1, 0),
+    LOGIN_THROTTLE.maxDelayMs
+  );
+  return new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+module.exports = {
+  recordLoginEvent,
+  countRecentIpFailures,
+  getIpRetryAfter,
+  isAccountLocked,
+  registerAccountFailure,
+  resetAccountFailures,
+  progressiveDelay,
+};
@@ -0,0 +1,69 @@
+const fs = require("fs").promises;
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// Transport selection:
+//   smtp    - real delivery through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   file    - writes each message as an .eml file into MAIL_FILE_DIR (local testing)
+//   console - prints the recipient and subject of each message to stdout (default outside production)
+// Production deployments must choose one, so mail is never silently dropped.
+if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === "production") {
+  throw new Error("MAIL_TRANSPORT environment variable is not set");
+}
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || "console").toLowerCase();
+const MAIL_FROM = process.env.MAIL_FROM || "Borg Manila <no-reply@borgs.com.au>";
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(process.cwd(), "logs", "mail");
+
+let transporter = null;
+
+/**
+ * Lazily build the nodemailer transport for the configured MAIL_TRANSPORT
+ */
+function getTransporter() {
+  if (transporter) return transporter;
+
+  if (MAIL_TRANSPORT === "smtp") {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || "587", 10),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  } else if (MAIL_TRANSPORT === "file") {
+    transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  } else {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return transporter;
+}
+
+/**
+ * Send an email through the configured transport
+ */
+async function sendMail({ to, subject, text, html }) {
+  const info = await getTransporter().sendMail({ from: MAIL_FROM, to, subject, text, html });
+
+  if (MAIL_TRANSPORT === "file") {
+    await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+    const filename = `${Date.now()}_${String(to).replace(/[^a-zA-Z0-9@._-]/g, "_")}.eml`;
+    await fs.writeFile(path.join(MAIL_FILE_DIR, filename), info.message);
+    console.log(`✉️  Mail to ${to} written to ${path.join(MAIL_FILE_DIR, filename)}`);
+  } else if (MAIL_TRANSPORT !== "smtp") {
+    // Never the body: it can hold reset links and invitation tokens
+    console.log(`✉️  Mail to ${to}: ${subject}`);
+  }
+
+  return info;
+}
+
+/**
+ * Escape text interpolated into an HTML email body
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+module.exports = { sendMail, escapeHtml };
@@ -0,0 +1,206 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Employee = require("../models/Employee");
+const Leave = require("../models/Leave");
+const Asset = require("../models/Asset");
+const AssetRequest = require("../models/AssetRequest");
+const Offboarding = require("../models/Offboarding");
+const { revokeAllUserTokens } = require("./tokens");
+const { recordStatusChange, removeStatusChanges } = require("./employmentStatus");
+
+// Clearance checklist every offboarding starts with. Items marked `auto` are
+// ticked by the system; the rest are completed by HR before signing off.
+const CLEARANCE_CHECKLIST = [
+  { key: "account_deactivated", label: "Account deactivated and sessions revoked", auto: true },
+  { key: "assets_returned", label: "Assigned company assets returned", auto: true },
+  { key: "work_handover", label: "Work and documents handed over" },
+  { key: "exit_interview", label: "Exit interview conducted" },
+  { key: "final_pay", label: "Final pay computed and released" },
+  { key: "certificate_of_employment", label: "Certificate of employment issued" },
+];
+
+const AUTO_ITEMS = CLEARANCE_CHECKLIST.filter((item) => item.auto).map((item) => item.key);
+
+// Tick or untick a system-managed checklist item
+function setAutoItem(offboarding, key, completed) {
+  const item = offboarding.checklist.find((entry) => entry.key === key);
+  if (!item) return;
+  item.completed = completed;
+  item.completedAt = completed ? new Date() : null;
+}
+
+/**
+ * Deactivate a user and open their offboarding case: revokes every session,
+ * records the separation on the employee profile (and, when `employmentStatus`
+ * is "resigned" or "terminated", in the employment status history), cancels
+ * pending leaves and asset requests, and lists assigned assets that must be returned.
+ * The account, profile, leave, request and case writes happen in one transaction.
+ */
+async function startOffboarding(user, { separationDate, reason, notes, employmentStatus, initiatedBy }) {
+  const employee = await Employee.findOne({ userId: user._id }).select("_id");
+  const session = await mongoose.startSession();
+  let offboarding;
+
+  try {
+    await session.withTransaction(async () => {
+      offboarding = new Offboarding({
+        userId: user._id,
+        employeeId: employee?._id || null,
+        separationDate,
+        reason,
+        notes: notes || null,
+        initiatedBy,
+        checklist: CLEARANCE_CHECKLIST.map(({ key, label }) => ({ key, label })),
+      });
+
+      user.status = "inactive";
+      user.deactivatedAt = new Date();
+      user.deactivatedBy = initiatedBy;
+      user.passwordResetTokenHash = null;
+      user.passwordResetExpires = null;
+      await user.save({ session });
+      setAutoItem(offboarding, "account_deactivated", true);
+
+      const cancelledLeaves = await Leave.find({ userId: user._id, status: "pending" }).select("_id").session(session);
+      if (cancelledLeaves.length > 0) {
+        await Leave.updateMany(
+          { _id: { $in: cancelledLeaves.map((leave) => leave._id) } },
+          { status: "cancelled", rejectionReason: "Cancelled: employee offboarded" },
+          { session }
+        );
+      }
+      offboarding.cancelledLeaves = cancelledLeaves.map((leave) => leave._id);
+
+      if (employee) {
+        // Set directly so older profiles failing newer validators are offboarded too
+        await Employee.updateOne(
+          { _id: employee._id },
+          { $set: { separationDate, separationReason: reason } },
+          { session }
+        );
+
+        // Requests not yet fulfilled by IT are dropped
+        const cancelledRequests = await AssetRequest.find({
+          requestedBy: employee._id,
+          status: { $in: ["Pending", "Approved"] },
+        })
+          .select("_id")
+          .session(session);
+        if (cancelledRequests.length > 0) {
+          await AssetRequest.updateMany(
+            { _id: { $in: cancelledRequests.map((request) => request._id) } },
+            { status: "Cancelled", itNotes: "Cancelled: employee offboarded" },
+            { session }
+          );
+        }
+        offboarding.cancelledAssetRequests = cancelledRequests.map((request) => request._id);
+
+        const assets = await Asset.find({ assignedTo: employee._id, status: "Assigned" }).session(session);
+        offboarding.assets = assets.map((asset) => ({
+          asset: asset._id,
+          assetTag: asset.assetTag,
+          assetType: asset.assetType,
+        }));
+      }
+
+      setAutoItem(offboarding, "assets_returned", offboarding.assets.length === 0);
+      await offboarding.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await revokeAllUserTokens(user._id, { revokedBy: initiatedBy });
+
+  if (employee && employmentStatus) {
+    const profile = await Employee.findById(employee._id).select(
+      "dateHired createdAt employmentStatus employmentStatusSince regularizationDueDate contractEndDate"
+    );
+    await recordStatusChange(
+      profile,
+      { status: employmentStatus, effectiveDate: separationDate, reason },
+      { changedBy: initiatedBy, offboardingId: offboarding._id }
+    );
+  }
+
+  return offboarding;
+}
+
+/**
+ * Record the return of an asset listed on an offboarding case and release it
+ * back to the available pool. Returns false when the asset is not on the case.
+ */
+async function returnAsset(offboarding, assetId, { receivedBy, condition }) {
+  const entry = offboarding.assets.find((item) => String(item.asset) === String(assetId));
+  if (!entry) return false;
+
+  if (!entry.returned) {
+    await Asset.updateOne(
+      { _id: entry.asset, assignedTo: offboarding.employeeId },
+      { status: "Available", assignedTo: null, assignedDate: null, updatedBy: receivedBy }
+    );
+
+    entry.returned = true;
+    entry.returnedAt = new Date();
+    entry.receivedBy = receivedBy;
+    entry.condition = condition || null;
+  }
+
+  setAutoItem(offboarding, "assets_returned", offboarding.assets.every((item) => item.returned));
+  await offboarding.save();
+  return true;
+}
+
+/**
+ * Complete (or reopen) a manual checklist item. Returns false for unknown or system-managed items.
+ */
+function updateChecklistItem(offboarding, key, { completed, notes, userId }) {
+  const item = offboarding.checklist.find((entry) => entry.key === key);
+  if (!item || AUTO_ITEMS.includes(key)) return false;
+
+  item.completed = Boolean(completed);
+  item.completedBy = item.completed ? userId : null;
+  item.completedAt = item.completed ? new Date() : null;
+  if (notes !== undefined) item.notes = notes;
+  return true;
+}
+
+/**
+ * Checklist items (and asset returns) still blocking sign-off
+ */
+function outstandingItems(offboarding) {
+  return offboarding.checklist.filter((item) => !item.completed).map((item) => item.key);
+}
+
+/**
+ * Undo an offboarding that was started by mistake: reactivates the account and
+ * clears the separation from the employee profile and its status history.
+ * Cancelled leaves and asset requests stay cancelled and have to be filed again.
+ */
+async function cancelOffboarding(offboarding) {
+  await User.updateOne({ _id: offboarding.userId }, { status: "active", deactivatedAt: null, deactivatedBy: null });
+
+  if (offboarding.employeeId) {
+    await Employee.updateOne(
+      { _id: offboarding.employeeId },
+      { $unset: { separationDate: 1, separationReason: 1 } }
+    );
+    const employee = await Employee.findById(offboarding.employeeId).select(
+      "employmentStatus employmentStatusSince regularizationDueDate contractEndDate"
+    );
+    if (employee) await removeStatusChanges(employee, { offboardingId: offboarding._id });
+  }
+
+  offboarding.status = "cancelled";
+  await offboarding.save();
+  return offboarding;
+}
+
+module.exports = {
+  CLEARANCE_CHECKLIST,
+  startOffboarding,
+  returnAsset,
+  updateChecklistItem,
+  outstandingItems,
+  cancelOffboarding,
+};
@@ -0,0 +1,307 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Employee = require("../models/Employee");
+const OidcState = require("../models/OidcState");
+const { hashToken } = require("./tokens");
+const { OIDC } = require("../config/auth");
+
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+
+// Sign-in failures the frontend is told about (by code); anything else is reported as "failed"
+const SSO_ERRORS = {
+  session_expired: "Sign-in session expired. Please try again.",
+  cancelled: "Sign-in was cancelled or refused by the identity provider",
+  not_enabled: "Single sign-on is not enabled for this company",
+  email_missing: "The identity provider did not share an email address",
+  email_unverified: "Your email address is not verified by the identity provider",
+  domain_not_allowed: "Your email domain is not allowed for this company's sign-in",
+  link_required:
+    "An account with this email exists but is not linked to this company's sign-in. Ask an administrator to link it.",
+  no_account: "No account exists for this email address",
+  failed: "Sign-in failed. Please try again.",
+};
+
+function ssoError(code) {
+  const error = new Error(SSO_ERRORS[code]);
+  error.ssoCode = code;
+  return error;
+}
+
+// issuer -> { metadata, fetchedAt } and jwks_uri -> { keys, fetchedAt }
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+function base64url(buffer) {
+  return buffer.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function randomToken(bytes = 32) {
+  return base64url(crypto.randomBytes(bytes));
+}
+
+/**
+ * PKCE pair: the verifier stays on the server, the S256 challenge goes to the provider
+ */
+function createPkcePair() {
+  const codeVerifier = randomToken(32);
+  const codeChallenge = base64url(crypto.createHash("sha256").update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * Provider metadata from the issuer's discovery document (cached for an hour)
+ */
+async function getProviderMetadata(issuer) {
+  const cached = metadataCache.get(issuer);
+  if (cached && Date.now() - cached.fetchedAt < METADATA_CACHE_MS) {
+    return cached.metadata;
+  }
+
+  const url = `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+  const { data: metadata } = await axios.get(url, { timeout: OIDC.httpTimeoutMs });
+
+  if (metadata.issuer !== issuer) {
+    throw new Error("Identity provider issuer does not match the configured issuer");
+  }
+
+  metadataCache.set(issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+}
+
+/**
+ * Public key for an ID token's `kid`. The key set is re-fetched once when the
+ * kid is unknown, so providers can rotate keys without a restart.
+ */
+async function getSigningKey(metadata, kid) {
+  const findKey = (keys) => keys.find((key) => (!kid || key.kid === kid) && (!key.use || key.use === "sig"));
+
+  let cached = jwksCache.get(metadata.jwks_uri);
+  let jwk = cached && Date.now() - cached.fetchedAt < METADATA_CACHE_MS ? findKey(cached.keys) : null;
+
+  if (!jwk) {
+    const { data } = await axios.get(metadata.jwks_uri, { timeout: OIDC.httpTimeoutMs });
+    cached = { keys: data.keys || [], fetchedAt: Date.now() };
+    jwksCache.set(metadata.jwks_uri, cached);
+    jwk = findKey(cached.keys);
+  }
+
+  if (!jwk) {
+    throw new Error("No matching signing key published by the identity provider");
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+/**
+ * Start an SSO login for a company: stores state, nonce and PKCE verifier and
+ * returns the provider's authorization URL to send the browser to.
+ */
+async function beginLogin(company) {
+  const { sso } = company;
+  const metadata = await getProviderMetadata(sso.issuer);
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const state = randomToken(24);
+  const nonce = randomToken(24);
+
+  await OidcState.create({
+    state,
+    companyId: company._id,
+    nonce,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + OIDC.stateTtlMinutes * 60 * 1000),
+  });
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: sso.clientId,
+    redirect_uri: OIDC.callbackUrl,
+    scope: sso.scopes || "openid email profile",
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  });
+
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+}
+
+/**
+ * Atomically claim the state of a callback; returns null when it is unknown,
+ * expired or already used
+ */
+async function claimState(state) {
+  if (!state) return null;
+  return OidcState.findOneAndUpdate(
+    { state: String(state), claimedAt: null, expiresAt: { $gt: new Date() } },
+    { claimedAt: new Date() },
+    { new: true }
+  );
+}
+
+/**
+ * Exchange the authorization code (plus PKCE verifier) at the token endpoint
+ */
+async function exchangeCode(company, metadata, code, codeVerifier) {
+  const { sso } = company;
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: OIDC.callbackUrl,
+    code_verifier: codeVerifier,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+
+  // Confidential clients authenticate with client_secret_basic, public clients rely on PKCE alone
+  if (sso.clientSecret) {
+    const credentials = `${encodeURIComponent(sso.clientId)}:${encodeURIComponent(sso.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  } else {
+    body.set("client_id", sso.clientId);
+  }
+
+  const { data } = await axios.post(metadata.token_endpoint, body.toString(), {
+    headers,
+    timeout: OIDC.httpTimeoutMs,
+  });
+
+  if (!data.id_token) {
+    throw new Error("Identity provider did not return an ID token");
+  }
+  return data.id_token;
+}
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce; returns its claims
+ */
+async function verifyIdToken(idToken, { metadata, clientId, nonce }) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error("Malformed ID token");
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: clientId,
+    clockTolerance: 60,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce mismatch");
+  }
+
+  return claims;
+}
+
+function emailDomain(email) {
+  return email.split("@").pop().toLowerCase();
+}
+
+/**
+ * Map verified ID token claims to a local user: first by linked identity, then
+ * by email, and finally by just-in-time provisioning an Employee account when
+ * the company allows it for the email's domain. An existing account is only
+ * linked when its email domain is one of the company's allowed domains or its
+ * employee profile belongs to the company; other accounts need a manual link.
+ */
+async function resolveUser(company, claims) {
+  const { sso } = company;
+  const email = claims.email ? String(claims.email).toLowerCase().trim() : null;
+
+  if (!email) {
+    throw ssoError("email_missing");
+  }
+  if (claims.email_verified !== true) {
+    throw ssoError("email_unverified");
+  }
+
+  const allowedDomains = (sso.allowedDomains || []).map((domain) => domain.toLowerCase());
+  const domainAllowed = allowedDomains.includes(emailDomain(email));
+  if (allowedDomains.length > 0 && !domainAllowed) {
+    throw ssoError("domain_not_allowed");
+  }
+
+  const identity = { issuer: sso.issuer, subject: String(claims.sub) };
+
+  let user = await User.findOne({
+    externalIdentities: { $elemMatch: { issuer: identity.issuer, subject: identity.subject } },
+  });
+  if (user) return { user, provisioned: false };
+
+  user = await User.findOne({ email });
+  if (user) {
+    const ofCompany = await Employee.exists({ userId: user._id, company: company._id });
+    if (!domainAllowed && !ofCompany) {
+      throw ssoError("link_required");
+    }
+    user.externalIdentities.push(identity);
+    await user.save();
+    return { user, provisioned: false };
+  }
+
+  if (!sso.jitProvisioning || allowedDomains.length === 0) {
+    throw ssoError("no_account");
+  }
+
+  user = await User.create({
+    email,
+    // Never used: the account signs in through SSO until a password is set via reset
+    password: crypto.randomBytes(32).toString("hex"),
+    role: 3,
+    passwordChanged: true,
+    externalIdentities: [identity],
+  });
+  return { user, provisioned: true };
+}
+
+/**
+ * Finish the provider callback: exchange the code, verify the ID token and map
+ * the user. Returns { user, provisioned, loginCode } where loginCode is the
+ * one-time value the frontend exchanges for tokens.
+ */
+async function completeCallback(stateDoc, company, code) {
+  const metadata = await getProviderMetadata(company.sso.issuer);
+  const idToken = await exchangeCode(company, metadata, code, stateDoc.codeVerifier);
+  const claims = await verifyIdToken(idToken, {
+    metadata,
+    clientId: company.sso.clientId,
+    nonce: stateDoc.nonce,
+  });
+
+  const { user, provisioned } = await resolveUser(company, claims);
+
+  const loginCode = randomToken(32);
+  stateDoc.loginCodeHash = hashToken(loginCode);
+  stateDoc.userId = user._id;
+  stateDoc.expiresAt = new Date(Date.now() + OIDC.loginCodeTtlSeconds * 1000);
+  await stateDoc.save();
+
+  return { user, provisioned, loginCode };
+}
+
+/**
+ * Redeem a one-time login code; returns the user id or null
+ */
+async function redeemLoginCode(loginCode) {
+  const stateDoc = await OidcState.findOneAndDelete({
+    loginCodeHash: hashToken(loginCode),
+    expiresAt: { $gt: new Date() },
+  });
+  return stateDoc?.userId || null;
+}
+
+module.exports = {
+  SSO_ERRORS,
+  createPkcePair,
+  getProviderMetadata,
+  beginLogin,
+  claimState,
+  verifyIdToken,
+  resolveUser,
+  completeCallback,
+  redeemLoginCode,
+};
@@ -0,0 +1,161 @@
+const mongoose = require("mongoose");
+const Company = require("../models/Company");
+const Department = require("../models/Department");
+const Employee = require("../models/Employee");
+const Invitation = require("../models/Invitation");
+const ProfileChangeRequest = require("../models/ProfileChangeRequest");
+const EmployeeProfileVersion = require("../models/EmployeeProfileVersion");
+
+// Employee.company and Employee.department reference these collections
+const ORG_UNITS = {
+  company: { model: Company, label: "Company" },
+  department: { model: Department, label: "Department" },
+};
+
+// Unit names are unique and matched ignoring case
+const NAME_COLLATION = { locale: "en", strength: 2 };
+
+// Populate options that show company and department names on employee queries
+const ORG_UNIT_POPULATE = [
+  { path: "company", select: "name" },
+  { path: "department", select: "name" },
+];
+
+/**
+ * Company or department given as an id, a populated document or a name
+ * (matched case-insensitively, as older clients and spreadsheets send names).
+ * Returns null when there is no such unit.
+ */
+async function findOrgUnit(kind, value) {
+  const { model } = ORG_UNITS[kind];
+  const id = value?._id ?? value;
+
+  if (mongoose.isObjectIdOrHexString(id)) {
+    const unit = await model.findById(id).select("name");
+    if (unit) return unit;
+  }
+
+  const name = String(value).trim();
+  if (!name) return null;
+  return model.findOne({ name }).collation(NAME_COLLATION).select("name");
+}
+
+/**
+ * Resolve the company and/or department of a request body or import row to ids.
+ * Only keys present are resolved; empty values become null (a required company
+ * is left to the caller's validation). Returns { values } or { error }.
+ */
+async function resolveOrgUnits(body) {
+  const values = {};
+  for (const kind of Object.keys(ORG_UNITS)) {
+    const value = body[kind];
+    if (value === undefined) continue;
+    if (value === null || value === "") {
+      values[kind] = null;
+      continue;
+    }
+
+    const unit = await findOrgUnit(kind, value);
+    if (!unit) {
+      return { error: `${ORG_UNITS[kind].label} "${value?.name ?? value}" does not exist` };
+    }
+    values[kind] = unit._id;
+  }
+  return { values };
+}
+
+/**
+ * Employee filter for ?company= and ?department= query parameters (ids or names),
+ * with each key prefixed by `prefix`. Returns { filter } or { error }.
+ */
+async function orgUnitFilter(query, prefix = "") {
+  const selected = {};
+  for (const kind of Object.keys(ORG_UNITS)) {
+    if (query[kind]) selected[kind] = String(query[kind]);
+  }
+
+  const { values, error } = await resolveOrgUnits(selected);
+  if (error) return { error };
+
+  const filter = {};
+  for (const [kind, id] of Object.entries(values)) filter[`${prefix}${kind}`] = id;
+  return { filter };
+}
+
+/**
+ * Employees and open invitations still pointing at a company or department
+ */
+async function orgUnitUsage(kind, id) {
+  const [employees, invitations] = await Promise.all([
+    Employee.countDocuments({ [kind]: id }),
+    Invitation.countDocuments({ [kind]: id, status: "sent" }),
+  ]);
+  return { employees, invitations };
+}
+
+/**
+ * Move everything referencing one company or department to another and delete
+ * the source: employees, invitations, pending change requests and profile
+ * version snapshots (so history still resolves to a unit). Runs in one
+ * transaction, so a failed merge leaves nothing half moved. Returns the counts moved.
+ */
+async function mergeOrgUnit(kind, source, target) {
+  const session = await mongoose.startSession();
+  let moved;
+
+  try {
+    await session.withTransaction(async () => {
+      const employees = await Employee.updateMany(
+        { [kind]: source._id },
+        { $set: { [kind]: target._id } },
+        { session }
+      );
+      const invitations = await Invitation.updateMany(
+        { [kind]: source._id },
+        { $set: { [kind]: target._id } },
+        { session }
+      );
+
+      let changeRequests = 0;
+      for (const side of ["from", "to"]) {
+        const result = await ProfileChangeRequest.updateMany(
+          { status: "pending", changes: { $elemMatch: { field: kind, [side]: source._id } } },
+          { $set: { [`changes.$[change].${side}`]: target._id } },
+          { arrayFilters: [{ "change.field": kind, [`change.${side}`]: source._id }], session }
+        );
+        changeRequests += result.modifiedCount;
+      }
+
+      // Raw collection: the snapshot setter would re-encrypt the whole snapshot
+      const versions = await EmployeeProfileVersion.collection.updateMany(
+        { [`snapshot.${kind}`]: source._id },
+        { $set: { [`snapshot.${kind}`]: target._id } },
+        { session }
+      );
+
+      await ORG_UNITS[kind].model.deleteOne({ _id: source._id }, { session });
+
+      moved = {
+        employees: employees.modifiedCount,
+        invitations: invitations.modifiedCount,
+        changeRequests,
+        versions: versions.modifiedCount,
+      };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return moved;
+}
+
+module.exports = {
+  ORG_UNITS,
+  NAME_COLLATION,
+  ORG_UNIT_POPULATE,
+  findOrgUnit,
+  resolveOrgUnits,
+  orgUnitFilter,
+  orgUnitUsage,
+  mergeOrgUnit,
+};
@@ -0,0 +1,37 @@
+const { PASSWORD_POLICY } = require("../config/auth");
+
+/**
+ * Check a candidate password against the configured policy.
+ * Returns a list of human-readable violations (empty when the password is acceptable).
+ */
+function validatePassword(password, { email } = {}) {
+  const errors = [];
+  const value = typeof password === "string" ? password : "";
+
+  if (value.length < PASSWORD_POLICY.minLength) {
+    errors.push(`Password must be at least ${PASSWORD_POLICY.minLength} characters long`);
+  }
+  if (PASSWORD_POLICY.requireUppercase && !/[A-Z]/.test(value)) {
+    errors.push("Password must contain an uppercase letter");
+  }
+  if (PASSWORD_POLICY.requireLowercase && !/[a-z]/.test(value)) {
+    errors.push("Password must contain a lowercase letter");
+  }
+  if (PASSWORD_POLICY.requireNumber && !/\d/.test(value)) {
+    errors.push("Password must contain a number");
+  }
+  if (PASSWORD_POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push("Password must contain a symbol");
+  }
+  if (email) {
+    const normalizedEmail = String(email).toLowerCase();
+    const normalizedValue = value.toLowerCase();
+    if (normalizedValue === normalizedEmail || normalizedValue === normalizedEmail.split("@")[0]) {
+      errors.push("Password must not be the same as your email");
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validatePassword };
@@ -0,0 +1,57 @@
+const Role = require("../models/Role");
+const User = require("../models/User");
+const { DEFAULT_ROLES } = require("../config/permissions");
+
+/**
+ * Create the built-in roles if they are missing. Existing roles only receive default
+ * permissions they have never been seeded with, so changes made through the admin
+ * endpoints survive restarts.
+ */
+async function ensureDefaultRoles() {
+  for (const role of DEFAULT_ROLES) {
+    const existing = await Role.findOne({ name: role.name });
+
+    if (!existing) {
+      await Role.create({ ...role, seededPermissions: role.permissions, system: true });
+      continue;
+    }
+
+    const seeded = existing.seededPermissions.length > 0 ? existing.seededPermissions : existing.permissions;
+    const added = role.permissions.filter((permission) => !seeded.includes(permission));
+    if (added.length > 0 || (existing.seededPermissions.length === 0 && role.permissions.length > 0)) {
+      existing.permissions = [...new Set([...existing.permissions, ...added])];
+      existing.seededPermissions = role.permissions;
+      await existing.save();
+    }
+  }
+}
+
+/**
+ * Effective permissions of a user: the bundle linked to their numeric role
+ * plus every role granted to them explicitly
+ */
+async function getUserPermissions({ role, roles }) {
+  const bundles = await Role.find({
+    $or: [{ legacyRole: role }, { _id: { $in: roles || [] } }],
+  })
+    .select("permissions")
+    .lean();
+
+  return new Set(bundles.flatMap((bundle) => bundle.permissions));
+}
+
+/**
+ * Active users holding a permission, through their numeric role or a granted role
+ */
+async function usersWithPermission(permission) {
+  const roles = await Role.find({ permissions: permission }).select("legacyRole").lean();
+  return User.find({
+    status: { $ne: "inactive" },
+    $or: [
+      { role: { $in: roles.map((role) => role.legacyRole).filter((role) => role != null) } },
+      { roles: { $in: roles.map((role) => role._id) } },
+    ],
+  }).select("email");
+}
+
+module.exports = { ensureDefaultRoles, getUserPermissions, usersWithPermission };
@@ -0,0 +1,241 @@
+const mongoose = require("mongoose");
+const Employee = require("../models/Employee");
+const ProfileChangeRequest = require("../models/ProfileChangeRequest");
+const EmployeeProfileVersion = require("../models/EmployeeProfileVersion");
+const ProfileFieldRule = require("../models/ProfileFieldRule");
+const { PROFILE_FIELDS, DEFAULT_FIELD_RULES } = require("../config/profileFields");
+
+/**
+ * Effective classification of every profile field: database rules over the defaults
+ */
+async function getFieldRules() {
+  const rules = { ...DEFAULT_FIELD_RULES };
+  const overrides = await ProfileFieldRule.find().select("field classification").lean();
+  for (const { field, classification } of overrides) rules[field] = classification;
+  return rules;
+}
+
+/**
+ * Split a change set by field classification: { self_service, approval_required, hr_only }
+ */
+async function partitionChanges(changes) {
+  const rules = await getFieldRules();
+  const partitioned = { self_service: [], approval_required: [], hr_only: [] };
+  for (const change of changes) {
+    partitioned[rules[change.field] || "approval_required"].push(change);
+  }
+  return partitioned;
+}
+
+// Comparable form of a field value: empty values are all the same, dates compare by instant
+function normalizeValue(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+function valuesEqual(a, b) {
+  return normalizeValue(a) === normalizeValue(b);
+}
+
+// Run fn inside a transaction (the version snapshot and profile must change together)
+async function inTransaction(fn) {
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+  } finally {
+    await session.endSession();
+  }
+  return result;
+}
+
+/**
+ * Current values of the versioned fields
+ */
+function snapshotProfile(employee) {
+  const snapshot = {};
+  for (const field of PROFILE_FIELDS) {
+    snapshot[field] = employee.get(field) ?? null;
+  }
+  return snapshot;
+}
+
+/**
+ * Diff submitted values against a profile. Values are cast and validated with
+ * the Employee schema; returns { changes: [{ field, from, to }], errors: [] }.
+ * Fields missing from `submitted` are left unchanged.
+ */
+async function buildChangeSet(employee, submitted) {
+  const candidate = Employee.hydrate(employee.toObject());
+  for (const field of PROFILE_FIELDS) {
+    if (submitted[field] !== undefined) candidate.set(field, submitted[field]);
+  }
+
+  let errors = [];
+  try {
+    await candidate.validate();
+  } catch (error) {
+    if (error.name !== "ValidationError") throw error;
+    errors = Object.values(error.errors).map((fieldError) => fieldError.message);
+  }
+
+  const changes = PROFILE_FIELDS.filter((field) => !valuesEqual(employee.get(field), candidate.get(field))).map(
+    (field) => ({ field, from: employee.get(field) ?? null, to: candidate.get(field) ?? null })
+  );
+
+  return { changes, errors };
+}
+
+/**
+ * Store a snapshot of the profile as its current profileVersion
+ */
+async function recordVersion(employee, { source, changedBy, changedFields, changeRequestId, session }) {
+  const [version] = await EmployeeProfileVersion.create(
+    [
+      {
+        employeeId: employee._id,
+        version: employee.profileVersion,
+        snapshot: snapshotProfile(employee),
+        changedFields: changedFields || PROFILE_FIELDS,
+        source,
+        changeRequestId: changeRequestId || null,
+        changedBy: changedBy || null,
+      },
+    ],
+    { session }
+  );
+  return version;
+}
+
+/**
+ * Record version 1 when a profile is approved for the first time
+ */
+async function recordInitialVersion(employee, changedBy) {
+  if (employee.profileVersion > 0) return null;
+
+  return inTransaction(async (session) => {
+    employee.profileVersion = 1;
+    await employee.save({ session });
+    return recordVersion(employee, { source: "initial", changedBy, session });
+  });
+}
+
+/**
+ * Apply changes straight to the live profile (self-approvers and HR edits) as a new version
+ */
+async function applyDirectChanges(employee, changes, { source, changedBy }) {
+  return inTransaction(async (session) => {
+    for (const { field, to } of changes) employee.set(field, to);
+    employee.profileVersion += 1;
+    employee.updatedAt = Date.now();
+    await employee.save({ session });
+    await recordVersion(employee, {
+      source,
+      changedBy,
+      changedFields: changes.map((change) => change.field),
+      session,
+    });
+    return employee;
+  });
+}
+
+/**
+ * File a change set for review. A newer submission replaces the one still pending.
+ */
+async function submitChangeRequest(employee, changes, submittedBy) {
+  await ProfileChangeRequest.updateMany(
+    { employeeId: employee._id, status: "pending" },
+    { status: "superseded" }
+  );
+
+  return ProfileChangeRequest.create({
+    employeeId: employee._id,
+    submittedBy,
+    changes,
+    baseVersion: employee.profileVersion,
+  });
+}
+
+/**
+ * Pending change set of an employee, if any
+ */
+async function findPendingChangeRequest(employeeId) {
+  return ProfileChangeRequest.findOne({ employeeId, status: "pending" });
+}
+
+/**
+ * Approve a change set: applies every field and records the new version in one
+ * transaction. If the profile moved on since submission, fields whose live value
+ * no longer matches the diff's `from` are reported as conflicts and nothing is applied.
+ * Returns { employee } or { conflicts }.
+ */
+async function approveChangeRequest(changeRequest, reviewerId) {
+  return inTransaction(async (session) => {
+    const employee = await Employee.findById(changeRequest.employeeId).session(session);
+    if (!employee) throw new Error("Employee not found");
+
+    if (employee.profileVersion !== changeRequest.baseVersion) {
+      const conflicts = changeRequest.changes
+        .filter(({ field, from }) => !valuesEqual(employee.get(field), from))
+        .map(({ field, to }) => ({ field, current: employee.get(field) ?? null, requested: to }));
+      if (conflicts.length > 0) return { conflicts };
+    }
+
+    const $set = { updatedAt: Date.now() };
+    for (const { field, to } of changeRequest.changes) $set[field] = to;
+
+    // Version guard: a concurrent approval or edit aborts this one
+    const updated = await Employee.findOneAndUpdate(
+      { _id: employee._id, profileVersion: employee.profileVersion },
+      { $set, $inc: { profileVersion: 1 } },
+      { new: true, runValidators: true, session }
+    );
+    if (!updated) throw new Error("Profile was modified concurrently, please retry");
+
+    await recordVersion(updated, {
+      source: "change_request",
+      changedBy: reviewerId,
+      changedFields: changeRequest.changes.map((change) => change.field),
+      changeRequestId: changeRequest._id,
+      session,
+    });
+
+    changeRequest.status = "approved";
+    changeRequest.reviewedBy = reviewerId;
+    changeRequest.reviewedAt = new Date();
+    changeRequest.appliedVersion = updated.profileVersion;
+    await changeRequest.save({ session });
+
+    return { employee: updated };
+  });
+}
+
+/**
+ * Reject a change set; the live profile keeps its approved values
+ */
+async function rejectChangeRequest(changeRequest, reviewerId, rejectionReason) {
+  changeRequest.status = "rejected";
+  changeRequest.reviewedBy = reviewerId;
+  changeRequest.reviewedAt = new Date();
+  changeRequest.rejectionReason = rejectionReason;
+  await changeRequest.save();
+  return changeRequest;
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  getFieldRules,
+  partitionChanges,
+  snapshotProfile,
+  buildChangeSet,
+  recordVersion,
+  recordInitialVersion,
+  applyDirectChanges,
+  submitChangeRequest,
+  findPendingChangeRequest,
+  approveChangeRequest,
+  rejectChangeRequest,
+};
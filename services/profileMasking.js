@@ -0,0 +1,69 @@
+const { SENSITIVE_PROFILE_FIELDS } = require("../config/profileFields");
+const { GOVERNMENT_ID_FIELDS } = require("./governmentIds");
+
+// Fields masked digit by digit, keeping the last three visible
+const NUMBER_FIELDS = [...GOVERNMENT_ID_FIELDS, "emergencyContactNumber"];
+const VISIBLE_DIGITS = 3;
+
+/**
+ * Masked form of a sensitive value, e.g. ***-***-***-123 for a TIN
+ */
+function maskValue(field, value) {
+  if (value === undefined || value === null || value === "") return value;
+
+  if (NUMBER_FIELDS.includes(field)) {
+    const text = String(value);
+    let hidden = text.replace(/\D/g, "").length - VISIBLE_DIGITS;
+    return text.replace(/\d/g, (digit) => (hidden-- > 0 ? "*" : digit));
+  }
+  if (field === "birthDate") return "****-**-**";
+  return "***";
+}
+
+/**
+ * Copy of `values` with every sensitive profile field masked
+ */
+function maskProfileValues(values) {
+  if (!values) return values;
+  const masked = { ...values };
+  for (const field of SENSITIVE_PROFILE_FIELDS) {
+    if (masked[field] !== undefined) masked[field] = maskValue(field, masked[field]);
+  }
+  return masked;
+}
+
+/**
+ * Change set diff with the from/to values of sensitive fields masked
+ */
+function maskChanges(changes) {
+  return changes.map(({ field, from, to }) =>
+    SENSITIVE_PROFILE_FIELDS.includes(field)
+      ? { field, from: maskValue(field, from), to: maskValue(field, to) }
+      : { field, from, to }
+  );
+}
+
+/**
+ * Response body for an employee profile: decrypted when `unmasked` (the owner
+ * or employees.viewSensitive), masked otherwise
+ */
+function serializeEmployee(employee, unmasked) {
+  const values = typeof employee.toObject === "function" ? employee.toObject() : { ...employee };
+  return unmasked ? values : maskProfileValues(values);
+}
+
+/**
+ * Whether the authenticated user owns the profile (userId may be populated)
+ */
+function isProfileOwner(req, employee) {
+  const ownerId = employee.userId?._id || employee.userId;
+  return Boolean(ownerId) && String(ownerId) === String(req.user.userId);
+}
+
+module.exports = {
+  maskValue,
+  maskProfileValues,
+  maskChanges,
+  serializeEmployee,
+  isProfileOwner,
+};
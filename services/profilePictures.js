@@ -0,0 +1,112 @@
+const sharp = require("sharp");
+const Employee = require("../models/Employee");
+const { savePublicFile, deletePublicFile } = require("./storage");
+const { PROFILE_PICTURE } = require("../config/profilePictures");
+
+// profilePicture values accepted in JSON bodies: links to already stored images
+const PICTURE_URL_PATTERN = /^(https:\/\/|http:\/\/|\/uploads\/)[^\s]+$/i;
+const MAX_PICTURE_URL_LENGTH = 2048;
+
+/**
+ * Why a profilePicture value sent as JSON is not accepted (null when it is).
+ * Image data has to go through the upload endpoint instead.
+ */
+function profilePictureUrlError(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string" || value.length > MAX_PICTURE_URL_LENGTH || !PICTURE_URL_PATTERN.test(value)) {
+    return "profilePicture must be an image URL; upload image files to POST /api/employee/profile/picture";
+  }
+  return null;
+}
+
+/**
+ * Validate an uploaded image and render its square thumbnails. EXIF orientation is
+ * applied and all metadata (EXIF, GPS, ICC comments) dropped by re-encoding.
+ * Returns { images: [{ size, buffer }] } or { error }.
+ */
+async function renderProfilePicture(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: PROFILE_PICTURE.maxPixels }).metadata();
+  } catch (_) {
+    return { error: "The file is not a readable image" };
+  }
+
+  if (!PROFILE_PICTURE.formats.includes(metadata.format)) {
+    return { error: "Only JPEG, PNG, WebP and HEIC images are accepted" };
+  }
+  if (Math.min(metadata.width || 0, metadata.height || 0) < PROFILE_PICTURE.minDimension) {
+    return { error: `Image must be at least ${PROFILE_PICTURE.minDimension}x${PROFILE_PICTURE.minDimension} pixels` };
+  }
+
+  try {
+    const images = [];
+    for (const size of PROFILE_PICTURE.sizes) {
+      const resized = await sharp(buffer, { limitInputPixels: PROFILE_PICTURE.maxPixels })
+        .rotate()
+        .resize(size, size, { fit: "cover", position: "attention" })
+        .flatten({ background: "#ffffff" })
+        .jpeg({ quality: PROFILE_PICTURE.quality, mozjpeg: true })
+        .toBuffer();
+      images.push({ size, buffer: resized });
+    }
+    return { images };
+  } catch (_) {
+    return { error: "The image could not be processed" };
+  }
+}
+
+async function deleteFiles(files) {
+  for (const file of files) {
+    try {
+      await deletePublicFile(file);
+    } catch (error) {
+      console.error(`Could not delete profile picture ${file.key}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Store rendered thumbnails as the employee's profile picture and remove the
+ * previous ones. Returns the updated picture fields.
+ */
+async function replaceProfilePicture(employee, images) {
+  const files = [];
+  try {
+    for (const { size, buffer } of images) {
+      const stored = await savePublicFile(buffer, {
+        folder: `profile-pictures/${employee._id}`,
+        originalName: `${size}.jpg`,
+      });
+      files.push({ size, ...stored });
+    }
+  } catch (error) {
+    await deleteFiles(files);
+    throw error;
+  }
+
+  return setProfilePicture(employee, { url: files[files.length - 1].url, files });
+}
+
+/**
+ * Point the profile at a picture URL and its stored thumbnails (both empty to
+ * remove the picture), deleting the thumbnails it replaces
+ */
+async function setProfilePicture(employee, { url = null, files = [] } = {}) {
+  const previous = employee.profilePictureFiles || [];
+  const picture = { profilePicture: url, profilePictureFiles: files, updatedAt: Date.now() };
+
+  // Only the picture changes, so older profiles failing newer validators still update
+  await Employee.updateOne({ _id: employee._id }, { $set: picture });
+  Object.assign(employee, picture);
+
+  await deleteFiles(previous);
+  return picture;
+}
+
+module.exports = {
+  profilePictureUrlError,
+  renderProfilePicture,
+  replaceProfilePicture,
+  setProfilePicture,
+};
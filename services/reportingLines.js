@@ -0,0 +1,189 @@
+const mongoose = require("mongoose");
+const Employee = require("../models/Employee");
+const { APPROVAL_ROUTING } = require("../config/organization");
+const { ORG_UNIT_POPULATE } = require("./organizationUnits");
+
+// Fields shown for each person in chains, report lists and the org chart
+const NODE_FIELDS = ["firstName", "lastName", "position", "department", "company", "profilePicture", "reportsTo"];
+const NODE_PROJECTION = Object.fromEntries(NODE_FIELDS.map((field) => [field, 1]));
+
+// Current employees only: separated people drop out of reports and the org chart
+const CURRENT = { separationDate: null };
+
+function pickNode(doc) {
+  const node = { _id: doc._id };
+  for (const field of NODE_FIELDS) node[field] = doc[field] ?? null;
+  return node;
+}
+
+/**
+ * Managers above an employee, nearest first ([] for the top of the organisation).
+ * Each entry carries `level` (1 = direct supervisor).
+ */
+async function managerChain(employeeId) {
+  const [result] = await Employee.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(employeeId)) } },
+    {
+      $graphLookup: {
+        from: Employee.collection.name,
+        startWith: "$reportsTo",
+        connectFromField: "reportsTo",
+        connectToField: "_id",
+        as: "chain",
+        depthField: "depth",
+      },
+    },
+    { $project: { chain: { _id: 1, depth: 1, ...NODE_PROJECTION } } },
+  ]);
+  if (!result) return [];
+
+  const chain = result.chain
+    .sort((a, b) => a.depth - b.depth)
+    .map((manager) => ({ ...pickNode(manager), level: manager.depth + 1 }));
+  return Employee.populate(chain, ORG_UNIT_POPULATE);
+}
+
+/**
+ * Current employees reporting to an employee, directly (level 1) or through
+ * others. `direct` limits the result to direct reports.
+ */
+async function reportsOf(employeeId, { direct = false } = {}) {
+  const [result] = await Employee.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(employeeId)) } },
+    {
+      $graphLookup: {
+        from: Employee.collection.name,
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "reportsTo",
+        as: "reports",
+        depthField: "depth",
+        restrictSearchWithMatch: CURRENT,
+        ...(direct ? { maxDepth: 0 } : {}),
+      },
+    },
+    { $project: { reports: { _id: 1, depth: 1, ...NODE_PROJECTION } } },
+  ]);
+  if (!result) return [];
+
+  const reports = result.reports
+    .map((report) => ({ ...pickNode(report), level: report.depth + 1 }))
+    .sort((a, b) => a.level - b.level || a.lastName.localeCompare(b.lastName) || a.firstName.localeCompare(b.firstName));
+  return Employee.populate(reports, ORG_UNIT_POPULATE);
+}
+
+/**
+ * Why `managerId` cannot become the supervisor of `employee` (null when it can).
+ * Rejects unknown, unapproved and separated managers, and any assignment that
+ * would put the employee above themselves.
+ */
+async function reportsToError(employee, managerId) {
+  if (managerId === null) return null;
+  if (!mongoose.Types.ObjectId.isValid(managerId)) return "Supervisor not found";
+  if (String(managerId) === String(employee._id)) return "An employee cannot report to themselves";
+
+  const manager = await Employee.findById(managerId).select("approval_status separationDate");
+  if (!manager) return "Supervisor not found";
+  if (manager.approval_status !== 1) return "Supervisor's profile is not approved";
+  if (manager.separationDate) return "Supervisor has been offboarded";
+
+  const chain = await managerChain(manager._id);
+  if (chain.some((above) => String(above._id) === String(employee._id))) {
+    return "This would create a reporting cycle: the supervisor already reports to this employee";
+  }
+  return null;
+}
+
+/**
+ * Reporting tree of current, approved employees, optionally limited to a company
+ * and/or department id. People whose supervisor is outside the selection become roots
+ * (their `reportsTo` still points at the supervisor).
+ */
+async function buildOrgChart({ company, department } = {}) {
+  const filter = { ...CURRENT, approval_status: 1 };
+  if (company) filter.company = company;
+  if (department) filter.department = department;
+
+  const employees = await Employee.find(filter).select(NODE_FIELDS.join(" ")).populate(ORG_UNIT_POPULATE).lean();
+  const nodes = new Map(employees.map((employee) => [String(employee._id), { ...pickNode(employee), reports: [] }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const manager = node.reportsTo && nodes.get(String(node.reportsTo));
+    (manager ? manager.reports : roots).push(node);
+  }
+
+  const byName = (a, b) => a.lastName.localeCompare(b.lastName) || a.firstName.localeCompare(b.firstName);
+  const sortTree = (list) => {
+    list.sort(byName);
+    for (const node of list) sortTree(node.reports);
+    return list;
+  };
+  return sortTree(roots);
+}
+
+/**
+ * Employee profile id of a user (null when they have none)
+ */
+async function employeeIdOfUser(userId) {
+  if (!userId) return null;
+  const employee = await Employee.findOne({ userId }).select("_id").lean();
+  return employee ? employee._id : null;
+}
+
+/**
+ * Whether anyone currently reports to the user's employee profile
+ */
+async function hasDirectReports(userId) {
+  const employeeId = await employeeIdOfUser(userId);
+  return employeeId ? Boolean(await Employee.exists({ reportsTo: employeeId, ...CURRENT })) : false;
+}
+
+/**
+ * Supervisor ids of employees, keyed by employee id. Supervisors who have been
+ * offboarded are left out, so their reports fall back to role-based approval.
+ */
+async function activeSupervisors(employees) {
+  const withSupervisor = employees.filter((employee) => employee && employee.reportsTo);
+  const supervisorIds = withSupervisor.map((employee) => employee.reportsTo._id || employee.reportsTo);
+  const active = await Employee.find({ _id: { $in: supervisorIds }, ...CURRENT }).select("_id").lean();
+  const activeIds = new Set(active.map((supervisor) => String(supervisor._id)));
+
+  const supervisors = new Map();
+  for (const employee of withSupervisor) {
+    const supervisorId = String(employee.reportsTo._id || employee.reportsTo);
+    if (activeIds.has(supervisorId)) supervisors.set(String(employee._id), supervisorId);
+  }
+  return supervisors;
+}
+
+/**
+ * Whether an approver ({ employeeId, approvableRoles }) may review an applicant
+ * ({ role, supervisorId }) under APPROVAL_ROUTING
+ */
+function mayApprove(approver, applicant) {
+  const bySupervisor = Boolean(
+    applicant.supervisorId && approver.employeeId && String(applicant.supervisorId) === String(approver.employeeId)
+  );
+  const byRole = approver.approvableRoles.includes(applicant.role);
+
+  switch (APPROVAL_ROUTING) {
+    case "supervisor":
+      return applicant.supervisorId ? bySupervisor : byRole;
+    case "either":
+      return bySupervisor || byRole;
+    default:
+      return byRole;
+  }
+}
+
+module.exports = {
+  managerChain,
+  reportsOf,
+  reportsToError,
+  buildOrgChart,
+  employeeIdOfUser,
+  hasDirectReports,
+  activeSupervisors,
+  mayApprove,
+};
@@ -0,0 +1,132 @@
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+const { REFRESH_TOKEN_TTL_DAYS } = require("../config/auth");
+
+// Only write lastSeenAt when it is older than this, to avoid a write per request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Summarise a user agent as "<browser> on <platform>"
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return "Unknown device";
+
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+  ];
+  const platforms = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (!browser && !platform) return userAgent.slice(0, 60);
+  return `${browser || "Unknown browser"} on ${platform || "unknown platform"}`;
+}
+
+function sessionExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Start a session for a fresh login
+ */
+async function createSession(user, req) {
+  const userAgent = req?.headers?.["user-agent"] || null;
+
+  return Session.create({
+    userId: user._id,
+    ipAddress: req?.ip || null,
+    userAgent,
+    deviceInfo: describeDevice(userAgent),
+    lastSeenAt: new Date(),
+    expiresAt: sessionExpiry(),
+  });
+}
+
+/**
+ * Whether a session can still be used
+ */
+function isSessionActive(session) {
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+}
+
+/**
+ * Record activity on a session (throttled)
+ */
+async function touchSession(session, req, { extend = false } = {}) {
+  const update = {};
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_RESOLUTION_MS) {
+    update.lastSeenAt = new Date();
+    if (req?.ip) update.ipAddress = req.ip;
+  }
+  if (extend) update.expiresAt = sessionExpiry();
+
+  if (Object.keys(update).length > 0) {
+    await Session.updateOne({ _id: session._id }, update);
+  }
+}
+
+/**
+ * Revoke one session and its refresh tokens.
+ * Pass userId to make sure a user can only revoke their own sessions.
+ */
+async function revokeSession(sessionId, { userId, revokedBy } = {}) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.userId = userId;
+
+  const result = await Session.updateOne(filter, { revokedAt: new Date(), revokedBy: revokedBy || null });
+  if (result.modifiedCount === 0) return false;
+
+  // Only the tokens of the session just revoked, never another user's
+  const tokenFilter = { sessionId, revokedAt: null };
+  if (userId) tokenFilter.userId = userId;
+  await RefreshToken.updateMany(tokenFilter, { revokedAt: new Date() });
+
+  return true;
+}
+
+/**
+ * Revoke every session of a user
+ */
+async function revokeAllSessions(userId, { revokedBy } = {}) {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedBy: revokedBy || null }
+  );
+  await RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+
+  return result.modifiedCount;
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ */
+async function listActiveSessions(userId) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select("ipAddress deviceInfo userAgent createdAt lastSeenAt expiresAt")
+    .sort({ lastSeenAt: -1 })
+    .lean();
+}
+
+module.exports = {
+  describeDevice,
+  createSession,
+  isSessionActive,
+  touchSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+};
@@ -0,0 +1,66 @@
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+
+/**
+ * Whether an uploaded file looks like CSV (by extension or MIME type)
+ */
+function isCsvFile(originalName, mimeType) {
+  return /\.csv$/i.test(originalName || "") || mimeType === "text/csv";
+}
+
+// Plain value of a cell: Dates stay Dates, everything else becomes trimmed text
+function cellValue(cell) {
+  if (cell.value instanceof Date) return cell.value;
+  const text = cell.text;
+  return typeof text === "string" ? text.trim() : text;
+}
+
+/**
+ * Read the first worksheet of a CSV or XLSX upload.
+ * The first row holds the headers; returns one object per non-empty data row,
+ * keyed by header, with `rowNumber` being the spreadsheet row (for error reports).
+ */
+async function readSpreadsheet(buffer, { originalName, mimeType } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (isCsvFile(originalName, mimeType)) {
+    // Keep every CSV value as text so IDs and phone numbers keep their leading zeros
+    worksheet = await workbook.csv.read(Readable.from(buffer), { map: (value) => value });
+  } else {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+    headers[columnNumber] = String(cell.text || "").trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    let hasValue = false;
+    row.eachCell({ includeEmpty: false }, (cell, columnNumber) => {
+      const header = headers[columnNumber];
+      if (!header) return;
+      const value = cellValue(cell);
+      if (value !== "" && value !== null && value !== undefined) {
+        values[header] = value;
+        hasValue = true;
+      }
+    });
+
+    if (hasValue) rows.push({ rowNumber, values });
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+}
+
+module.exports = { isCsvFile, readSpreadsheet };
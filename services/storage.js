@@ -0,0 +1,144 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { cloudinary, USE_CLOUDINARY } = require("../config/cloudinary");
+
+// Private files live outside the statically served uploads/ folder locally, and
+// as "authenticated" assets on Cloudinary; both are only reachable through the API
+const PRIVATE_STORAGE_DIR = process.env.PRIVATE_STORAGE_DIR || path.join(process.cwd(), "storage");
+const SIGNED_URL_TTL_SECONDS = 300;
+
+// Public files (e.g. profile pictures) go to the uploads/ folder served at /uploads,
+// or to Cloudinary as regular delivered assets
+const PUBLIC_UPLOADS_DIR = path.join(process.cwd(), "uploads");
+const PUBLIC_UPLOADS_URL = "/uploads";
+
+function uniqueName(originalName) {
+  const extension = path.extname(originalName || "").toLowerCase().replace(/[^.a-z0-9]/g, "");
+  return `${Date.now()}_${crypto.randomBytes(6).toString("hex")}${extension}`;
+}
+
+function uploadToCloudinary(buffer, options) {
+  return new Promise((resolve, reject) => {
+    cloudinary.uploader
+      .upload_stream(options, (error, result) => (error ? reject(error) : resolve(result)))
+      .end(buffer);
+  });
+}
+
+/**
+ * Store a private file under `folder`, on Cloudinary when USE_CLOUDINARY is set and
+ * on local disk otherwise. Returns the storage reference to keep on the record:
+ * { provider, key, resourceType, format }.
+ */
+async function savePrivateFile(buffer, { folder, originalName }) {
+  if (USE_CLOUDINARY) {
+    const result = await uploadToCloudinary(buffer, {
+      folder,
+      type: "authenticated",
+      resource_type: "auto",
+      public_id: path.parse(uniqueName(originalName)).name,
+    });
+    return {
+      provider: "cloudinary",
+      key: result.public_id,
+      resourceType: result.resource_type,
+      format: result.format || null,
+    };
+  }
+
+  const key = path.posix.join(folder, uniqueName(originalName));
+  const target = path.join(PRIVATE_STORAGE_DIR, key);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, buffer);
+  return { provider: "local", key, resourceType: null, format: null };
+}
+
+/**
+ * Where to fetch a stored file from: { path } for local files,
+ * { url } (signed, short-lived) for Cloudinary
+ */
+function privateFileLocation(file) {
+  if (file.provider === "cloudinary") {
+    return {
+      url: cloudinary.utils.private_download_url(file.key, file.format || "", {
+        resource_type: file.resourceType || "image",
+        type: "authenticated",
+        expires_at: Math.floor(Date.now() / 1000) + SIGNED_URL_TTL_SECONDS,
+        attachment: true,
+      }),
+    };
+  }
+
+  const resolved = path.resolve(PRIVATE_STORAGE_DIR, file.key);
+  if (!resolved.startsWith(path.resolve(PRIVATE_STORAGE_DIR) + path.sep)) {
+    throw new Error("Invalid storage key");
+  }
+  return { path: resolved };
+}
+
+/**
+ * Remove a stored file. Missing files are ignored.
+ */
+async function deletePrivateFile(file) {
+  if (file.provider === "cloudinary") {
+    await cloudinary.uploader.destroy(file.key, {
+      resource_type: file.resourceType || "image",
+      type: "authenticated",
+    });
+    return;
+  }
+
+  try {
+    await fs.unlink(privateFileLocation(file).path);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+}
+
+function publicFilePath(key) {
+  const resolved = path.resolve(PUBLIC_UPLOADS_DIR, key);
+  if (!resolved.startsWith(path.resolve(PUBLIC_UPLOADS_DIR) + path.sep)) {
+    throw new Error("Invalid storage key");
+  }
+  return resolved;
+}
+
+/**
+ * Store a publicly readable image under `folder` (Cloudinary when USE_CLOUDINARY is
+ * set, uploads/ otherwise). Returns { provider, key, url }.
+ */
+async function savePublicFile(buffer, { folder, originalName }) {
+  if (USE_CLOUDINARY) {
+    const result = await uploadToCloudinary(buffer, {
+      folder,
+      resource_type: "image",
+      public_id: path.parse(uniqueName(originalName)).name,
+    });
+    return { provider: "cloudinary", key: result.public_id, url: result.secure_url };
+  }
+
+  const key = path.posix.join(folder, uniqueName(originalName));
+  const target = publicFilePath(key);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, buffer);
+  return { provider: "local", key, url: `${PUBLIC_UPLOADS_URL}/${key}` };
+}
+
+/**
+ * Remove a file stored by savePublicFile. Missing files are ignored.
+ */
+async function deletePublicFile(file) {
+  if (file.provider === "cloudinary") {
+    await cloudinary.uploader.destroy(file.key, { resource_type: "image" });
+    return;
+  }
+
+  try {
+    await fs.unlink(publicFilePath(file.key));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+}
+
+module.exports = { savePrivateFile, privateFileLocation, deletePrivateFile, savePublicFile, deletePublicFile };
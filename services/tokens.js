@@ -0,0 +1,126 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const { createSession, isSessionActive, touchSession, revokeSession, revokeAllSessions } = require("./sessions");
+const { JWT_SECRET, ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS } = require("../config/auth");
+
+/**
+ * SHA-256 hex digest used to store refresh tokens without keeping the raw value
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Sign a short-lived access token. tokenVersion lets verifyToken reject every
+ * token issued before the user's sessions were revoked; sid ties it to a session.
+ */
+function signAccessToken(user, sessionId) {
+  const claims = {
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    tokenVersion: user.tokenVersion || 0,
+  };
+  if (sessionId) claims.sid = String(sessionId);
+
+  return jwt.sign(claims, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+/**
+ * Create and persist a refresh token, returning the raw value for the client
+ */
+async function createRefreshToken(user, req, sessionId) {
+  const rawToken = crypto.randomBytes(48).toString("hex");
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(rawToken),
+    sessionId,
+    expiresAt,
+    createdByIp: req?.ip || null,
+    userAgent: req?.headers?.["user-agent"] || null,
+  });
+
+  return rawToken;
+}
+
+/**
+ * Start a session and issue its access + refresh token pair for a fresh login
+ */
+async function issueTokens(user, req) {
+  const session = await createSession(user, req);
+  const token = signAccessToken(user, session._id);
+  const refreshToken = await createRefreshToken(user, req, session._id);
+  return { token, refreshToken, sessionId: session._id };
+}
+
+/**
+ * Exchange a refresh token for a new pair. The presented token is revoked and
+ * replaced; presenting an already-revoked token revokes its whole session.
+ * Returns null when the token cannot be used.
+ */
+async function rotateRefreshToken(rawToken, req) {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (!stored) return null;
+
+  if (stored.revokedAt) {
+    // Token reuse: someone is replaying an old token, kill the session
+    if (stored.sessionId) await revokeSession(stored.sessionId);
+    return null;
+  }
+
+  if (stored.expiresAt <= new Date()) return null;
+
+  const session = await Session.findById(stored.sessionId);
+  if (!isSessionActive(session)) return null;
+
+  const user = await User.findById(stored.userId);
+  if (!user || !user.isActive()) return null;
+
+  const refreshToken = await createRefreshToken(user, req, session._id);
+
+  // Only the first concurrent request wins the rotation
+  const rotated = await RefreshToken.updateOne(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), replacedBy: hashToken(refreshToken) }
+  );
+  if (rotated.modifiedCount === 0) {
+    await RefreshToken.deleteOne({ tokenHash: hashToken(refreshToken) });
+    return null;
+  }
+
+  await touchSession(session, req, { extend: true });
+
+  return { user, token: signAccessToken(user, session._id), refreshToken };
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout of one device)
+ */
+async function revokeRefreshToken(rawToken) {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (!stored?.sessionId) return false;
+
+  return revokeSession(stored.sessionId);
+}
+
+/**
+ * Revoke every session of a user and invalidate outstanding access tokens
+ */
+async function revokeAllUserTokens(userId, { revokedBy } = {}) {
+  await revokeAllSessions(userId, { revokedBy });
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+}
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+};
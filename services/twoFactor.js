@@ -0,0 +1,178 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const SecuritySettings = require("../models/SecuritySettings");
+const User = require("../models/User");
+const { hashToken } = require("./tokens");
+const { generateSecret, verifyTotp, buildOtpauthUri } = require("./totp");
+const {
+  JWT_SECRET,
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_CHALLENGE_TTL,
+  TWO_FACTOR_CHALLENGE_ATTEMPTS,
+  TWO_FACTOR_RECOVERY_CODE_COUNT,
+} = require("../config/auth");
+
+// Challenge token purposes. verifyToken refuses any token carrying a purpose,
+// so a challenge can never be used as an access token.
+const CHALLENGE_LOGIN = "2fa-login";
+const CHALLENGE_SETUP = "2fa-setup";
+
+/**
+ * Whether the organisation requires 2FA for this user's role
+ */
+async function isTwoFactorRequired(user) {
+  const settings = await SecuritySettings.getSettings();
+  return settings.twoFactorRequiredRoles.includes(user.role);
+}
+
+/**
+ * Short-lived token proving the password step succeeded
+ */
+function createChallengeToken(user, purpose) {
+  return jwt.sign(
+    { userId: user._id, purpose, tokenVersion: user.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+}
+
+/**
+ * Login challenge token for the second step. It replaces any earlier challenge of
+ * the user and accepts TWO_FACTOR_CHALLENGE_ATTEMPTS codes.
+ */
+async function createLoginChallenge(user) {
+  const challengeId = crypto.randomBytes(16).toString("hex");
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.challengeId": challengeId, "twoFactor.challengeAttempts": 0 } }
+  );
+
+  return jwt.sign(
+    { userId: user._id, purpose: CHALLENGE_LOGIN, tokenVersion: user.tokenVersion || 0, challengeId },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+}
+
+/**
+ * Count a code tried with a login challenge. False when the challenge is no longer
+ * the user's latest one or has no attempts left.
+ */
+async function useLoginChallenge(user, challenge) {
+  if (!challenge.challengeId) return false;
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      "twoFactor.challengeId": challenge.challengeId,
+      "twoFactor.challengeAttempts": { $lt: TWO_FACTOR_CHALLENGE_ATTEMPTS },
+    },
+    { $inc: { "twoFactor.challengeAttempts": 1 } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Decode a challenge token of the expected purpose, or return null
+ */
+function verifyChallengeToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Start enrolment: store a pending secret and return what the authenticator app needs
+ */
+function beginEnrollment(user) {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER }),
+  };
+}
+
+/**
+ * Generate fresh recovery codes; stores their hashes and returns the raw codes once
+ */
+function generateRecoveryCodes(user) {
+  const codes = Array.from({ length: TWO_FACTOR_RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  user.twoFactor.recoveryCodes = codes.map((code) => hashToken(code));
+  return codes;
+}
+
+/**
+ * Confirm the pending secret with a first code and switch 2FA on.
+ * Returns the recovery codes, or null when the code is wrong.
+ */
+function completeEnrollment(user, code) {
+  const pendingSecret = user.twoFactor.pendingSecret;
+  if (!pendingSecret) return null;
+
+  const step = verifyTotp(pendingSecret, code);
+  if (step === null) return null;
+
+  user.twoFactor.secret = pendingSecret;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+  return generateRecoveryCodes(user);
+}
+
+/**
+ * Verify a TOTP code or a recovery code for an enrolled user.
+ * Consumes the recovery code / records the TOTP step on success (caller saves the user).
+ */
+function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) return false;
+
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return false;
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null) return false;
+  if (user.twoFactor.lastUsedStep !== null && step <= user.twoFactor.lastUsedStep) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+}
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ */
+function disableTwoFactor(user) {
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = null;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.recoveryCodes = [];
+  user.twoFactor.lastUsedStep = null;
+  user.twoFactor.enabledAt = null;
+}
+
+module.exports = {
+  CHALLENGE_LOGIN,
+  CHALLENGE_SETUP,
+  isTwoFactorRequired,
+  createChallengeToken,
+  createLoginChallenge,
+  useLoginChallenge,
+  verifyChallengeToken,
+  beginEnrollment,
+  generateRecoveryCodes,
+  completeEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+};
@@ -0,0 +1,189 @@
+const User = require("../models/User");
+const Employee = require("../models/Employee");
+const Company = require("../models/Company");
+const Department = require("../models/Department");
+const { orgUnitFilter } = require("./organizationUnits");
+
+const MAX_PAGE_SIZE = 100;
+
+// Sort keys accepted in ?sort= (prefix with "-" for descending)
+const SORT_FIELDS = {
+  name: ["employee.lastName", "employee.firstName"],
+  employeeNumber: ["employee.employeeNumber"],
+  email: ["email"],
+  position: ["employee.position"],
+  company: ["companyUnit.name"],
+  department: ["departmentUnit.name"],
+  dateHired: ["employee.dateHired"],
+  createdAt: ["createdAt"],
+};
+
+// Fields everyone with directory access may see (null for users without an employee profile)
+const BASIC_PROJECTION = {
+  _id: 1,
+  email: 1,
+  employeeNumber: { $ifNull: ["$employee.employeeNumber", null] },
+  firstName: { $ifNull: ["$employee.firstName", null] },
+  lastName: { $ifNull: ["$employee.lastName", null] },
+  position: { $ifNull: ["$employee.position", null] },
+  company: { $ifNull: ["$companyUnit", null] },
+  department: { $ifNull: ["$departmentUnit", null] },
+  profilePicture: { $ifNull: ["$employee.profilePicture", null] },
+};
+
+// Additional account and HR fields for callers with users.view
+const FULL_PROJECTION = {
+  ...BASIC_PROJECTION,
+  role: 1,
+  status: 1,
+  createdAt: 1,
+  passwordChanged: 1,
+  employeeId: { $ifNull: ["$employee._id", null] },
+  dateHired: { $ifNull: ["$employee.dateHired", null] },
+  approvalStatus: { $ifNull: ["$employee.approval_status", null] },
+};
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Every search term must match the name, email, position or employee number
+function searchMatch(q) {
+  const terms = String(q).trim().split(/\s+/).filter(Boolean).slice(0, 5);
+  if (terms.length === 0) return null;
+
+  return {
+    $and: terms.map((term) => {
+      const pattern = new RegExp(escapeRegex(term), "i");
+      return {
+        $or: [
+          { email: pattern },
+          { "employee.firstName": pattern },
+          { "employee.lastName": pattern },
+          { "employee.position": pattern },
+          { "employee.employeeNumber": pattern },
+        ],
+      };
+    }),
+  };
+}
+
+function parseSort(sort) {
+  const descending = String(sort || "").startsWith("-");
+  const key = String(sort || "name").replace(/^-/, "");
+  const fields = SORT_FIELDS[key] || SORT_FIELDS.name;
+
+  const stage = {};
+  for (const field of fields) stage[field] = descending ? -1 : 1;
+  stage._id = 1;
+  return stage;
+}
+
+// Join the { _id, name } of the employee's company or department as `as`
+function orgUnitLookup(model, field, as) {
+  return [
+    {
+      $lookup: {
+        from: model.collection.name,
+        localField: `employee.${field}`,
+        foreignField: "_id",
+        as,
+        pipeline: [{ $project: { name: 1 } }],
+      },
+    },
+    { $set: { [as]: { $first: `$${as}` } } },
+  ];
+}
+
+/**
+ * One page of the user directory: a single aggregation joining users with their
+ * employee profile. Callers without `full` access only see active users with an
+ * approved profile, and only basic fields. Returns { error } for an unknown
+ * company or department filter.
+ */
+async function searchDirectory(query, { full }) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 25, 1), MAX_PAGE_SIZE);
+
+  const userMatch = {};
+  const employeeMatch = [];
+
+  if (full) {
+    if (query.role) userMatch.role = parseInt(query.role, 10);
+    if (query.active === "true") userMatch.status = { $ne: "inactive" };
+    if (query.active === "false") userMatch.status = "inactive";
+
+    if (query.approvalStatus === "none") {
+      employeeMatch.push({ employee: null });
+    } else if (query.approvalStatus !== undefined && query.approvalStatus !== "") {
+      employeeMatch.push({ "employee.approval_status": parseInt(query.approvalStatus, 10) });
+    }
+  } else {
+    userMatch.status = { $ne: "inactive" };
+    employeeMatch.push({ "employee.approval_status": 1 });
+  }
+
+  const orgUnits = await orgUnitFilter(query, "employee.");
+  if (orgUnits.error) return { error: orgUnits.error };
+  if (Object.keys(orgUnits.filter).length > 0) employeeMatch.push(orgUnits.filter);
+  if (query.q) {
+    const match = searchMatch(query.q);
+    if (match) employeeMatch.push(match);
+  }
+
+  const pipeline = [
+    { $match: userMatch },
+    {
+      $lookup: {
+        from: Employee.collection.name,
+        localField: "_id",
+        foreignField: "userId",
+        as: "employee",
+      },
+    },
+    { $unwind: { path: "$employee", preserveNullAndEmptyArrays: true } },
+  ];
+  if (employeeMatch.length > 0) {
+    pipeline.push({ $match: { $and: employeeMatch } });
+  }
+
+  // Company and department names are joined after paging, so only one page is
+  // looked up, unless the page is sorted by them
+  const sort = parseSort(query.sort);
+  const beforePaging = [];
+  const afterPaging = [];
+  for (const [model, field, as] of [
+    [Company, "company", "companyUnit"],
+    [Department, "department", "departmentUnit"],
+  ]) {
+    const sortedBy = Object.keys(sort).some((key) => key.startsWith(`${as}.`));
+    (sortedBy ? beforePaging : afterPaging).push(...orgUnitLookup(model, field, as));
+  }
+
+  pipeline.push({
+    $facet: {
+      total: [{ $count: "count" }],
+      users: [
+        ...beforePaging,
+        { $sort: sort },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        ...afterPaging,
+        { $project: full ? FULL_PROJECTION : BASIC_PROJECTION },
+      ],
+    },
+  });
+
+  const [result] = await User.aggregate(pipeline);
+  const total = result.total[0]?.count || 0;
+
+  return {
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    users: result.users,
+  };
+}
+
+module.exports = { SORT_FIELDS, searchDirectory };
@@ -0,0 +1,272 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Employee = require("../models/Employee");
+const ImportJob = require("../models/ImportJob");
+const { sendPasswordResetEmail } = require("./authEmails");
+const { validatePassword } = require("./passwordPolicy");
+const { recordVersion } = require("./profileChanges");
+const { resolveOrgUnits } = require("./organizationUnits");
+const { assignEmployeeNumber } = require("./employeeNumbers");
+const {
+  GOVERNMENT_IDS,
+  GOVERNMENT_ID_FIELDS,
+  normalizeGovernmentId,
+  findGovernmentIdConflicts,
+  duplicateGovernmentIds,
+  describeConflicts,
+} = require("./governmentIds");
+
+// Spreadsheet columns (matched case-insensitively against the header row)
+const USER_COLUMNS = ["email", "role", "password"];
+const EMPLOYEE_COLUMNS = [
+  "firstName",
+  "lastName",
+  "birthDate",
+  "personalEmail",
+  "mobileNumber",
+  "homeAddress",
+  "emergencyContactName",
+  "relationship",
+  "emergencyContactNumber",
+  "position",
+  "company",
+  "department",
+  "dateHired",
+  "sssNumber",
+  "philhealthNumber",
+  "tinNumber",
+  "pagibigNumber",
+];
+const REQUIRED_COLUMNS = ["email", "firstName", "lastName"];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Map spreadsheet headers to known column names; returns { columnMap, missing, unknown }
+ */
+function mapHeaders(headers) {
+  const known = [...USER_COLUMNS, ...EMPLOYEE_COLUMNS];
+  const columnMap = {};
+  const unknown = [];
+
+  for (const header of headers) {
+    const column = known.find((name) => name.toLowerCase() === header.replace(/\s+/g, "").toLowerCase());
+    if (column) columnMap[header] = column;
+    else unknown.push(header);
+  }
+
+  const mapped = Object.values(columnMap);
+  const missing = REQUIRED_COLUMNS.filter((column) => !mapped.includes(column));
+  return { columnMap, missing, unknown };
+}
+
+// Turn a raw spreadsheet row into user and employee field sets
+function normalizeRow(values, columnMap) {
+  const fields = {};
+  for (const [header, value] of Object.entries(values)) {
+    const column = columnMap[header];
+    if (column) fields[column] = typeof value === "string" ? value.trim() : value;
+  }
+
+  const user = {
+    email: fields.email ? String(fields.email).toLowerCase() : undefined,
+    role: fields.role !== undefined ? parseInt(fields.role, 10) : 3,
+    password: fields.password ? String(fields.password) : undefined,
+  };
+
+  const employee = {};
+  for (const column of EMPLOYEE_COLUMNS) {
+    if (fields[column] !== undefined) employee[column] = fields[column];
+  }
+
+  return { user, employee };
+}
+
+// Collect schema validation messages for one document
+async function schemaErrors(doc) {
+  try {
+    await doc.validate();
+    return [];
+  } catch (error) {
+    if (error.name !== "ValidationError") throw error;
+    return Object.values(error.errors).map((fieldError) => fieldError.message);
+  }
+}
+
+/**
+ * Validate a row against the User and Employee schemas, existing accounts and
+ * government IDs already on file. `seenGovernmentIds` maps each ID field to the
+ * (normalized) values of earlier rows. Returns the list of problems (empty when
+ * the row can be imported).
+ */
+async function validateRow({ user, employee }, seenEmails, seenGovernmentIds = {}) {
+  const errors = [];
+
+  if (!user.email || !EMAIL_PATTERN.test(user.email)) {
+    errors.push("A valid email is required");
+  } else if (seenEmails.has(user.email)) {
+    errors.push("Email appears more than once in this file");
+  } else if (await User.exists({ email: user.email })) {
+    errors.push("Email already registered");
+  }
+
+  if (![1, 2, 3].includes(user.role)) {
+    errors.push("Invalid role. Must be 1 (Manager), 2 (HR), or 3 (Employee)");
+  }
+
+  // Rows without a password get a setup link instead
+  if (user.password) {
+    errors.push(...validatePassword(user.password, { email: user.email }));
+  }
+
+  // Company and department names must match existing records; the row keeps their ids
+  const orgUnits = await resolveOrgUnits(employee);
+  if (orgUnits.error) errors.push(orgUnits.error);
+  else Object.assign(employee, orgUnits.values);
+
+  const userDoc = new User({ ...user, password: user.password || "placeholder" });
+  const employeeDoc = new Employee({ ...employee, userId: userDoc._id });
+  errors.push(...(await schemaErrors(userDoc)).filter((message) => !/email/i.test(message)));
+  errors.push(
+    ...(await schemaErrors(employeeDoc)).filter((message) => !orgUnits.error || !/company|department/i.test(message))
+  );
+
+  for (const field of GOVERNMENT_ID_FIELDS) {
+    if (employeeDoc[field] && seenGovernmentIds[field]?.has(employeeDoc[field])) {
+      errors.push(`${GOVERNMENT_IDS[field].label} appears more than once in this file`);
+    }
+  }
+  const conflicts = await findGovernmentIdConflicts(employeeDoc);
+  if (conflicts.length > 0) errors.push(describeConflicts(conflicts));
+
+  return errors;
+}
+
+/**
+ * Create the user and employee profile of one row in a single transaction.
+ * Rows without a password get a random one plus an emailed link to choose their own.
+ */
+async function createRow({ user, employee }, importedBy) {
+  const session = await mongoose.startSession();
+  let created;
+  let resetToken = null;
+
+  try {
+    await session.withTransaction(async () => {
+      const userDoc = new User({
+        email: user.email,
+        role: user.role,
+        password: user.password || crypto.randomBytes(24).toString("hex"),
+        passwordChanged: false,
+      });
+      if (!user.password) resetToken = userDoc.createPasswordResetToken();
+      await userDoc.save({ session });
+
+      const employeeDoc = new Employee({
+        ...employee,
+        userId: userDoc._id,
+        department: employee.department || null,
+        // Entered by HR, so the profile starts approved
+        approval_status: 1,
+        profileVersion: 1,
+      });
+      await employeeDoc.save({ session });
+      await recordVersion(employeeDoc, { source: "import", changedBy: importedBy, session });
+
+      created = { user: userDoc, employee: employeeDoc };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Imported profiles start approved, so they are numbered straight away. The row is
+  // created either way; scripts/backfillEmployeeNumbers.js numbers any it missed.
+  created.messages = [];
+  try {
+    await assignEmployeeNumber(created.employee);
+  } catch (numberError) {
+    created.messages.push(`Created without an employee number: ${numberError.message}`);
+  }
+
+  if (resetToken) {
+    try {
+      await sendPasswordResetEmail(created.user, resetToken);
+    } catch (mailError) {
+      console.error(`Import: password setup email to ${created.user.email} failed:`, mailError.message);
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Process every row of an import job. Runs in the background after the upload
+ * request has returned; progress and per-row results are written to the job.
+ */
+async function runImportJob(jobId, rows, columnMap) {
+  const job = await ImportJob.findById(jobId);
+  if (!job) return;
+
+  job.status = "processing";
+  job.startedAt = new Date();
+  await job.save();
+
+  const seenEmails = new Set();
+  const seenGovernmentIds = Object.fromEntries(GOVERNMENT_ID_FIELDS.map((field) => [field, new Set()]));
+
+  try {
+    for (const { rowNumber, values } of rows) {
+      const normalized = normalizeRow(values, columnMap);
+      const result = { row: rowNumber, email: normalized.user.email || null, messages: [] };
+
+      try {
+        result.messages = await validateRow(normalized, seenEmails, seenGovernmentIds);
+        if (normalized.user.email) seenEmails.add(normalized.user.email);
+        for (const field of GOVERNMENT_ID_FIELDS) {
+          const value = normalizeGovernmentId(field, normalized.employee[field]);
+          if (value) seenGovernmentIds[field].add(value);
+        }
+
+        if (result.messages.length > 0) {
+          result.status = "failed";
+        } else if (job.dryRun) {
+          result.status = "valid";
+        } else {
+          const created = await createRow(normalized, job.createdBy);
+          result.status = "created";
+          result.userId = created.user._id;
+          result.employeeId = created.employee._id;
+          result.messages.push(...created.messages);
+        }
+      } catch (rowError) {
+        const conflicts = duplicateGovernmentIds(rowError);
+        result.status = "failed";
+        result.messages.push(conflicts ? describeConflicts(conflicts) : rowError.message);
+      }
+
+      job.results.push(result);
+      job.summary[result.status] += 1;
+      job.processedRows += 1;
+      await job.save();
+    }
+
+    job.status = "completed";
+  } catch (error) {
+    console.error(`Import job ${jobId} failed:`, error);
+    job.status = "failed";
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+}
+
+module.exports = {
+  USER_COLUMNS,
+  EMPLOYEE_COLUMNS,
+  REQUIRED_COLUMNS,
+  mapHeaders,
+  normalizeRow,
+  validateRow,
+  runImportJob,
+};